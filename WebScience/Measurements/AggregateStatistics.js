@@ -1,48 +1,137 @@
 /**
- * @file Script for computing aggregate statistics
+ * @file Script for computing aggregate statistics. The script runs in a worker thread
+ * and does not contain any aggregation functions of its own: for each storage store,
+ * the study registers an aggregation function by name and the path of the script
+ * that defines it (see `DataAnalysis.runStudy`). The worker loads each script with
+ * `importScripts`, and scripts register their functions by calling
+ * `registerAggregationFunction`.
+ *
+ * Aggregation functions receive the records from their store and a context object
+ * with a `matchers` property, which contains a `MatchPatternSet` for each exported
+ * match pattern set that the study provided, a `publicSuffixSet` property, which
+ * identifies the registrable domain (eTLD+1) of a hostname with the Public Suffix List
+ * that is bundled with the library, and a `timeBuckets` property, which
+ * groups event times according to the study's time bucket parameters. Scripts can
+ * also use the `StorageStatistics` helper defined in this file.
+ *
+ * If the study provides privacy parameters for the analysis script, the context also
+ * has a `privacy` property, a `PrivacyMechanism` that the aggregation function must use
+ * to add noise to its bucketed counts and sums, and to any other counts that it reports,
+ * before returning them. The privacy budget
+ * (`epsilon`) is divided equally among the aggregation functions in each run. Only
+ * aggregation functions registered with `supportsPrivacy` can run with privacy parameters.
  * @module WebScience.Measurements.AggregateStatistics
  */
 
-const fbRegex = /(facebook.com\/pages\/[0-9|a-z|A-Z|-]*\/[0-9]*(\/|$))|(facebook\.com\/[0-9|a-z|A-Z|.]*(\/|$))/i;
-const ytRegex = /(youtube.com\/(user|channel)\/[0-9|a-z|A-Z|_|-]*(\/videos)?)(\/|$)|(youtube\.com\/[0-9|A-Z|a-z]*)(\/|$)|(youtube\.com\/profile\?user=[0-9|A-Z|a-z]*)(\/|$)/i;
-const twRegex = /(twitter\.com\/[0-9|a-z|A-Z|_]*(\/|$))/;
-let referrerMatcher;
-let destinationMatcher;
-let fbMatcher;
-let twMatcher;
-let ytMatcher;
+/**
+ * A function that computes aggregate statistics for the records in a store.
+ * @callback aggregationFunction
+ * @param {Object} records - The records from the store, keyed by primary key.
+ * @param {Object} context - Additional information for the aggregation.
+ * @param {Object<string, MatchPatternSet>} context.matchers - The study's match pattern sets.
+ * @param {PublicSuffixSet} context.publicSuffixSet - The Public Suffix List.
+ * @param {TimeBuckets} context.timeBuckets - The study's time buckets.
+ * @param {PrivacyMechanism|null} context.privacy - The privacy mechanism for the aggregation
+ * function, or `null` if the study reports exact statistics.
+ * @returns {Object} The aggregate statistics for the store.
+ */
+
+/**
+ * The aggregation functions that scripts have registered, keyed by name. Each value
+ * has an `aggregationFunction` property and a `supportsPrivacy` property.
+ * @private
+ * @const {Object<string, Object>}
+ */
+const aggregationFunctions = {};
+
+/**
+ * The paths of aggregation scripts that have already been loaded.
+ * @private
+ * @const {Set<string>}
+ */
+const loadedScripts = new Set();
+
+/**
+ * Register an aggregation function, so that it can be referenced by name in the
+ * study's registry of aggregation functions. Called by aggregation scripts.
+ * @param {string} name - The name of the aggregation function.
+ * @param {aggregationFunction} aggregationFunction - The aggregation function.
+ * @param {Object} [options] - Options for the aggregation function.
+ * @param {boolean} [options.supportsPrivacy=false] - Whether the aggregation function
+ * applies the privacy mechanism that it receives in its context.
+ */
+self.registerAggregationFunction = function(name, aggregationFunction, {
+    supportsPrivacy = false
+} = {}) {
+    aggregationFunctions[name] = { aggregationFunction, supportsPrivacy };
+}
+
+/**
+ * Get a registered aggregation function, loading the script that defines it if needed.
+ * @param {Object} registryEntry - The registry entry for a storage store.
+ * @param {string} registryEntry.path - The path of the script that defines the function.
+ * @param {string} registryEntry.name - The name of the function.
+ * @returns {Object} The aggregation function, as an object with an `aggregationFunction`
+ * property and a `supportsPrivacy` property.
+ * @private
+ */
+function getAggregationFunction({ path, name }) {
+    if (!loadedScripts.has(path)) {
+        self.importScripts(path);
+        loadedScripts.add(path);
+    }
+    if (!(name in aggregationFunctions)) {
+        throw new Error(`Error: aggregation script ${path} did not register function ${name}`);
+    }
+    return aggregationFunctions[name];
+}
 
 /**
  * Event handler for messages from the main thread
  * On receiving data, the function computes aggregate statistics and
- * sends a message back to the caller with the result object.
+ * sends a message back to the caller with the result object. If computing
+ * the statistics fails, the function sends a message with an `error`
+ * property instead, since an exception in this handler would not fire an
+ * `error` event for the caller.
  *
  * @param {MessageEvent} event - message object
  * @listens MessageEvent
  */
 onmessage = async event => {
-    const data = event.data;
-    const stats = {};
-    const studyDomains = data.studyDomains;
-    destinationMatcher = new MatchPatternSet([]);
-    destinationMatcher.import(studyDomains.destinationMatches);
-    referrerMatcher = new MatchPatternSet([])
-    referrerMatcher.import(studyDomains.referrerMatches);
-    fbMatcher = new MatchPatternSet([])
-    fbMatcher.import(studyDomains.fbMatches);
-    ytMatcher = new MatchPatternSet([])
-    ytMatcher.import(studyDomains.ytMatches);
-    twMatcher = new MatchPatternSet([])
-    twMatcher.import(studyDomains.twMatches);
-    Object.entries(data.fromStorage).forEach(entry => {
-        const key = entry[0];
-        const storageObj = entry[1];
-        if (key in functionMapping) {
-            const aggregrateStats = functionMapping[key](storageObj);
-            stats[key] = aggregrateStats;
-        }
-    });
-    sendMessageToCaller("stats ", stats);
+    try {
+        const data = event.data;
+        const stats = {};
+        const matchers = {};
+        Object.entries(data.studyDomains).forEach(entry => {
+            matchers[entry[0]] = new MatchPatternSet([]);
+            matchers[entry[0]].import(entry[1]);
+        });
+        const publicSuffixSet = new PublicSuffixSet();
+        publicSuffixSet.import(data.publicSuffixes);
+        const timeBuckets = new TimeBuckets(data.timeBuckets ? data.timeBuckets : {});
+        const aggregatedKeys = Object.keys(data.fromStorage).filter(key => key in data.aggregators);
+        aggregatedKeys.forEach(key => {
+            const { aggregationFunction, supportsPrivacy } = getAggregationFunction(data.aggregators[key]);
+            let privacy = null;
+            if (data.privacy) {
+                if (!supportsPrivacy) {
+                    throw new Error(`Error: aggregation function ${data.aggregators[key].name} does not support privacy parameters`);
+                }
+                privacy = new PrivacyMechanism({
+                    epsilon: data.privacy.epsilon / aggregatedKeys.length,
+                    suppressionThreshold: data.privacy.suppressionThreshold
+                });
+            }
+            stats[key] = aggregationFunction(data.fromStorage[key], { matchers, publicSuffixSet, timeBuckets, privacy });
+        });
+        sendMessageToCaller("stats ", stats);
+    }
+    catch(error) {
+        postMessage({
+            type: "error",
+            error: (error instanceof Error) ? error.message : String(error)
+        });
+    }
 }
 
 /**
@@ -70,6 +159,13 @@ function sendMessageToCaller(messageType, data) {
     });
 }
 
+/**
+ * A helper for aggregation functions that set up an accumulator object,
+ * compute over each record, then gather the accumulator into results.
+ * @param {function} setup - Returns a new accumulator object.
+ * @param {function} compute - Updates the accumulator with a `[key, record]` entry.
+ * @param {function} gather - Converts the accumulator into the results.
+ */
 function StorageStatistics(setup, compute, gather) {
     this.setup = setup;
     this.compute = compute;
@@ -85,298 +181,169 @@ StorageStatistics.prototype.computeStats = function (storageInstance) {
 }
 
 /**
- * Functions for computing statistics
+ * Groups event times into buckets for aggregate statistics, so that every aggregation
+ * function uses the same time of day buckets, day of week, and calendar date, in either
+ * UTC or the browser's local time.
  */
+class TimeBuckets {
+    /**
+     * Create time buckets.
+     * @param {Object} parameters - The parameters for the buckets.
+     * @param {number} [parameters.hoursPerBucket=4] - The width of each time of day bucket, in hours.
+     * @param {boolean} [parameters.localTime=false] - Whether to use local time rather than UTC.
+     * @param {boolean} [parameters.dayOfWeek=true] - Whether to include the day of the week.
+     * @param {boolean} [parameters.date=false] - Whether to include the calendar date.
+     */
+    constructor({ hoursPerBucket = 4, localTime = false, dayOfWeek = true, date = false }) {
+        this.hoursPerBucket = hoursPerBucket;
+        this.localTime = localTime;
+        this.dayOfWeek = dayOfWeek;
+        this.date = date;
+    }
 
-/**
- * Object that maps the type of data and the stats function to apply on
- * data object of that type.
- *
- * @private
- * @const {Object}
- * @default
- */
-const functionMapping = {
-    "NewsAndDisinfo.Measurements.PageNavigation.pageVisits": pageNavigationStats,
-    "NewsAndDisinfo.Measurements.LinkExposure.linkExposures": linkExposureStats,
-    "NewsAndDisinfo.Measurements.SocialMediaLinkSharing.linkShares": socialMediaLinkSharingStats,
+    /**
+     * Get the bucket for an event time.
+     * @param {number} timeStamp - The event time.
+     * @returns {Object} The bucket, with a `timeOfDay` property (the first hour in the
+     * bucket), a `dayOfWeek` property (0 for Sunday) if the buckets include the day of the
+     * week, and a `date` property (e.g., `"2021-01-31"`) if the buckets include the date.
+     */
+    getBucket(timeStamp) {
+        const time = new Date(timeStamp);
+        const hours = this.localTime ? time.getHours() : time.getUTCHours();
+        const bucket = {};
+        if (this.dayOfWeek) {
+            bucket.dayOfWeek = this.localTime ? time.getDay() : time.getUTCDay();
+        }
+        bucket.timeOfDay = Math.floor(hours / this.hoursPerBucket) * this.hoursPerBucket;
+        if (this.date) {
+            const year = this.localTime ? time.getFullYear() : time.getUTCFullYear();
+            const month = (this.localTime ? time.getMonth() : time.getUTCMonth()) + 1;
+            const day = this.localTime ? time.getDate() : time.getUTCDate();
+            bucket.date = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+        }
+        return bucket;
+    }
 }
 
 /**
- * Function for computing page navigation statistics
- * @param {Object} pageNavigationStorage page navigation storage object
+ * Generate a uniformly random number in the open interval (0, 1), using
+ * cryptographically secure randomness with 53 bits of precision.
+ * @returns {number} The random number.
+ * @private
  */
-function pageNavigationStats(pageNavigationStorage) {
-    const statsObj = new StorageStatistics(
-        () => {
-            const stats = {};
-            stats.trackedVisitsByDomain = {};
-            stats.numUntrackedVisits = 0;
-            return stats;
-        },
-        (entry, stats) => {
-            const navObj = entry[1];
-            if (navObj.type == "pageVisit") {
-                const domain = getTrackedPathDest(navObj.url);
-                const domainIndex = JSON.stringify({domain: domain});
-                let domainObj = stats.trackedVisitsByDomain[domainIndex];
-                if (!domainObj) {
-                    stats.trackedVisitsByDomain[domainIndex] = {};
-                    domainObj = stats.trackedVisitsByDomain[domainIndex];
-                    domainObj.visitsByReferrer = {};
-                }
-
-                const date = new Date(navObj.pageVisitStartTime);
-                const dayOfWeek = date.getUTCDay();
-                const hourOfDay = date.getUTCHours();
-                const timeOfDay = Math.floor(hourOfDay / 4) * 4;
-
-                const index = JSON.stringify({
-                    referrerDomain: getTrackedPathSource(navObj.referrer),
-                    dayOfWeek: dayOfWeek,
-                    timeOfDay: timeOfDay,
-                    classifierResults: navObj.classResults
-                });
-
-                let specificObj = domainObj.visitsByReferrer[index];
-                if (specificObj) {
-                    specificObj.numVisits += 1;
-                    specificObj.totalAttention += navObj.attentionDuration;
-                    specificObj.totalScroll += Math.floor(navObj.maxRelativeScrollDepth * 100);
-                    specificObj.laterSharedCount += navObj.laterShared ? 1 : 0;
-                    specificObj.prevExposedCount += navObj.prevExposed ? 1 : 0;
-                } else {
-                    specificObj = {};
-                    specificObj.numVisits = 1;
-                    specificObj.totalAttention = navObj.attentionDuration;
-                    specificObj.totalScroll = Math.floor(navObj.maxRelativeScrollDepth * 100);
-                    specificObj.laterSharedCount = navObj.laterShared ? 1 : 0;
-                    specificObj.prevExposedCount = navObj.prevExposed ? 1 : 0;
-                    domainObj.visitsByReferrer[index] = specificObj;
-                }
-            } else if (navObj.type == "untracked") {
-                stats.numUntrackedVisits += 1;
-            }
-        },
-        (r) => {
-            for (const domain in r.trackedVisitsByDomain) {
-                const trackedVisits = r.trackedVisitsByDomain[domain].visitsByReferrer;
-                const trackedVisitsArray = Object.entries(trackedVisits).map((pair) => {
-                    const entry = JSON.parse(pair[0]);
-                    entry.numVisits = pair[1].numVisits;
-                    entry.totalAttention = pair[1].totalAttention;
-                    entry.totalScroll = pair[1].totalScroll;
-                    entry.prevExposedCount = pair[1].prevExposedCount;
-                    entry.laterSharedCount = pair[1].laterSharedCount;
-                    return entry;
-                });
-                r.trackedVisitsByDomain[domain].visitsByReferrer = trackedVisitsArray;
-            }
-            const domains = r.trackedVisitsByDomain;
-            const domainsArray = Object.entries(domains).map((pair) => {
-                const entry = JSON.parse(pair[0]);
-                entry.visitsByReferrer = pair[1].visitsByReferrer;
-                return entry;
-            });
-            r.trackedVisitsByDomain = domainsArray;
-            return r;
-        }
-    );
-    return statsObj.computeStats(pageNavigationStorage);
-
+function randomUniform() {
+    const randomValues = new Uint32Array(2);
+    crypto.getRandomValues(randomValues);
+    const randomBits = (randomValues[0] * Math.pow(2, 21)) + (randomValues[1] >>> 11);
+    return (randomBits + 0.5) / Math.pow(2, 53);
 }
 
 /**
- * Function for computing link exposure statistics
- * @param {Object} linkExposureStorage page navigation storage object
+ * Sample from the two-sided geometric distribution, the discrete analogue of the Laplace
+ * distribution, where the probability of `k` is proportional to `exp(-epsilon * |k|)`.
+ * Adding a sample to a count (with sensitivity 1) satisfies `epsilon`-differential privacy.
+ * @param {number} epsilon - The privacy budget for the count.
+ * @returns {number} The integer noise.
+ * @private
  */
-function linkExposureStats(linkExposureStorage) {
-    const statsObj = new StorageStatistics(
-        () => {
-            const stats = {};
-            stats.untrackedLinkExposures = {"5": 0};
-            stats.linkExposures = {};
-
-            return stats;
-        },
-        (entry, stats) => {
-            const exposureObj = entry[1];
-            if (exposureObj.type == "exposure") {
-                const date = new Date(exposureObj.firstSeen);
-                const hourOfDay = date.getUTCHours();
-                const timeOfDay = Math.floor(hourOfDay / 4) * 4;
-                const index = JSON.stringify({
-                    sourceDomain: getTrackedPathSource(exposureObj.pageUrl),
-                    destinationDomain: getTrackedPathDest(exposureObj.url),
-                    dayOfWeek: (date).getUTCDay(),
-                    timeOfDay: timeOfDay,
-                    visThreshold: exposureObj.visThreshold
-                });
-                if (!(stats.linkExposures[index])) {
-                    stats.linkExposures[index] = {
-                        numExposures: 1,
-                        laterVisitedCount: exposureObj.laterVisited ? 1 : 0,
-                        laterSharedCount: exposureObj.laterShared ? 1 : 0
-                    };
-                } else {
-                    const current = stats.linkExposures[index];
-                    stats.linkExposures[index] = {
-                        numExposures: current.numExposures + 1,
-                        laterVisitedCount: current.laterVisitedCount + exposureObj.laterVisited ? 1 : 0,
-                        laterSharedCount: current.laterSharedCount + exposureObj.laterShared ? 1 : 0
-                    }
-                }
-            } else if (exposureObj.type == "untracked") {
-                stats.untrackedLinkExposures["5"] += exposureObj.count;
-            }
-        },
-        (r) => {
-            const exposuresArray = Object.entries(r.linkExposures).map((pair) => {
-                const entry = JSON.parse(pair[0]);
-                entry.numExposures = pair[1].numExposures;
-                entry.laterVisitedCount = pair[1].laterVisitedCount;
-                entry.laterSharedCount = pair[1].laterSharedCount;
-                return entry;
-            });
-            r.linkExposures = exposuresArray;
-            return r;
-        }
-    );
-    return statsObj.computeStats(linkExposureStorage);
-}
-
-
-function socialMediaLinkSharingStats(socialMediaLinkSharingStorage) {
-    const fbIndex = JSON.stringify({platform: "facebook"});
-    const twIndex = JSON.stringify({platform: "twitter"});
-    const rdIndex = JSON.stringify({platform: "reddit"});
-
-    const statsObj = new StorageStatistics(
-        () => {
-            const stats = {};
-            stats.linkSharesByPlatform = {}
-            stats.linkSharesByPlatform[fbIndex] = {trackedShares: {}, numUntrackedShares: 0};
-            stats.linkSharesByPlatform[twIndex] = {trackedShares: {}, numUntrackedShares: 0};
-            stats.linkSharesByPlatform[rdIndex] = {trackedShares: {}, numUntrackedShares: 0};
-
-            return stats;
-        },
-        (entry, stats) => {
-            const val = entry[1];
-            if (val.type == "untracked") {
-                stats.linkSharesByPlatform[JSON.stringify({platform: val.platform})].numUntrackedShares += val.count;
-            } else if (val.type == "share") {
-                let platformIndex = "";
-                if (val.platform == "facebook") platformIndex = fbIndex;
-                if (val.platform == "twitter") platformIndex = twIndex;
-                if (val.platform == "reddit") platformIndex = rdIndex;
-                let platformObj = stats.linkSharesByPlatform[platformIndex];
-                if (!platformObj) {
-                    stats.linkSharesByPlatform[platformIndex] = {};
-                    platformObj = stats.linkSharesByPlatform[platformIndex];
-                }
-
-                const hostname = getHostName(val.url);
-                const visitReferrer = val.prevVisitReferrer;
-                const date = new Date(val.shareTime);
-                const dayOfWeek = date.getUTCDay();
-                const hourOfDay = date.getUTCHours();
-                const timeOfDay = Math.floor(hourOfDay / 4) * 4;
-
-                const index = JSON.stringify({
-                    domain: hostname,
-                    classifierResults: val.classifierResults,
-                    audience: val.audience,
-                    source: val.source,
-                    visitReferrer: visitReferrer,
-                    prevExposed: val.prevExposed ? 1 : 0,
-                    dayOfWeek: dayOfWeek,
-                    timeOfDay: timeOfDay
-                });
-                let specificObj = platformObj.trackedShares[index];
-                if (specificObj) {
-                    specificObj.trackedSharesCount += 1;
-                } else {
-                    specificObj = {};
-                    specificObj.trackedSharesCount = 1;
-                    platformObj.trackedShares[index] = specificObj;
-                }
-            }
-        },
-        (r) => {
-            for (const platform in r.linkSharesByPlatform) {
-                const trackedShares = r.linkSharesByPlatform[platform].trackedShares;
-                const trackedSharesArray = Object.entries(trackedShares).map((pair) => {
-                    const entry = JSON.parse(pair[0]);
-                    entry.numShares = pair[1].trackedSharesCount;
-                    return entry;
-                });
-                r.linkSharesByPlatform[platform].trackedShares = trackedSharesArray;
-            }
-            const platforms = r.linkSharesByPlatform;
-            const platformsArray = Object.entries(platforms).map((pair) => {
-                const entry = JSON.parse(pair[0]);
-                entry.numUntrackedShares = pair[1].numUntrackedShares;
-                entry.trackedShares = pair[1].trackedShares;
-                return entry;
-            });
-            r.linkSharesByPlatform = platformsArray;
-            return r;
-        }
-    );
-    return statsObj.computeStats(socialMediaLinkSharingStorage);
+function sampleTwoSidedGeometric(epsilon) {
+    const logAlpha = -epsilon;
+    const sampleGeometric = () => Math.floor(Math.log(randomUniform()) / logAlpha);
+    return sampleGeometric() - sampleGeometric();
 }
 
 /**
- * Gets hostname from a given url string
- *
- * @param {string} url url string
- * @returns {string|null} hostname in the input url
+ * Sample from the Laplace distribution with mean 0.
+ * @param {number} scale - The scale of the distribution (i.e., sensitivity divided by epsilon).
+ * @returns {number} The noise.
+ * @private
  */
-function getHostName(url) {
-    const match = url.match(/:\/\/(www[0-9]?\.)?(.[^/:]+)/i);
-    if (match != null && match.length > 2 && typeof match[2] === 'string' && match[2].length > 0) {
-        return match[2];
-    }
-    return null;
+function sampleLaplace(scale) {
+    const u = randomUniform() - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - (2 * Math.abs(u)));
 }
 
 /**
- * Gets domain name from a url
+ * A mechanism for adding differential privacy noise to aggregate statistics that are
+ * bucketed (e.g., by domain, day of week, and time of day). Each record in storage must
+ * contribute to at most one bucket, adding at most 1 to each count and at most a known
+ * bound to each sum; the aggregation function is responsible for clamping each record's
+ * contribution to a sum. The guarantee is for individual records (i.e., events), not
+ * for all of a participant's events in a reporting window.
  *
- * @param {string} url url string
- * @returns {string|null} hostname in the input url
+ * Counts receive two-sided geometric noise and sums receive Laplace noise (rounded).
+ * Since one record can change every count and sum in its bucket, the mechanism's budget
+ * is divided equally among the counts and sums, so the noise for each field is scaled by
+ * the number of fields as well as by the field's bound. Noisy values are clamped to be
+ * non-negative, and buckets whose noisy count is below the suppression threshold are
+ * omitted. A mechanism can be applied more than once only to buckets and counts computed
+ * from disjoint sets of records (e.g., the buckets for different domains, or tracked and
+ * untracked events).
  */
-function getDomain(url) {
-    let urlObj;
-    try {
-        urlObj = new URL(url);
-    } catch { return ""; }
-    return urlObj.hostname;
-}
+class PrivacyMechanism {
+    /**
+     * Create a privacy mechanism.
+     * @param {Object} parameters - The parameters for the mechanism.
+     * @param {number} parameters.epsilon - The privacy budget for the mechanism.
+     * @param {number} parameters.suppressionThreshold - The minimum noisy count for a
+     * bucket to be included in results. The threshold must be positive, since the
+     * keys of the buckets that occur in the records would otherwise all be reported.
+     */
+    constructor({ epsilon, suppressionThreshold }) {
+        if (!((typeof suppressionThreshold === "number") && (suppressionThreshold > 0))) {
+            throw new Error("Error: the suppression threshold for a privacy mechanism must be a positive number");
+        }
+        this.epsilon = epsilon;
+        this.suppressionThreshold = suppressionThreshold;
+    }
 
-function getTrackedPathDest(url) {
-    // if this is a dest, it must have passed a destination check already
-    const fbResult = fbRegex.exec(url);
-    if (fbResult && fbMatcher.matches(url)) { return fbResult[0]; }
-    const twResult = twRegex.exec(url);
-    if (twResult && twMatcher.matches(url)) { return twResult[0]; }
-    const ytResult = ytRegex.exec(url);
-    if (ytResult && ytMatcher.matches(url)) { return ytResult[0]; }
-    return getDomain(url);
-}
+    /**
+     * Add noise to the counts and sums in an array of buckets, and suppress buckets with small counts.
+     * @param {Array<Object>} buckets - The buckets. Each bucket is an object with properties for
+     * the bucket's key (e.g., `domain`) and for its counts and sums.
+     * @param {Object} fields - The properties to add noise to.
+     * @param {Array<string>} fields.counts - The properties that are counts. The first count
+     * is the number of records in the bucket, which is compared to the suppression threshold.
+     * A count can also be a histogram (an array of counts), if each record adds 1 to only one
+     * entry in the histogram.
+     * @param {Object<string, number>} [fields.sums={}] - The properties that are sums, mapped to
+     * the maximum contribution of one record to the sum.
+     * @returns {Array<Object>} The buckets that were not suppressed, with noise added.
+     */
+    privatizeBuckets(buckets, { counts, sums = {} }) {
+        const epsilonPerField = this.epsilon / (counts.length + Object.keys(sums).length);
+        const privatizedBuckets = [];
+        for (const bucket of buckets) {
+            const addCountNoise = count => Math.max(0, count + sampleTwoSidedGeometric(epsilonPerField));
+            for (const countField of counts) {
+                bucket[countField] = Array.isArray(bucket[countField]) ?
+                    bucket[countField].map(addCountNoise) : addCountNoise(bucket[countField]);
+            }
+            for (const [sumField, bound] of Object.entries(sums)) {
+                bucket[sumField] = Math.max(0, Math.round(bucket[sumField] + sampleLaplace(bound / epsilonPerField)));
+            }
+            if (bucket[counts[0]] >= this.suppressionThreshold) {
+                privatizedBuckets.push(bucket);
+            }
+        }
+        return privatizedBuckets;
+    }
 
-function getTrackedPathSource(url) {
-    // a referrer hasn't necessarily passed a check
-    const fbResult = fbRegex.exec(url);
-    if (fbResult && fbMatcher.matches(url)) { return fbResult[0]; }
-    const twResult = twRegex.exec(url);
-    if (twResult && twMatcher.matches(url)) { return twResult[0]; }
-    const ytResult = ytRegex.exec(url);
-    if (ytResult && ytMatcher.matches(url)) { return ytResult[0]; }
-    if (referrerMatcher.matches(url)) { return getDomain(url); }
-    if (destinationMatcher.matches(url)) { return getDomain(url); }
-    return "other";
+    /**
+     * Add noise to a count that is reported on its own rather than in a bucket (e.g., a total
+     * of untracked events). The count is reported as 0 if its noisy value is below the
+     * suppression threshold, since the aggregation function reports the count either way.
+     * @param {number} count - The count.
+     * @param {number} [maxContribution=1] - The maximum that one record adds to the count,
+     * which scales the noise. The aggregation function is responsible for clamping each
+     * record's contribution to this bound (e.g., for a record with a `count` property).
+     * @returns {number} The count, with noise added.
+     */
+    privatizeCount(count, maxContribution = 1) {
+        const noisyCount = Math.max(0, count + sampleTwoSidedGeometric(this.epsilon / maxContribution));
+        return (noisyCount >= this.suppressionThreshold) ? noisyCount : 0;
+    }
 }
 
 /**
@@ -496,3 +463,64 @@ class MatchPatternSet {
     }
 }
 
+/**
+ * A RegExp for hostnames that are IP addresses, which do not have a public suffix.
+ * @constant
+ * @type {RegExp}
+ */
+const ipAddressRegExp = /^(?:\d+\.\d+\.\d+\.\d+|\[.*\]|.*:.*)$/;
+
+/**
+ * An object for identifying the registrable domain (the public suffix plus one label, or eTLD+1)
+ * of a hostname with the rules of the Public Suffix List. This is a copy of `PublicSuffixSet` in
+ * `WebScience.Utilities.Matching`, which the worker imports from the message it receives.
+ */
+class PublicSuffixSet {
+    constructor() {
+        this.rules = { };
+        this.wildcardRules = { };
+        this.exceptionRules = { };
+    }
+
+    /**
+     * Identifies the registrable domain (eTLD+1) of a hostname.
+     * @param {string} hostname - The hostname, as represented by the `URL` class (i.e., in Punycode).
+     * @returns {string} The registrable domain for the hostname. If the hostname is an IP address
+     * or is itself a public suffix, the hostname.
+     */
+    getETldPlusOne(hostname) {
+        hostname = hostname.toLowerCase();
+        if(hostname.endsWith("."))
+            hostname = hostname.substring(0, hostname.length - 1);
+        if(ipAddressRegExp.test(hostname))
+            return hostname;
+        const labels = hostname.split(".");
+        let publicSuffixLength = 1;
+        // Check each suffix of the hostname, from longest to shortest, against the rules
+        for(let i = 0; i < labels.length; i++) {
+            const suffix = labels.slice(i).join(".");
+            if(this.exceptionRules[suffix] === true) {
+                publicSuffixLength = labels.length - i - 1;
+                break;
+            }
+            if((this.rules[suffix] === true) ||
+                ((i < labels.length - 1) && (this.wildcardRules[labels.slice(i + 1).join(".")] === true))) {
+                publicSuffixLength = labels.length - i;
+                break;
+            }
+        }
+        if(publicSuffixLength >= labels.length)
+            return hostname;
+        return labels.slice(labels.length - publicSuffixLength - 1).join(".");
+    }
+
+    /**
+     * Imports the public suffix set from an opaque object previously generated by `export`.
+     * @param {exportedInternals} - The previously exported internals for the public suffix set.
+     */
+    import(exportedInternals) {
+        this.rules = exportedInternals.rules;
+        this.wildcardRules = exportedInternals.wildcardRules;
+        this.exceptionRules = exportedInternals.exceptionRules;
+    }
+}
@@ -26,9 +26,37 @@ const debugLog = Debugging.getDebuggingLog("Measurements.LinkExposure");
  * there is no referrer.
  * @property {number} pageVisitStartTime - The time when the underlying event fired.
  * @property {boolean} privateWindow - Whether the page is in a private window.
+ * @property {number} visThreshold - The visibility duration (in milliseconds) that the link was visible for,
+ * which is one of the listener's `linkVisibilityDurations`.
+ * @property {LinkExposureContext} context - Where on the page the link appeared.
  * @interface
  */
 
+/**
+ * Where on a page an exposed link appeared, as observed when the link first crossed a visibility duration.
+ * @typedef {Object} LinkExposureContext
+ * @property {string} type - What kind of link it was: `"headline"` (a link in or containing a heading),
+ * `"card"` (an embedded card, such as a link preview with an image and text), `"image"` (a link that
+ * is only an image), `"text"` (any other link), or `"unknown"` (if the content script did not report
+ * the context).
+ * @property {number|null} documentPosition - The vertical position (in pixels) of the top of the link,
+ * relative to the top of the document.
+ * @property {number|null} relativePosition - The vertical position of the top of the link, as a
+ * proportion of the document height.
+ * @property {boolean} inFeedItem - Whether the link was inside a social media feed item (e.g., a
+ * Facebook post or a tweet).
+ * @property {string} anchorText - The text of the link, with whitespace collapsed and truncated to
+ * 100 characters.
+ */
+
+/**
+ * The types of link exposure context that the content script can report.
+ * @constant
+ * @type {Array<string>}
+ * @private
+ */
+const linkExposureContextTypes = [ "headline", "card", "image", "text" ];
+
 /**
  * A callback function for the page data event.
  * @callback LinkExposureCallback
@@ -37,36 +65,214 @@ const debugLog = Debugging.getDebuggingLog("Measurements.LinkExposure");
 
 
 /**
- * Options when adding a link exposure event listener.
+ * Options when adding a link exposure event listener, or an untracked link exposure event
+ * listener. Each listener can have different options, and is only notified about exposures
+ * that match its options.
  * @typedef {Object} LinkExposureOptions
  * @property {Array<string>} [linkMatchPatterns=[]] - The links of interest for the measurement, specified with WebExtensions match patterns.
  * @property {Array<string>} [pageMatchPatterns=[]] - The pages (on which links occur) of interest for the measurement, specified with WebExtensions match patterns.
  * @property {boolean} [privateWindows=false] - Whether to measure links in private windows.
+ * @property {Array<number>} [linkVisibilityDurations=[5000]] - The durations (in milliseconds) that a link must be
+ * visible to treat it as an exposure. A link that is visible for longer than several durations is reported once
+ * per duration, with the duration as the exposure's `visThreshold`, so that a listener can measure how sensitive
+ * results are to the definition of an exposure.
+ * @property {number} [linkMinimumWidth=25] - The minimum width (in pixels) that a link must have to treat it as an exposure.
+ * @property {number} [linkMinimumHeight=15] - The minimum height (in pixels) that a link must have to treat it as an exposure.
+ * @property {number} [linkMinimumVisibility=0.7] - The minimum proportion of a link that must be in the viewport
+ * to treat the link as visible. The content script is shared by every listener, so it uses the lowest minimum
+ * visibility of any listener.
+ * @property {number} [updateInterval=2000] - How often (in milliseconds) the content script updates the time that
+ * visible links have been seen and reports exposures. The content script finds new links as they are added to the
+ * page, within at most this interval. The content script uses the shortest interval of any listener.
+ * @property {boolean} [ignoreSelfLinks=true] - Whether to ignore links where the link's registrable domain (eTLD+1)
+ * is identical to the page's registrable domain (e.g., a link from `www.nytimes.com` to `cooking.nytimes.com`).
+ */
+
+/**
+ * The default thresholds for a link exposure, used for any option that a listener does not specify.
+ * @constant
+ * @type {Object}
+ * @private
+ */
+const defaultThresholds = {
+    linkVisibilityDurations: [ 5000 ],
+    linkMinimumWidth: 25,
+    linkMinimumHeight: 15,
+    linkMinimumVisibility: 0.7,
+    updateInterval: 2000,
+    ignoreSelfLinks: true
+};
+
+/**
+ * The configuration for each link exposure and untracked link exposure listener, based on
+ * the options that the listener was added with.
+ * @type {Map<function, Object>}
+ * @private
+ */
+const listenerConfigs = new Map();
+
+/**
+ * Create the configuration for a listener from the options that it was added with.
+ * @param {LinkExposureOptions} options - The options for the listener.
+ * @returns {Object} The configuration for the listener.
+ * @private
+ */
+function createListenerConfig({
+    linkMatchPatterns = [],
+    pageMatchPatterns = [],
+    privateWindows = false,
+    linkVisibilityDurations = defaultThresholds.linkVisibilityDurations,
+    linkMinimumWidth = defaultThresholds.linkMinimumWidth,
+    linkMinimumHeight = defaultThresholds.linkMinimumHeight,
+    linkMinimumVisibility = defaultThresholds.linkMinimumVisibility,
+    updateInterval = defaultThresholds.updateInterval,
+    ignoreSelfLinks = defaultThresholds.ignoreSelfLinks
+} = {}) {
+    if (!Array.isArray(linkVisibilityDurations) || (linkVisibilityDurations.length === 0) ||
+        !linkVisibilityDurations.every(duration => (typeof duration === "number") && (duration >= 0)))
+        throw new Error("Error: linkVisibilityDurations must be a non-empty array of non-negative numbers.");
+    return {
+        linkMatchPatterns,
+        pageMatchPatterns,
+        linkMatcher: new Matching.MatchPatternSet(linkMatchPatterns),
+        pageMatcher: new Matching.MatchPatternSet(pageMatchPatterns),
+        privateWindows,
+        linkVisibilityDurations,
+        linkMinimumWidth,
+        linkMinimumHeight,
+        linkMinimumVisibility,
+        updateInterval,
+        ignoreSelfLinks
+    };
+}
+
+/**
+ * Combine the thresholds of the listeners into the thresholds for the content script, which
+ * is shared by every listener. The content script tracks every listener's visibility
+ * durations and uses the most permissive of the other thresholds, so that each listener can
+ * then be notified about the exposures that meet its own thresholds.
+ * @param {Array<Object>} configs - The configurations for the listeners.
+ * @returns {Object} The thresholds for the content script.
+ * @private
  */
+function combineThresholds(configs) {
+    if (configs.length === 0)
+        return { ...defaultThresholds };
+    const linkVisibilityDurations = new Set();
+    configs.forEach(config => {
+        config.linkVisibilityDurations.forEach(duration => { linkVisibilityDurations.add(duration); });
+    });
+    return {
+        linkVisibilityDurations: [...linkVisibilityDurations].sort((a, b) => a - b),
+        linkMinimumWidth: Math.min(...configs.map(config => config.linkMinimumWidth)),
+        linkMinimumHeight: Math.min(...configs.map(config => config.linkMinimumHeight)),
+        linkMinimumVisibility: Math.min(...configs.map(config => config.linkMinimumVisibility)),
+        updateInterval: Math.min(...configs.map(config => config.updateInterval)),
+        ignoreSelfLinks: configs.every(config => config.ignoreSelfLinks)
+    };
+}
 
 /**
- * Function to start measurement when a listener is added
- * TODO: deal with multiple listeners with different match patterns
+ * Function to start measurement for a listener when the listener is added, or to update
+ * the measurement if the listener's options changed.
  * @param {EventCallbackFunction} listener - new listener being added
  * @param {LinkExposureOptions} options - configuration for the events to be sent to this listener
  */
 function addListener(listener, options) {
-    startMeasurement(options);
+    listenerConfigs.set(listener, createListenerConfig(options));
+    updateMeasurement();
 }
 
+/**
+ * Function to configure a listener for untracked link exposures. If the listener has options,
+ * untracked exposures are counted relative to the listener's own options, so a link that
+ * another listener tracks is untracked for this listener if the link does not match this
+ * listener's link match patterns. Otherwise, untracked exposures are links that no listener
+ * tracks, on pages outside private windows.
+ * @param {EventCallbackFunction} listener - new listener being added
+ * @param {LinkExposureOptions} [options] - configuration for the events to be sent to this listener
+ */
 function addListenerUntracked(listener, options) {
     if (!onLinkExposure.hasAnyListeners()) {
         throw new Error("Cannot register listener for untracked links without listener for tracked");
     }
+    listenerConfigs.set(listener, (options !== undefined) ? createListenerConfig(options) : null);
+    // The listener's visibility durations might not be tracked yet
+    updateMeasurement();
 }
 
 /**
- * Function to end measurement when the last listener is removed
+ * Function to update measurement when a listener is removed, and end measurement
+ * when the last listener is removed
  * @param {EventCallbackFunction} listener - listener that was just removed
  */
 function removeListener(listener) {
-    if (!onLinkExposure.hasAnyListeners() && !onUntracked.hasAnyListeners()) {
-        stopMeasurement();
+    listenerConfigs.delete(listener);
+    updateMeasurement();
+}
+
+/**
+ * Function to check whether a listener should be notified about a link exposure.
+ * @param {EventCallbackFunction} listener - The listener that may be notified.
+ * @param {Array} listenerArguments - The link exposure event arguments.
+ * @returns {boolean} Whether the link exposure matches the listener's options.
+ */
+function notifyListenersCallback(listener, [ exposureEvent ]) {
+    const config = listenerConfigs.get(listener);
+    if (config === undefined || !matchesPage(config, exposureEvent) || !meetsThresholds(config, exposureEvent))
+        return false;
+    // A shortened link that could not be resolved might lead to a link of interest for any listener
+    if (exposureEvent.isShortenedUrl && !exposureEvent.resolutionSucceded)
+        return true;
+    return config.linkMatcher.matches(exposureEvent.url);
+}
+
+/**
+ * Check whether the page where links were exposed matches a listener's configuration.
+ * @param {Object} config - The listener's configuration.
+ * @param {Object} pageDetails - The page details.
+ * @param {string} pageDetails.pageUrl - The URL of the page.
+ * @param {boolean} pageDetails.privateWindow - Whether the page is in a private window.
+ * @returns {boolean} Whether the page matches.
+ * @private
+ */
+function matchesPage(config, { pageUrl, privateWindow }) {
+    return (config.privateWindows || !privateWindow) && config.pageMatcher.matches(pageUrl);
+}
+
+/**
+ * Check whether a link exposure meets the thresholds in a listener's configuration. The
+ * content script reports exposures with the most permissive thresholds of any listener,
+ * so an exposure might not meet a particular listener's thresholds.
+ * @param {Object} config - The listener's configuration.
+ * @param {Object} exposureEvent - The link exposure.
+ * @returns {boolean} Whether the exposure meets the thresholds.
+ * @private
+ */
+function meetsThresholds(config, exposureEvent) {
+    if (!config.linkVisibilityDurations.includes(exposureEvent.visThreshold))
+        return false;
+    if ((exposureEvent.width < config.linkMinimumWidth) || (exposureEvent.height < config.linkMinimumHeight))
+        return false;
+    return !config.ignoreSelfLinks || !isSelfLink(exposureEvent);
+}
+
+/**
+ * Check whether a link exposure is a link to the same registrable domain (eTLD+1) as the page
+ * where the link occurred.
+ * @param {Object} exposureEvent - The link exposure.
+ * @param {string} exposureEvent.originalUrl - The URL of the link.
+ * @param {string} exposureEvent.pageUrl - The URL of the page.
+ * @returns {boolean} Whether the link is a self-link.
+ * @private
+ */
+function isSelfLink({ originalUrl, pageUrl }) {
+    try {
+        return Matching.getETldPlusOne((new URL(originalUrl)).hostname) ===
+            Matching.getETldPlusOne((new URL(pageUrl)).hostname);
+    }
+    catch {
+        return false;
     }
 }
 
@@ -75,8 +281,12 @@ function removeListener(listener) {
  */
 export const onLinkExposure = new Events.Event({
     addListenerCallback: addListener,
-    removeListenerCallback: removeListener});
+    removeListenerCallback: removeListener,
+    notifyListenersCallback: notifyListenersCallback});
 
+/**
+ * @type {Events.Event<function, LinkExposureOptions>}
+ */
 export const onUntracked = new Events.Event({
     addListenerCallback: addListenerUntracked,
     removeListenerCallback: removeListener});
@@ -91,20 +301,83 @@ let initialized = false;
 let registeredCS = null;
 
 /**
- * Start a link exposure measurement. Note that only one measurement is currently supported per extension.
+ * The listener for link exposure messages from the content script, retained so that
+ * it can be unregistered when the measurement stops.
+ * @type {function|null}
+ * @private
+ */
+let exposureDataListener = null;
+
+/**
+ * A MatchPatternSet for the links that any listener tracks.
+ * @type {Matching.MatchPatternSet|null}
+ * @private
+ */
+let combinedLinkMatcher = null;
+
+/**
+ * A Promise for the measurement update in progress, if any, so that updates to the
+ * content script registration and stored RegExps do not overlap.
+ * @type {Promise}
+ * @private
+ */
+let measurementUpdate = Promise.resolve();
+
+/**
+ * Update the link exposure measurement to match the listeners' options. The content script
+ * runs on every page that matches any listener's page match patterns, and checks links
+ * against every listener's link match patterns. Updates run one at a time, in the order
+ * they were requested.
+ * @returns {Promise} A Promise that resolves once the update is complete.
+ * @private
+ */
+function updateMeasurement() {
+    measurementUpdate = measurementUpdate.then(applyMeasurementUpdate).catch((error) => {
+        debugLog(`Error updating link exposure measurement: ${error}`);
+    });
+    return measurementUpdate;
+}
+
+/**
+ * Start, reconfigure, or stop the link exposure measurement, depending on the current listeners.
+ * @private
+ */
+async function applyMeasurementUpdate() {
+    if (!onLinkExposure.hasAnyListeners() && !onUntracked.hasAnyListeners()) {
+        stopMeasurement();
+        return;
+    }
+    const linkMatchPatterns = new Set();
+    const pageMatchPatterns = new Set();
+    for (const listener of onLinkExposure.listeners.keys()) {
+        const config = listenerConfigs.get(listener);
+        if (config === undefined) continue;
+        config.linkMatchPatterns.forEach(matchPattern => { linkMatchPatterns.add(matchPattern); });
+        config.pageMatchPatterns.forEach(matchPattern => { pageMatchPatterns.add(matchPattern); });
+    }
+    const configs = [...listenerConfigs.values()].filter(config => config !== null);
+    await startMeasurement({
+        linkMatchPatterns: [...linkMatchPatterns],
+        pageMatchPatterns: [...pageMatchPatterns],
+        thresholds: combineThresholds(configs)
+    });
+}
+
+/**
+ * Start a link exposure measurement, or reconfigure a running measurement. The measurement
+ * is shared by every listener, so it is configured with the combined options of the listeners.
  * @param {Object} options - A set of options for the measurement.
  * @param {string[]} [options.linkMatchPatterns=[]] - The links to measure, specified with WebExtensions match patterns.
  * @param {string[]} [options.pageMatchPatterns=[]] - The pages where links should be measured, specified with WebExtensions match patterns.
- * @param {boolean} [options.privateWindows=false] - Whether to measure on pages in private windows.
+ * @param {Object} [options.thresholds] - The thresholds for the content script (see `combineThresholds`).
+ * @private
  */
 async function startMeasurement({
     linkMatchPatterns = [],
     pageMatchPatterns = [],
-    privateWindows = false
+    thresholds = defaultThresholds
 }) {
-    if(initialized)
-        return;
-    debugLog("Starting link exposure measurement");
+    debugLog(initialized ? "Updating link exposure measurement" : "Starting link exposure measurement");
 
     LinkResolution.initialize();
 
@@ -114,42 +387,84 @@ async function startMeasurement({
     const nextLinkExposureIdCounter = await (new Storage.Counter("WebScience.Measurements.LinkExposure.nextLinkExposureId")).initialize();
 
     // Generate RegExps for matching links, link shortener URLs, and AMP cache URLs
-    // Store the RegExps in browser.storage.local so the content script can retrieve them
-    // without recompilation
-    const linkMatcher = new Matching.MatchPatternSet(linkMatchPatterns);
+    // Store the RegExps, the thresholds, and the Public Suffix List in browser.storage.local
+    // so the content script can retrieve them without recompilation
+    combinedLinkMatcher = new Matching.MatchPatternSet(linkMatchPatterns);
     const urlShortenerRegExp = LinkResolution.urlShortenerRegExp;
     const ampRegExp = LinkResolution.ampRegExp;
     await browser.storage.local.set({
-        "WebScience.Measurements.LinkExposure.linkMatcher": linkMatcher.export(),
+        "WebScience.Measurements.LinkExposure.linkMatcher": combinedLinkMatcher.export(),
         "WebScience.Measurements.LinkExposure.urlShortenerRegExp": urlShortenerRegExp,
-        "WebScience.Measurements.LinkExposure.ampRegExp": ampRegExp
+        "WebScience.Measurements.LinkExposure.ampRegExp": ampRegExp,
+        "WebScience.Measurements.LinkExposure.thresholds": thresholds,
+        "WebScience.Measurements.LinkExposure.publicSuffixes": Matching.getPublicSuffixSet().export()
     });
 
-    // Add the content script for checking links on pages
-    registeredCS = await browser.contentScripts.register({
-        matches: pageMatchPatterns,
-        js: [{
-                file: "/WebScience/Measurements/content-scripts/linkExposure.js"
-            }],
-        runAt: "document_idle"
-    });
+    // Add the content script for checking links on pages, replacing the content script
+    // for the previous configuration (if any)
+    if (registeredCS) registeredCS.unregister();
+    registeredCS = null;
+    // A content script cannot be registered without match patterns
+    if (pageMatchPatterns.length > 0)
+        registeredCS = await browser.contentScripts.register({
+            matches: pageMatchPatterns,
+            js: [{
+                    file: "/WebScience/Measurements/content-scripts/linkExposure.js"
+                }],
+            runAt: "document_idle"
+        });
+
+    if (initialized)
+        return;
 
     // Listen for LinkExposure messages from content script
-    Messaging.registerListener("WebScience.Measurements.LinkExposure.exposureData", (exposureData) => {
-        // If the message is from a private window and the module isn't configured to measure
+    exposureDataListener = (exposureData) => {
+        // If the message is from a private window and no listener is configured to measure
         // private windows, ignore the message
-        if(exposureData.privateWindow && !privateWindows)
+        if (exposureData.privateWindow &&
+            ![...listenerConfigs.values()].some(config => (config !== null) && config.privateWindows))
             return;
 
-        if(exposureData.nonmatchingLinkExposures > 0)
-            onUntracked.notifyListeners([ {
-                count: exposureData.nonmatchingLinkExposures,
-                timeStamp: exposureData.pageVisitStartTime
-            } ]);
+        exposureData.linkExposures.forEach(linkExposure => {
+            linkExposure.pageUrl = exposureData.pageUrl;
+        });
+
+        // Each untracked listener counts, for each of its visibility durations, the links that
+        // no listener tracks, and the links that other listeners track but it does not
+        const visThresholds = new Set(Object.keys(exposureData.nonmatchingLinkExposures).map(Number));
+        exposureData.linkExposures.forEach(linkExposure => { visThresholds.add(linkExposure.visThreshold); });
+        for (const visThreshold of visThresholds) {
+            onUntracked.notifyEachListener((listener) => {
+                const config = listenerConfigs.get(listener);
+                if (config === undefined)
+                    return null;
+                let count = (visThreshold in exposureData.nonmatchingLinkExposures) ?
+                    exposureData.nonmatchingLinkExposures[visThreshold] : 0;
+                if (config === null) {
+                    if (exposureData.privateWindow)
+                        return null;
+                }
+                else {
+                    if (!matchesPage(config, exposureData) || !config.linkVisibilityDurations.includes(visThreshold))
+                        return null;
+                    count += exposureData.linkExposures.filter(linkExposure =>
+                        (linkExposure.visThreshold === visThreshold) &&
+                        meetsThresholds(config, linkExposure) &&
+                        !linkExposure.isShortenedUrl &&
+                        !config.linkMatcher.matches(linkExposure.originalUrl)).length;
+                }
+                if (count === 0)
+                    return null;
+                return [ {
+                    count,
+                    visThreshold,
+                    timeStamp: exposureData.pageVisitStartTime
+                } ];
+            });
+        }
 
         exposureData.linkExposures.forEach(async (linkExposure) => {
             linkExposure.pageId = exposureData.pageId;
-            linkExposure.pageUrl = exposureData.pageUrl;
             linkExposure.pageReferrer = exposureData.pageReferrer;
             linkExposure.pageVisitStartTime = exposureData.pageVisitStartTime;
             linkExposure.privateWindow = exposureData.privateWindow;
@@ -159,7 +474,7 @@ async function startMeasurement({
             if (linkExposure.isShortenedUrl) {
                 const promise = LinkResolution.resolveUrl(linkExposure.originalUrl);
                 promise.then(async function (result) {
-                    if (linkMatcher.matches(result.dest)) {
+                    if (combinedLinkMatcher !== null && combinedLinkMatcher.matches(result.dest)) {
                         linkExposure.resolvedUrl = result.dest;
                     }
                 }, function (error) {
@@ -175,22 +490,41 @@ async function startMeasurement({
             }
         });
 
-    }, {
+    };
+    Messaging.registerListener("WebScience.Measurements.LinkExposure.exposureData", exposureDataListener, {
         pageId: "string",
         pageUrl: "string",
         pageReferrer: "string",
         pageVisitStartTime: "number",
         privateWindow: "boolean",
-        nonmatchingLinkExposures: "number",
+        nonmatchingLinkExposures: "object",
         linkExposures: "object"
     });
 
     initialized = true;
 }
 
+/**
+ * Stop a link exposure measurement, unregistering the content script and the message
+ * listener and removing the RegExps stored for the content script.
+ */
 function stopMeasurement() {
+    if(!initialized)
+        return;
+    debugLog("Stopping link exposure measurement");
     if (registeredCS) registeredCS.unregister();
     registeredCS = null;
+    Messaging.unregisterListener("WebScience.Measurements.LinkExposure.exposureData", exposureDataListener, true);
+    exposureDataListener = null;
+    combinedLinkMatcher = null;
+    browser.storage.local.remove([
+        "WebScience.Measurements.LinkExposure.linkMatcher",
+        "WebScience.Measurements.LinkExposure.urlShortenerRegExp",
+        "WebScience.Measurements.LinkExposure.ampRegExp",
+        "WebScience.Measurements.LinkExposure.thresholds",
+        "WebScience.Measurements.LinkExposure.publicSuffixes"
+    ]);
+    initialized = false;
 }
 
 /* Utilities */
@@ -203,15 +537,36 @@ function stopMeasurement() {
  * @param {boolean} exposureEvent.resolutionSucceded - true if link resolution succeeded
  * @param {boolean} exposureEvent.isShortenedUrl - true if link matches short domains
  * @param {number} exposureEvent.firstSeen - timestamp when the link is first seen
- * @param {number} exposureEvent.duration - milliseconds of link exposure
- * @param {Object} exposureEvent.size - width and height of links
+ * @param {number} exposureEvent.visThreshold - the visibility duration (in milliseconds) that the link exposure crossed
+ * @param {number} exposureEvent.width - width of the link
+ * @param {number} exposureEvent.height - height of the link
+ * @param {Object} [exposureEvent.context] - where on the page the link appeared, as reported by the content script
  * @param {Storage.Counter} nextLinkExposureIdCounter - counter object
  */
 async function createLinkExposureRecord(exposureEvent, nextLinkExposureIdCounter) {
     exposureEvent.type = "linkExposure";
+    exposureEvent.context = createLinkExposureContext(exposureEvent.context);
     exposureEvent.url = (exposureEvent.isShortenedUrl && exposureEvent.resolutionSucceded ?
                          Matching.normalizeUrl(exposureEvent.resolvedUrl) :
                          Matching.normalizeUrl(exposureEvent.originalUrl));
     onLinkExposure.notifyListeners([ exposureEvent ]);
 }
 
+/**
+ * Create the structured context for a link exposure from the context that the content script
+ * reported, replacing any missing or malformed property with a default value.
+ * @param {Object} [context] - The context from the content script.
+ * @returns {LinkExposureContext} The context for the link exposure.
+ * @private
+ */
+function createLinkExposureContext(context) {
+    if ((typeof context !== "object") || (context === null))
+        context = {};
+    return {
+        type: linkExposureContextTypes.includes(context.type) ? context.type : "unknown",
+        documentPosition: (typeof context.documentPosition === "number") ? context.documentPosition : null,
+        relativePosition: (typeof context.relativePosition === "number") ? context.relativePosition : null,
+        inFeedItem: context.inFeedItem === true,
+        anchorText: (typeof context.anchorText === "string") ? context.anchorText : ""
+    };
+}
@@ -7,6 +7,10 @@
 import * as Events from "../Utilities/Events.js"
 import * as Messaging from "../Utilities/Messaging.js"
 import * as PageManager from "../Utilities/PageManager.js"
+import * as Matching from "../Utilities/Matching.js"
+import * as Debugging from "../Utilities/Debugging.js"
+
+const debugLog = Debugging.getDebuggingLog("Measurements.PageNavigation");
 
 /**
  * Additional information about the page data event.
@@ -30,30 +34,60 @@ import * as PageManager from "../Utilities/PageManager.js"
  */
 
 /**
- * Options when adding a page data event listener.
+ * Options when adding a page data event listener. Each listener can have different options,
+ * and is only notified about pages that match its options.
  * @typedef {Object} PageDataOptions
- * @property {Array<string>} [matchPattern=[]] - The webpages of interest for the measurement, specified with WebExtensions match patterns.
+ * @property {Array<string>} [matchPatterns=[]] - The webpages of interest for the measurement, specified with WebExtensions match patterns.
  * @property {boolean} [privateWindows=false] - Whether to measure pages in private windows.
  */
 
 /**
- * Function to start measurement when a listener is added
- * TODO: deal with multiple listeners with different match patterns
+ * The configuration for each page data listener, based on the options that the listener
+ * was added with.
+ * @type {Map<pageDataCallback, Object>}
+ * @private
+ */
+const listenerConfigs = new Map();
+
+/**
+ * Function to start measurement for a listener when the listener is added, or to update
+ * the measurement if the listener's options changed.
  * @param {EventCallbackFunction} listener - new listener being added
  * @param {PageDataOptions} options - configuration for the events to be sent to this listener
  */
-function addListener(listener, options) {
-    startMeasurement(options);
+function addListener(listener, {
+    matchPatterns = [ ],
+    privateWindows = false
+} = { }) {
+    listenerConfigs.set(listener, {
+        matchPatterns,
+        matcher: new Matching.MatchPatternSet(matchPatterns),
+        privateWindows
+    });
+    updateMeasurement();
 }
 
 /**
- * Function to end measurement when the last listener is removed
+ * Function to update measurement when a listener is removed, and end measurement
+ * when the last listener is removed
  * @param {EventCallbackFunction} listener - listener that was just removed
  */
 function removeListener(listener) {
-    if (!this.hasAnyListeners()) {
-        stopMeasurement();
-    }
+    listenerConfigs.delete(listener);
+    updateMeasurement();
+}
+
+/**
+ * Function to check whether a listener should be notified about a page.
+ * @param {EventCallbackFunction} listener - The listener that may be notified.
+ * @param {Array} listenerArguments - The page data event arguments.
+ * @returns {boolean} Whether the page matches the listener's options.
+ */
+function notifyListenersCallback(listener, [ pageData ]) {
+    const config = listenerConfigs.get(listener);
+    if(config === undefined)
+        return false;
+    return (config.privateWindows || !pageData.privateWindow) && config.matcher.matches(pageData.url);
 }
 
 /**
@@ -61,7 +95,8 @@ function removeListener(listener) {
  */
 export const onPageData = new Events.Event({
     addListenerCallback: addListener,
-    removeListenerCallback: removeListener});
+    removeListenerCallback: removeListener,
+    notifyListenersCallback: notifyListenersCallback});
 
 /**
  * The registered page navigation content script.
@@ -70,48 +105,80 @@ export const onPageData = new Events.Event({
 let registeredContentScript = null;
 
 /**
- * Whether to notify the page data listener about private windows.
+ * Whether the message listener for page data is registered.
+ * @type {boolean}
+ * @private
  */
-let notifyAboutPrivateWindows = false;
+let measuring = false;
+
+/**
+ * A Promise for the measurement update in progress, if any, so that updates to the
+ * content script registration do not overlap.
+ * @type {Promise}
+ * @private
+ */
+let measurementUpdate = Promise.resolve();
 
 /**
  * A function that is called when the content script sends a page data event message.
  * @param {PageData} pageData - Information about the page.
  */
 function pageDataListener(pageData) {
-    // If the page is in a private window and the module should not measure private windows,
-    // ignore the page
-    if(!notifyAboutPrivateWindows && pageData.privateWindow)
-        return;
-
     // Delete the type string from the content script message
     // There isn't (yet) a good way to document this in JSDoc, because there isn't support
     // for object inheritance
     delete pageData.type;
 
+    // Only listeners whose options match the page are notified (see notifyListenersCallback)
     onPageData.notifyListeners([ pageData ]);
 }
 
 /**
- * Start a navigation measurement. Note that only one measurement is currently supported per extension.
- * @param {PageDataOptions} options - A set of options for the measurement.
+ * Update the navigation measurement to match the listeners' options. The content script
+ * is registered for every page that matches any listener's match patterns. Updates run
+ * one at a time, in the order they were requested.
+ * @returns {Promise} A Promise that resolves once the update is complete.
+ * @private
  */
-export async function startMeasurement({
-    matchPatterns = [ ],
-    privateWindows = false
-}) {
-    await PageManager.initialize();
+function updateMeasurement() {
+    measurementUpdate = measurementUpdate.then(applyMeasurementUpdate).catch((error) => {
+        debugLog(`error updating measurement: ${error}`);
+    });
+    return measurementUpdate;
+}
 
-    notifyAboutPrivateWindows = privateWindows;
+/**
+ * Start, reconfigure, or stop the navigation measurement, depending on the current listeners.
+ * @private
+ */
+async function applyMeasurementUpdate() {
+    if(registeredContentScript !== null)
+        registeredContentScript.unregister();
+    registeredContentScript = null;
 
-    registeredContentScript = await browser.contentScripts.register({
-        matches: matchPatterns,
-        js: [{
-            file: "/WebScience/Measurements/content-scripts/pageNavigation.js"
-        }],
-        runAt: "document_start"
-    });
+    if(listenerConfigs.size === 0) {
+        stopMeasurement();
+        return;
+    }
+
+    await PageManager.initialize();
 
+    const matchPatterns = new Set();
+    for(const config of listenerConfigs.values())
+        config.matchPatterns.forEach(matchPattern => { matchPatterns.add(matchPattern); });
+    // A content script cannot be registered without match patterns
+    if(matchPatterns.size > 0)
+        registeredContentScript = await browser.contentScripts.register({
+            matches: [ ...matchPatterns ],
+            js: [{
+                file: "/WebScience/Measurements/content-scripts/pageNavigation.js"
+            }],
+            runAt: "document_start"
+        });
+
+    if(measuring)
+        return;
+    measuring = true;
     Messaging.registerListener("WebScience.Measurements.PageNavigation.PageData", pageDataListener,
     {
         pageId: "string",
@@ -129,11 +196,11 @@ export async function startMeasurement({
 
 /**
  * Stop a navigation measurement.
+ * @private
  */
 function stopMeasurement() {
-    Messaging.unregisterListener("WebScience.Measurements.PageNavigation.PageData", pageDataListener)
-    registeredContentScript.unregister();
-    registeredContentScript = null;
-    notifyAboutPrivateWindows = false;
+    if(!measuring)
+        return;
+    measuring = false;
+    Messaging.unregisterListener("WebScience.Measurements.PageNavigation.PageData", pageDataListener, true);
 }
-
@@ -15,7 +15,8 @@ const debugLog = Debugging.getDebuggingLog("SocialMediaLinkSharing");
 
 
 /**
- * A MatchPatternSet object for testing urls
+ * A MatchPatternSet object for testing urls, combining the destination match patterns
+ * of every listener
  * @type {Object}
  * @private
  */
@@ -30,29 +31,120 @@ let twitterPrivacySetting = "unknown";
  */
 
 /**
- * Options when adding a social media share event listener.
+ * Options when adding a social media share event listener. Each listener can have different
+ * options, and is only notified about shares that match its options.
  * @typedef {Object} SocialMediaShareOptions
- * @property {Array<string>} [matchPattern=[]] - The webpages of interest for the measurement, specified with WebExtensions match patterns.
+ * @property {Array<string>} [destinationMatchPatterns=[]] - The webpages of interest for the measurement, specified with WebExtensions match patterns.
+ * @property {boolean} [facebook=false] - Whether to track URL shares on Facebook.
+ * @property {boolean} [twitter=false] - Whether to track URL shares on Twitter.
+ * @property {boolean} [reddit=false] - Whether to track URL shares on Reddit, including links in
+ * comments and upvotes on link posts.
+ * @property {boolean} [youtube=false] - Whether to track video shares on YouTube. A YouTube share
+ * is opening the share dialog for a video, since the module does not observe whether the user
+ * then copies or shares the link to the video. A share is tracked if the channel that
+ * published the video matches the destination match patterns, and the share's URL is the
+ * channel's URL.
+ * @property {boolean} [mastodon=false] - Whether to track URL shares on Mastodon instances.
  */
 
 /**
- * Function to start measurement when a listener is added
- * TODO: deal with multiple listeners with different match patterns
+ * The platforms that the module can track shares on, with the callback for each platform's
+ * activity and the event type for untracked shares on the platform.
+ * @const {Object}
+ * @private
+ */
+const platforms = {
+    facebook: {
+        register: () => { SocialMediaActivity.registerFacebookActivityTracker(facebookLinks, ["post", "reshare", "react", "comment"]); },
+        callback: facebookLinks,
+        untrackedType: "untrackedFacebook"
+    },
+    twitter: {
+        register: () => { SocialMediaActivity.registerTwitterActivityTracker(twitterLinks, ["tweet", "retweet", "favorite"]); },
+        callback: twitterLinks,
+        untrackedType: "untrackedTwitter"
+    },
+    reddit: {
+        register: () => { SocialMediaActivity.registerRedditActivityTracker(redditLinks, ["post", "comment", "postVote"]); },
+        callback: redditLinks,
+        untrackedType: "untrackedReddit"
+    },
+    youtube: {
+        register: () => { SocialMediaActivity.registerYouTubeActivityTracker(youtubeLinks, ["share"]); },
+        callback: youtubeLinks,
+        untrackedType: "untrackedYouTube"
+    },
+    mastodon: {
+        register: () => { SocialMediaActivity.registerMastodonActivityTracker(mastodonLinks, ["post", "reblog", "favourite"]); },
+        callback: mastodonLinks,
+        untrackedType: "untrackedMastodon"
+    }
+};
+
+/**
+ * The configuration for each share listener, based on the options that the listener
+ * was added with.
+ * @type {Map<socialMediaShareCallback, Object>}
+ * @private
+ */
+const listenerConfigs = new Map();
+
+/**
+ * The platforms that the module is currently tracking shares on.
+ * @type {Set<string>}
+ * @private
+ */
+const activePlatforms = new Set();
+
+/**
+ * Function to start measurement for a listener when the listener is added, or to update
+ * the measurement if the listener's options changed.
  * @param {EventCallbackFunction} listener - new listener being added
  * @param {SocialMediaShareOptions} options - configuration for the events to be sent to this listener
  */
-function addListener(listener, options) {
-    startMeasurement(options);
+function addListener(listener, {
+    destinationMatchPatterns = [],
+    facebook = false,
+    twitter = false,
+    reddit = false,
+    youtube = false,
+    mastodon = false
+} = {}) {
+    const listenerPlatforms = new Set();
+    if (facebook) listenerPlatforms.add("facebook");
+    if (twitter) listenerPlatforms.add("twitter");
+    if (reddit) listenerPlatforms.add("reddit");
+    if (youtube) listenerPlatforms.add("youtube");
+    if (mastodon) listenerPlatforms.add("mastodon");
+    listenerConfigs.set(listener, {
+        destinationMatchPatterns,
+        destinationMatcher: new Matching.MatchPatternSet(destinationMatchPatterns),
+        platforms: listenerPlatforms
+    });
+    updateMeasurement();
 }
 
 /**
- * Function to end measurement when the last listener is removed
+ * Function to update measurement when a listener is removed, and end measurement
+ * when the last listener is removed
  * @param {EventCallbackFunction} listener - listener that was just removed
  */
 function removeListener(listener) {
-    if (!this.hasAnyListeners()) {
-        stopMeasurement();
-    }
+    listenerConfigs.delete(listener);
+    updateMeasurement();
+}
+
+/**
+ * Function to check whether a listener should be notified about a share.
+ * @param {EventCallbackFunction} listener - The listener that may be notified.
+ * @param {Array} listenerArguments - The share event arguments.
+ * @returns {boolean} Whether the share matches the listener's options.
+ */
+function notifyListenersCallback(listener, [ shareEvent ]) {
+    const config = listenerConfigs.get(listener);
+    if (config === undefined) return false;
+    return config.platforms.has(shareEvent.value.platform) &&
+        config.destinationMatcher.matches(shareEvent.value.url);
 }
 
 /**
@@ -60,37 +152,65 @@ function removeListener(listener) {
  */
 export const onShare = new Events.Event({
     addListenerCallback: addListener,
-    removeListenerCallback: removeListener});
+    removeListenerCallback: removeListener,
+    notifyListenersCallback: notifyListenersCallback});
 
 /**
- * Start a social media sharing study. Note that only one study is supported per extension.
- * @param {Object} options - A set of options for the study.
- * @param {string[]} [options.domains=[]] - The domains of interest for the study.
- * @param {boolean} [options.facebook=false] - Whether to track URL shares on Facebook.
- * @param {boolean} [options.twitter=false] - Whether to track URL shares on Twitter.
- * @param {boolean} [options.reddit=false] - Whether to track URL shares on Reddit.
+ * Update the social media sharing measurement to match the listeners' options, tracking
+ * each platform that any listener tracks and matching the destinations that any listener
+ * tracks. Stops the measurement and clears cached state when there are no listeners.
+ * @private
  */
-async function startMeasurement({
-    destinationMatchPatterns = [],
-    facebook = false,
-    twitter = false,
-    reddit = false
-}) {
-    if (facebook) {
-        SocialMediaActivity.registerFacebookActivityTracker(facebookLinks, ["post", "reshare"]);
-    }
-    if (reddit) {
-        SocialMediaActivity.registerRedditActivityTracker(redditLinks, ["post"]);
+function updateMeasurement() {
+    const destinationMatchPatterns = new Set();
+    const listenerPlatforms = new Set();
+    for (const config of listenerConfigs.values()) {
+        config.destinationMatchPatterns.forEach(matchPattern => { destinationMatchPatterns.add(matchPattern); });
+        config.platforms.forEach(platform => { listenerPlatforms.add(platform); });
     }
-    if (twitter) {
-        SocialMediaActivity.registerTwitterActivityTracker(twitterLinks, ["tweet", "retweet", "favorite"]);
+
+    for (const platform in platforms) {
+        if (listenerPlatforms.has(platform) && !activePlatforms.has(platform)) {
+            platforms[platform].register();
+            activePlatforms.add(platform);
+        }
+        else if (!listenerPlatforms.has(platform) && activePlatforms.has(platform)) {
+            SocialMediaActivity.unregisterActivityTracker(platforms[platform].callback);
+            activePlatforms.delete(platform);
+        }
     }
 
-    destinationMatcher = new Matching.MatchPatternSet(destinationMatchPatterns);
+    if (listenerConfigs.size > 0) {
+        destinationMatcher = new Matching.MatchPatternSet([...destinationMatchPatterns]);
+    } else {
+        // Forget the Twitter account status, since it might change before the next measurement
+        destinationMatcher = null;
+        twitterPrivacySetting = "unknown";
+    }
 }
 
-function stopMeasurement() {
-    //TODO
+/**
+ * Notify listeners about the shares from a platform event. Each listener is notified about
+ * the shares that match its options, then about the number of untracked shares, which
+ * includes the shares that other listeners track but it does not.
+ * @param {string} platform - The platform where the shares occurred.
+ * @param {Array<Object>} shareRecords - The shares of links that any listener tracks.
+ * @param {number} numUntrackedShares - The number of shares of links that no listener tracks.
+ * @private
+ */
+function notifyShares(platform, shareRecords, numUntrackedShares) {
+    for (const shareRecord of shareRecords) {
+        onShare.notifyListeners([ {"type": "share", "value": shareRecord} ]);
+    }
+    onShare.notifyEachListener((listener) => {
+        const config = listenerConfigs.get(listener);
+        if ((config === undefined) || !config.platforms.has(platform)) return null;
+        const numOtherShares = shareRecords.filter(
+            shareRecord => !config.destinationMatcher.matches(shareRecord.url)).length;
+        return [ {
+            "type": platforms[platform].untrackedType,
+            "value": numUntrackedShares + numOtherShares } ];
+    });
 }
 
 function isTwitterLink(url) {
@@ -227,6 +347,7 @@ async function twitterLinks(details) {
         }
     }
     urlsToSave = deduplicateUrls(urlsToSave);
+    const shareRecords = [];
     for (const urlToSave of urlsToSave) {
         const shareRecord = await createShareRecord({
             shareTime: details.eventTime,
@@ -235,7 +356,7 @@ async function twitterLinks(details) {
             audience: twitterPrivacySetting,
             eventType: details.eventType
         });
-        onShare.notifyListeners([ {"type": "share", "value": shareRecord} ]);
+        shareRecords.push(shareRecord);
         debugLog("Twitter: " + JSON.stringify(shareRecord));
     }
     let newUntracked = 0;
@@ -245,14 +366,13 @@ async function twitterLinks(details) {
             newUntracked++;
         }
     }
-    onShare.notifyListeners([ {
-        "type": "untrackedTwitter",
-        "value": newUntracked }]);
+    notifyShares("twitter", shareRecords, newUntracked);
 }
 
 /**
  * The callback for Facebook events.
- * We track posts and reshares of posts, and only care about links within them.
+ * We track posts, reshares of posts, and comments, and only care about links within them.
+ *  We also track reactions to posts, and only care about links within the post reacted to.
  * @param details - the description of the event
  */
 async function facebookLinks(details) {
@@ -278,35 +398,79 @@ async function facebookLinks(details) {
         }
 
     } else if (details.eventType == "react") {
-        const post = await SocialMediaActivity.getFacebookPostContents(details.postId);
-        for (const contentItem of post.content) {
-            const postTokens = contentItem.split(/\s+/);
-            await extractRelevantUrlsFromTokens(postTokens, urlsToSave, urlsNotToSave);
+        // Removing a reaction is not a share
+        if (details.reactionType == "remove") return;
+        try {
+            const post = await SocialMediaActivity.getFacebookPostContents(details.postId);
+            for (const contentItem of post.content) {
+                const postTokens = contentItem.split(/\s+/);
+                await extractRelevantUrlsFromTokens(postTokens, urlsToSave, urlsNotToSave);
+            }
+            await extractRelevantUrlsFromTokens(post.attachedUrls, urlsToSave, urlsNotToSave);
+        } catch {
+            debugLog("failed retrieving the facebook post that was reacted to");
         }
-        await extractRelevantUrlsFromTokens(post.attachedUrls, urlsToSave, urlsNotToSave);
-        details.eventType = details.eventType + " " + details.reactionType;
+
+    } else if (details.eventType == "comment") {
+        await extractRelevantUrlsFromTokens(details.commentText.split(/\s+/), urlsToSave, urlsNotToSave);
     }
     urlsToSave = deduplicateUrls(urlsToSave);
+    const shareRecords = [];
     for (const urlToSave of urlsToSave) {
         const shareRecord = await createShareRecord({shareTime: details.eventTime,
                                                    platform: "facebook",
-                                                   audience: details.audience,
+                                                   audience: ("audience" in details) ? details.audience : "unknown",
                                                    url: urlToSave,
                                                    eventType: details.eventType,
-                                                   source: details.source});
-        onShare.notifyListeners([ {"type": "share", "value": shareRecord} ]);
+                                                   source: details.source,
+                                                   reactionType: details.reactionType,
+                                                   targetPostId: details.postId});
+        shareRecords.push(shareRecord);
         debugLog("Facebook: " + JSON.stringify(shareRecord));
     }
     urlsNotToSave = deduplicateUrls(urlsNotToSave);
-    onShare.notifyListeners([ {
-        "type": "untrackedFacebook",
-        "value": urlsNotToSave.size }]);
+    notifyShares("facebook", shareRecords, urlsNotToSave.size);
 }
 
 
+/**
+ * Extract the urls from Reddit rich text (see `SocialMediaActivity`).
+ * @param {Array<Array<Object>>} paragraphs - the paragraphs of rich text
+ * @param {String[]} urlsToSave - an array to add the relevant urls to
+ * @param {String[]} urlsNotToSave - an array to add the other urls to
+ */
+async function extractUrlsFromRedditRichText(paragraphs, urlsToSave, urlsNotToSave) {
+    for (const paragraph of paragraphs) {
+        for (const content of paragraph) {
+            if (content.e == "text") await extractRelevantUrlsFromTokens(content.t.split(/\s+/), urlsToSave, urlsNotToSave);
+            if (content.e == "link") await extractRelevantUrlsFromTokens([content.t], urlsToSave, urlsNotToSave);
+        }
+    }
+}
+
+/**
+ * Retrieve a Reddit post or comment, and the audience of the subreddit it is in.
+ * @param {string} thingId - the ID of the post or comment (with a "t1_" or "t3_" prefix)
+ * @returns {Object} - the post or comment data (see the Reddit API), or null if it could not
+ * be retrieved, and the audience
+ */
+async function getRedditThingAndAudience(thingId) {
+    try {
+        const thingContents = await SocialMediaActivity.getRedditThingContents(thingId);
+        const thing = thingContents.data.children[0].data;
+        const audience = ("subreddit" in thing) ?
+            await SocialMediaActivity.checkSubredditStatus(thing.subreddit) : "unknown";
+        return { thing, audience };
+    } catch {
+        debugLog("Failed retrieving Reddit post or comment " + thingId);
+        return { thing: null, audience: "unknown" };
+    }
+}
+
 /**
  * The callback for Reddit events.
- * We track posts, and only care about links within them,
+ * We track posts and comments, and only care about links within them. We also track upvotes
+ *  on link posts, and only care about the link that was posted.
  * @param details - the description of the event
  */
 async function redditLinks(details) {
@@ -315,30 +479,104 @@ async function redditLinks(details) {
     let audience = "unknown";
     if (details.eventType == "post") {
         await extractRelevantUrlsFromTokens([details.attachment], urlsToSave, urlsNotToSave);
-        for (const paragraph of details.postBody) {
-            for (const content of paragraph) {
-                if (content.e == "text") await extractRelevantUrlsFromTokens(content.t.split(/\s+/), urlsToSave, urlsNotToSave);
-                if (content.e == "link") await extractRelevantUrlsFromTokens([content.t], urlsToSave, urlsNotToSave);
-            }
-        }
+        await extractUrlsFromRedditRichText(details.postBody, urlsToSave, urlsNotToSave);
         if ("subredditName" in details) {
             audience = await SocialMediaActivity.checkSubredditStatus(details.subredditName);
         }
+
+    } else if (details.eventType == "comment") {
+        await extractUrlsFromRedditRichText(details.commentBody, urlsToSave, urlsNotToSave);
+        await extractRelevantUrlsFromTokens(details.commentText.split(/\s+/), urlsToSave, urlsNotToSave);
+        // A comment is visible to the audience of the post that it is in
+        if (urlsToSave.length > 0) {
+            audience = (await getRedditThingAndAudience(details.postId)).audience;
+        }
+
+    } else if (details.eventType == "postVote") {
+        // Only upvotes on link posts are shares; downvotes and removing a vote are not
+        if (details.vote != "1") return;
+        const { thing, audience: postAudience } = await getRedditThingAndAudience(details.postId);
+        if ((thing === null) || thing.is_self || !thing.url) return;
+        await extractRelevantUrlsFromTokens([thing.url], urlsToSave, urlsNotToSave);
+        audience = postAudience;
     }
     urlsToSave = deduplicateUrls(urlsToSave);
+    const shareRecords = [];
     for (const urlToSave of urlsToSave) {
         const shareRecord = await createShareRecord({shareTime: details.eventTime,
                                                    platform: "reddit",
                                                    url: urlToSave,
                                                    audience: audience,
                                                    eventType: details.eventType});
-        onShare.notifyListeners([ {"type": "share", "value": shareRecord} ]);
+        shareRecords.push(shareRecord);
         debugLog("Reddit: " + JSON.stringify(shareRecord));
     }
     urlsNotToSave = deduplicateUrls(urlsNotToSave);
-    onShare.notifyListeners([ {
-        "type": "untrackedReddit",
-        "value": urlsNotToSave.size }]);
+    notifyShares("reddit", shareRecords, urlsNotToSave.size);
+}
+
+/**
+ * The callback for YouTube events.
+ * We track shares of videos (opening the share dialog for a video). Since YouTube pages
+ * of interest are identified by channel, a share is attributed to the channel that
+ * published the video.
+ * @param details - the description of the event
+ */
+async function youtubeLinks(details) {
+    const channel = await SocialMediaActivity.getYouTubeVideoChannel(details.videoId);
+    if (destinationMatcher === null) return;
+    const channelUrl = channel.channelUrls.find((url) => destinationMatcher.matches(url));
+    const shareRecords = [];
+    if (channelUrl !== undefined) {
+        const shareRecord = await createShareRecord({shareTime: details.eventTime,
+                                                   platform: "youtube",
+                                                   url: Matching.normalizeUrl(channelUrl),
+                                                   audience: "unknown",
+                                                   eventType: details.eventType});
+        shareRecords.push(shareRecord);
+        debugLog("YouTube: " + JSON.stringify(shareRecord));
+    }
+    notifyShares("youtube", shareRecords, (channelUrl === undefined) ? 1 : 0);
+}
+
+/**
+ * The callback for Mastodon events.
+ * We track posts, reblogs, and favourites of statuses, and only care about links within them.
+ *  The audience is the visibility of the post or reblog, or of the status that was favourited.
+ * @param details - the description of the event
+ */
+async function mastodonLinks(details) {
+    let urlsToSave = [];
+    let urlsNotToSave = [];
+    let audience = "unknown";
+    if (details.eventType == "post") {
+        await extractRelevantUrlsFromTokens(details.postText.split(/\s+/), urlsToSave, urlsNotToSave);
+        audience = details.visibility;
+
+    } else if (details.eventType == "reblog" || details.eventType == "favourite") {
+        const status = await SocialMediaActivity.getMastodonStatus(details.instance, details.statusId);
+        if (status === null) {
+            debugLog("failed retrieving Mastodon status " + details.statusId);
+            return;
+        }
+        await extractRelevantUrlsFromTokens(SocialMediaActivity.getMastodonStatusUrls(status),
+            urlsToSave, urlsNotToSave);
+        audience = (details.eventType == "reblog") ? details.visibility :
+            (status.visibility ? status.visibility : "unknown");
+    }
+    urlsToSave = deduplicateUrls(urlsToSave);
+    const shareRecords = [];
+    for (const urlToSave of urlsToSave) {
+        const shareRecord = await createShareRecord({shareTime: details.eventTime,
+                                                   platform: "mastodon",
+                                                   url: urlToSave,
+                                                   audience: audience,
+                                                   eventType: details.eventType});
+        shareRecords.push(shareRecord);
+        debugLog("Mastodon: " + JSON.stringify(shareRecord));
+    }
+    urlsNotToSave = deduplicateUrls(urlsNotToSave);
+    notifyShares("mastodon", shareRecords, urlsNotToSave.size);
 }
 
 /* Utilities */
@@ -350,15 +588,21 @@ async function redditLinks(details) {
  * shared the URL.
  * @param {string} url - The URL that the user shared.
  * @param {string} event - The type of sharing event.
+ * @param {string} [reactionType] - For a reaction, the type of reaction (e.g., "like").
+ * @param {string} [targetPostId] - For a reaction or comment, the post that the user
+ * reacted to or commented on.
  * @returns {Object} - An object containing the `shareTime`, `platform`,
- * `url`, `audience`, `source`, and `event` as properties.
+ * `url`, `audience`, `source`, and `event` as properties, and the `reactionType`
+ * and `targetPostId` if the share is a reaction or comment.
  */
 async function createShareRecord({shareTime = "",
                                   platform = "",
                                   url = "",
                                   eventType = "",
                                   audience = "",
-                                  source = ""}) {
+                                  source = "",
+                                  reactionType = "",
+                                  targetPostId = ""}) {
     // Not currently reported in pings
     /*
     const historyVisits = await browser.history.search({
@@ -367,8 +611,11 @@ async function createShareRecord({shareTime = "",
     });
     */
     const type = "linkShare";
-    return { type, shareTime, platform, url, eventType,/* classifierResults,*/
+    const shareRecord = { type, shareTime, platform, url, eventType,/* classifierResults,*/
              audience, source};
+    if (reactionType) shareRecord.reactionType = reactionType;
+    if (targetPostId) shareRecord.targetPostId = targetPostId;
+    return shareRecord;
 }
 
 /**
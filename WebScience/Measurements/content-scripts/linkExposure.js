@@ -112,54 +112,158 @@
             this.patternsByHost = exportedInternals.patternsByHost;
         }
     }
+
     /**
-     * How often (in milliseconds) to check the page for new links.
+     * A RegExp for hostnames that are IP addresses, which do not have a public suffix.
      * @constant
-     * @type {number}
+     * @type {RegExp}
      */
-    const updateInterval = 2000;
+    const ipAddressRegExp = /^(?:\d+\.\d+\.\d+\.\d+|\[.*\]|.*:.*)$/;
 
     /**
-     * How long (in milliseconds) after losing attention to stop checking the links on the page.
-     * The content script will resume checking links after regaining attention.
+     * An object for identifying the registrable domain (the public suffix plus one label, or eTLD+1)
+     * of a hostname with the rules of the Public Suffix List. This is a copy of `PublicSuffixSet` in
+     * `WebScience.Utilities.Matching`, which the content script imports from extension storage.
+     */
+    class PublicSuffixSet {
+        constructor() {
+            this.rules = { };
+            this.wildcardRules = { };
+            this.exceptionRules = { };
+        }
+
+        /**
+         * Identifies the registrable domain (eTLD+1) of a hostname.
+         * @param {string} hostname - The hostname, as represented by the `URL` class (i.e., in Punycode).
+         * @returns {string} The registrable domain for the hostname. If the hostname is an IP address
+         * or is itself a public suffix, the hostname.
+         */
+        getETldPlusOne(hostname) {
+            hostname = hostname.toLowerCase();
+            if(hostname.endsWith("."))
+                hostname = hostname.substring(0, hostname.length - 1);
+            if(ipAddressRegExp.test(hostname))
+                return hostname;
+            const labels = hostname.split(".");
+            let publicSuffixLength = 1;
+            // Check each suffix of the hostname, from longest to shortest, against the rules
+            for(let i = 0; i < labels.length; i++) {
+                const suffix = labels.slice(i).join(".");
+                if(this.exceptionRules[suffix] === true) {
+                    publicSuffixLength = labels.length - i - 1;
+                    break;
+                }
+                if((this.rules[suffix] === true) ||
+                    ((i < labels.length - 1) && (this.wildcardRules[labels.slice(i + 1).join(".")] === true))) {
+                    publicSuffixLength = labels.length - i;
+                    break;
+                }
+            }
+            if(publicSuffixLength >= labels.length)
+                return hostname;
+            return labels.slice(labels.length - publicSuffixLength - 1).join(".");
+        }
+
+        /**
+         * Imports the public suffix set from an opaque object previously generated by `export`.
+         * @param {exportedInternals} - The previously exported internals for the public suffix set.
+         */
+        import(exportedInternals) {
+            this.rules = exportedInternals.rules;
+            this.wildcardRules = exportedInternals.wildcardRules;
+            this.exceptionRules = exportedInternals.exceptionRules;
+        }
+    }
+    /**
+     * How long (in milliseconds) after losing attention to stop checking for new links on the page.
+     * The content script will resume checking for new links after regaining attention.
      */
     const attentionIdlePeriod = 5000;
 
     /**
-     * Ignore links where the link hostname is identical to the page hostname.
-     * TODO: Implement support for comparing public suffix + 1 domains.
+     * A selector for the containers of social media feed items, such as posts and tweets.
      * @constant
-     * @type {boolean}
+     * @type {string}
      */
-    const ignoreSelfLinks = true;
+    const feedItemSelector = [
+        "div[role=\"article\"]", // Facebook posts and comments
+        "article[data-testid=\"tweet\"]", // Tweets
+        "div[data-testid=\"post-container\"]", // Reddit posts
+        "shreddit-post" // Reddit posts, in the current design
+    ].join(", ");
 
     /**
-     * The minimum duration (in milliseconds) that a link must be visible to treat it as an exposure.
+     * A selector for the containers of embedded cards, such as link previews and embedded posts.
      * @constant
-     * @type {number}
+     * @type {string}
      */
-    const linkVisibilityDuration = 5000;
+    const cardSelector = [
+        "div[data-testid=\"card.wrapper\"]", // Twitter link previews
+        "blockquote.twitter-tweet", // Embedded tweets
+        "blockquote.reddit-embed-bq", // Embedded Reddit posts
+        "blockquote.instagram-media" // Embedded Instagram posts
+    ].join(", ");
 
     /**
-     * The minimum width (in pixels from `Element.getBoundingClientRect()`) that a link must have to treat it as an exposure.
+     * A selector for headings.
      * @constant
-     * @type {number}
+     * @type {string}
      */
-    const linkMinimumWidth = 25;
+    const headlineSelector = "h1, h2, h3, h4, h5, h6";
 
     /**
-     * The minimum height (in pixels from `Element.getBoundingClientRect()`) that a link must have to treat it as an exposure.
+     * A selector for image content.
      * @constant
-     * @type {number}
+     * @type {string}
      */
-    const linkMinimumHeight = 15;
+    const imageSelector = "img, picture, svg, video";
 
     /**
-     * The minimum visibility (as a proportion of element size from `IntersectionObserverEntry.intersectionRatio`) that a link must have to treat it as an exposure.
+     * The maximum length of the anchor text to report for a link.
      * @constant
      * @type {number}
      */
-    const linkMinimumVisibility = 0.7;
+    const maxAnchorTextLength = 100;
+
+    /**
+     * Identify what kind of link an anchor element is. A link with both an image and text is
+     * treated as a card, since that is how link previews are usually rendered.
+     * @param {HTMLAnchorElement} anchorElement - The anchor element.
+     * @param {string} anchorText - The text of the anchor element.
+     * @returns {string} The type of link: `"headline"`, `"card"`, `"image"`, or `"text"`.
+     */
+    function getLinkType(anchorElement, anchorText) {
+        if(anchorElement.closest(cardSelector) !== null)
+            return "card";
+        if((anchorElement.closest(headlineSelector) !== null) || (anchorElement.querySelector(headlineSelector) !== null))
+            return "headline";
+        if(anchorElement.querySelector(imageSelector) !== null)
+            return (anchorText !== "") ? "card" : "image";
+        return "text";
+    }
+
+    /**
+     * Describe where on the page a link appears. The position of a link in an iframe is relative to the
+     * iframe's document.
+     * @param {Element} anchorElement - The link surface element (usually an anchor element).
+     * @param {string} [contextType] - The type of link, if the link surface extractor knows it.
+     * @returns {Object} The context for the link, with the link's `type`, its vertical position in the
+     * document (`documentPosition`, in pixels, and `relativePosition`, as a proportion of the document
+     * height), whether it is inside a social media feed item (`inFeedItem`), and its text (`anchorText`).
+     */
+    function getLinkContext(anchorElement, contextType) {
+        const elementRect = anchorElement.getBoundingClientRect();
+        const documentPosition = elementRect.top + anchorElement.ownerDocument.defaultView.scrollY;
+        const documentHeight = anchorElement.ownerDocument.documentElement.scrollHeight;
+        const anchorText = anchorElement.textContent.replace(/\s+/g, " ").trim().substring(0, maxAnchorTextLength);
+        return {
+            type: (contextType !== undefined) ? contextType : getLinkType(anchorElement, anchorText),
+            documentPosition,
+            relativePosition: (documentHeight > 0) ? Math.min(Math.max(documentPosition / documentHeight, 0), 1) : 0,
+            inFeedItem: anchorElement.closest(feedItemSelector) !== null,
+            anchorText
+        };
+    }
 
     /**
      * Check if an Element is visible. Visibility is defined as a `display` computed style other than `none` and an `opacity` computed style other than 0.
@@ -167,9 +271,10 @@
      * @returns {boolean} Whether the element is visible, or `false` if the parameter `element` is not an `Element`.
      */
     function isElementVisible(element) {
-        if(!(element instanceof Element))
+        // Elements in iframes are not instances of this window's Element class, so check the node type
+        if((typeof element !== "object") || (element === null) || (element.nodeType !== Node.ELEMENT_NODE))
             return false;
-        const style = window.getComputedStyle(element);
+        const style = element.ownerDocument.defaultView.getComputedStyle(element);
         const display = style.getPropertyValue("display");
         if((display === "") || (display === "none"))
             return false;
@@ -190,11 +295,17 @@
     }
 
     /**
-     * The ID for a timer to periodically check links.
+     * The ID for a timer to periodically update the time that visible links have been seen.
      * @type {number}
      */
     let timerId = 0;
 
+    /**
+     * The ID for an idle callback to check for new links, or 0 if there is no pending idle callback.
+     * @type {number}
+     */
+    let idleCallbackId = 0;
+
     // Complete loading RegExps from storage before setting up event handlers
     // to avoid possible race conditions
     // Haunted. Don't combine into one call.
@@ -207,9 +318,17 @@
     const storedAmpRegExp = await browser.storage.local.get([
         "WebScience.Measurements.LinkExposure.ampRegExp"
     ]);
+    const storedThresholds = await browser.storage.local.get([
+        "WebScience.Measurements.LinkExposure.thresholds"
+    ]);
+    const storedPublicSuffixes = await browser.storage.local.get([
+        "WebScience.Measurements.LinkExposure.publicSuffixes"
+    ]);
     if(!("WebScience.Measurements.LinkExposure.linkMatcher" in storedLinkMatcher) ||
         !("WebScience.Measurements.LinkExposure.urlShortenerRegExp" in storedUrlShortenerRegExp) ||
-        !("WebScience.Measurements.LinkExposure.ampRegExp" in storedAmpRegExp)) {
+        !("WebScience.Measurements.LinkExposure.ampRegExp" in storedAmpRegExp) ||
+        !("WebScience.Measurements.LinkExposure.thresholds" in storedThresholds) ||
+        !("WebScience.Measurements.LinkExposure.publicSuffixes" in storedPublicSuffixes)) {
         console.debug("Error: LinkExposure content script cannot load RegExps from browser.storage.local.");
         return;
     }
@@ -217,6 +336,34 @@
     linkMatcher.import(storedLinkMatcher["WebScience.Measurements.LinkExposure.linkMatcher"]);
     const urlShortenerRegExp = storedUrlShortenerRegExp["WebScience.Measurements.LinkExposure.urlShortenerRegExp"];
     const ampRegExp = storedAmpRegExp["WebScience.Measurements.LinkExposure.ampRegExp"];
+    const publicSuffixSet = new PublicSuffixSet();
+    publicSuffixSet.import(storedPublicSuffixes["WebScience.Measurements.LinkExposure.publicSuffixes"]);
+
+    /**
+     * The thresholds for link exposures, combined from the options of the background script's listeners:
+     *   * `linkVisibilityDurations` - The durations (in milliseconds, in ascending order) that a link must be
+     *     visible to treat it as an exposure. A link is reported once for each duration it crosses.
+     *   * `linkMinimumWidth` - The minimum width (in pixels from `Element.getBoundingClientRect()`) that a
+     *     link must have to treat it as an exposure.
+     *   * `linkMinimumHeight` - The minimum height (in pixels from `Element.getBoundingClientRect()`) that a
+     *     link must have to treat it as an exposure.
+     *   * `linkMinimumVisibility` - The minimum visibility (as a proportion of element size from
+     *     `IntersectionObserverEntry.intersectionRatio`) that a link must have to treat it as an exposure.
+     *   * `updateInterval` - How often (in milliseconds) to update the time that visible links have been seen
+     *     and report exposures to the background script.
+     *   * `ignoreSelfLinks` - Whether to ignore links where the link's registrable domain (eTLD+1) is identical
+     *     to the page's registrable domain.
+     * @constant
+     * @type {Object}
+     */
+    const {
+        linkVisibilityDurations,
+        linkMinimumWidth,
+        linkMinimumHeight,
+        linkMinimumVisibility,
+        updateInterval,
+        ignoreSelfLinks
+    } = storedThresholds["WebScience.Measurements.LinkExposure.thresholds"];
 
     /**
      * A RegExp for matching URLs that have had Facebook's link shim applied.
@@ -268,40 +415,336 @@
     let lastLostAttention = -1;
 
     /**
-     * The hostname for the current page.
+     * The registrable domain (eTLD+1) for the current page.
      * @type {string}
      */
-    let currentHostname = "";
+    let currentETldPlusOne = "";
+
+    /**
+     * A link surface, which is an element on the page that links to a URL. Most link surfaces are anchor
+     * elements, but a link surface can also be a card or another clickable element.
+     * @typedef {Object} LinkSurface
+     * @property {Element} element - The element that the user sees, whose size and visibility are measured.
+     * @property {string} url - The URL that the element links to.
+     * @property {string} [contextType] - The type of link for the exposure context (e.g., `"card"`), if the
+     * extractor knows it.
+     * @property {Array<Element>} [coveredElements] - Elements inside the link surface (e.g., the anchor elements
+     * in a card) that should not be measured as separate link surfaces.
+     */
+
+    /**
+     * A function that finds link surfaces in part of the page.
+     * @callback linkSurfaceExtractor
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element (e.g., an element that was
+     * just added to the page) to search, including the element itself.
+     * @param {number} depth - How many shadow roots and iframes deep the root is, which extractors that
+     * traverse into other roots pass to `extractLinkSurfaces`.
+     * @returns {Array<LinkSurface>} The link surfaces in the root.
+     */
+
+    /**
+     * The registered link surface extractors, in the order they run. Each entry has a `name`, an
+     * `extract` function, and a `sites` array of registrable domains (empty for every site).
+     * @type {Array<Object>}
+     */
+    const linkSurfaceExtractors = [];
+
+    /**
+     * Register a link surface extractor. When extractors find the same element, or an element that another
+     * extractor's link surface covers, the extractor that was registered first takes priority, so
+     * site-specific extractors should be registered before general extractors.
+     * @param {Object} extractor - The extractor.
+     * @param {string} extractor.name - A name for the extractor, used in debugging messages.
+     * @param {linkSurfaceExtractor} extractor.extract - The function that finds link surfaces.
+     * @param {Array<string>} [extractor.sites=[]] - The registrable domains (eTLD+1) of pages where the extractor
+     * runs, or an empty array for every page.
+     */
+    function registerLinkSurfaceExtractor({ name, extract, sites = [] }) {
+        linkSurfaceExtractors.push({ name, extract, sites });
+    }
+
+    /**
+     * The maximum number of shadow roots and iframes to traverse into when finding link surfaces.
+     * @constant
+     * @type {number}
+     */
+    const maxLinkSurfaceDepth = 5;
+
+    /**
+     * Find the elements in part of the page that match a selector, including the root if it is an element.
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element to search.
+     * @param {string} selector - The selector.
+     * @returns {Array<Element>} The matching elements.
+     */
+    function findElements(root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if((root.nodeType === Node.ELEMENT_NODE) && root.matches(selector))
+            elements.unshift(root);
+        return elements;
+    }
+
+    /**
+     * Find the link surfaces in a document, shadow root, or element, with every registered extractor that runs
+     * on the current page. The first time this function finds link surfaces in a document or shadow root, it
+     * starts observing the document or shadow root for changes, so that new links are found as they are added.
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element to search.
+     * @param {number} [depth=0] - How many shadow roots and iframes deep the root is.
+     * @returns {Array<LinkSurface>} The link surfaces in the root.
+     */
+    function extractLinkSurfaces(root, depth = 0) {
+        let linkSurfaces = [];
+        if(depth > maxLinkSurfaceDepth)
+            return linkSurfaces;
+        if((root.nodeType !== Node.ELEMENT_NODE) && !observedRoots.has(root)) {
+            observedRoots.set(root, depth);
+            mutationObserver.observe(root, mutationObserverOptions);
+        }
+        for(const { name, extract, sites } of linkSurfaceExtractors) {
+            if((sites.length > 0) && !sites.includes(currentETldPlusOne))
+                continue;
+            try {
+                linkSurfaces = linkSurfaces.concat(extract(root, depth));
+            }
+            catch(error) {
+                console.debug(`Error: LinkExposure link surface extractor ${name} failed: ${error}`);
+            }
+        }
+        return linkSurfaces;
+    }
+
+    /**
+     * Find the link surfaces in part of the page, with each element appearing in at most one link surface.
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element to search.
+     * @param {number} depth - How many shadow roots and iframes deep the root is.
+     * @returns {Array<LinkSurface>} The link surfaces in the root.
+     */
+    function getLinkSurfaces(root, depth) {
+        const claimedElements = new Set();
+        const linkSurfaces = [];
+        for(const linkSurface of extractLinkSurfaces(root, depth)) {
+            if(claimedElements.has(linkSurface.element))
+                continue;
+            claimedElements.add(linkSurface.element);
+            if(linkSurface.coveredElements !== undefined)
+                linkSurface.coveredElements.forEach(coveredElement => { claimedElements.add(coveredElement); });
+            linkSurfaces.push(linkSurface);
+        }
+        return linkSurfaces;
+    }
+
+    /**
+     * Parse the destination URL from a YouTube redirect URL, which YouTube uses for links in video
+     * descriptions and end screens.
+     * @param {string} url - A URL that may be a YouTube redirect URL.
+     * @returns {string} If the URL is a YouTube redirect URL, the destination URL. Otherwise, just the URL.
+     */
+    function parseYouTubeRedirect(url) {
+        let urlObject;
+        try {
+            urlObject = new URL(url);
+        }
+        catch {
+            return url;
+        }
+        if(((urlObject.hostname !== "youtube.com") && !urlObject.hostname.endsWith(".youtube.com")) ||
+            (urlObject.pathname !== "/redirect"))
+            return url;
+        const qParamValue = urlObject.searchParams.get("q");
+        return (qParamValue !== null) ? qParamValue : url;
+    }
+
+    /**
+     * The data attributes that clickable elements (other than anchors) use to store the URL they link to.
+     * @constant
+     * @type {Array<string>}
+     */
+    const linkDataAttributes = [ "data-href", "data-url", "data-link", "data-expanded-url", "data-lynx-uri" ];
+
+    // Facebook link previews, which are clickable elements with the (shimmed) URL in a data attribute
+    registerLinkSurfaceExtractor({
+        name: "facebook-cards",
+        sites: [ "facebook.com" ],
+        extract: root => Array.from(findElements(root, "[data-lynx-uri]:not(a[href])"), element => {
+            return {
+                element,
+                url: element.getAttribute("data-lynx-uri"),
+                contextType: "card",
+                coveredElements: Array.from(element.querySelectorAll("a[href]"))
+            };
+        })
+    });
+
+    // Twitter cards, measured as a whole rather than as the separate anchors inside each card
+    registerLinkSurfaceExtractor({
+        name: "twitter-cards",
+        sites: [ "twitter.com", "x.com" ],
+        extract: root => {
+            const linkSurfaces = [];
+            for(const element of findElements(root, "div[data-testid=\"card.wrapper\"]")) {
+                const linkElement = element.querySelector("[data-expanded-url], a[href]");
+                if(linkElement === null)
+                    continue;
+                linkSurfaces.push({
+                    element,
+                    url: linkElement.hasAttribute("data-expanded-url") ?
+                        linkElement.getAttribute("data-expanded-url") :
+                        linkElement.href,
+                    contextType: "card",
+                    coveredElements: Array.from(element.querySelectorAll("a[href]"))
+                });
+            }
+            return linkSurfaces;
+        }
+    });
+
+    // YouTube end screen elements, and links in video descriptions and comments, which use YouTube redirect URLs
+    registerLinkSurfaceExtractor({
+        name: "youtube-links",
+        sites: [ "youtube.com" ],
+        extract: root => {
+            const linkSurfaces = [];
+            for(const element of findElements(root, ".ytp-ce-element")) {
+                const linkElement = element.querySelector("a[href]");
+                if(linkElement === null)
+                    continue;
+                linkSurfaces.push({
+                    element,
+                    url: parseYouTubeRedirect(linkElement.href),
+                    contextType: "card",
+                    coveredElements: [ linkElement ]
+                });
+            }
+            for(const element of findElements(root, "a[href*=\"/redirect?\"]"))
+                linkSurfaces.push({ element, url: parseYouTubeRedirect(element.href) });
+            return linkSurfaces;
+        }
+    });
+
+    // Anchor elements
+    registerLinkSurfaceExtractor({
+        name: "anchors",
+        extract: root => Array.from(findElements(root, "a[href]"), element => {
+            return { element, url: element.href };
+        })
+    });
+
+    // Clickable elements other than anchors, with the URL in a data attribute
+    registerLinkSurfaceExtractor({
+        name: "data-attributes",
+        extract: root => {
+            const linkSurfaces = [];
+            const selector = linkDataAttributes.map(attribute => `[${attribute}]:not(a[href])`).join(", ");
+            for(const element of findElements(root, selector)) {
+                const attribute = linkDataAttributes.find(linkDataAttribute => element.hasAttribute(linkDataAttribute));
+                const url = element.getAttribute(attribute);
+                if(/^https?:\/\//i.test(url))
+                    linkSurfaces.push({ element, url });
+            }
+            return linkSurfaces;
+        }
+    });
+
+    // Open shadow roots
+    registerLinkSurfaceExtractor({
+        name: "shadow-roots",
+        extract: (root, depth) => {
+            let linkSurfaces = [];
+            for(const element of findElements(root, "*")) {
+                if(element.shadowRoot)
+                    linkSurfaces = linkSurfaces.concat(extractLinkSurfaces(element.shadowRoot, depth + 1));
+            }
+            return linkSurfaces;
+        }
+    });
+
+    /**
+     * The iframes that have a listener for loading a new document.
+     * @type {WeakSet<HTMLIFrameElement>}
+     */
+    const iframesWithLoadListeners = new WeakSet();
+
+    // Same-origin iframes (the content document of a cross-origin iframe is not accessible)
+    // When an iframe loads a new document, check the iframe again
+    registerLinkSurfaceExtractor({
+        name: "iframes",
+        extract: (root, depth) => {
+            let linkSurfaces = [];
+            for(const iframe of findElements(root, "iframe")) {
+                if(!iframesWithLoadListeners.has(iframe)) {
+                    iframesWithLoadListeners.add(iframe);
+                    iframe.addEventListener("load", () => {
+                        queueLinkSurfaceRoot(iframe, depth);
+                    });
+                }
+                let contentDocument = null;
+                try {
+                    contentDocument = iframe.contentDocument;
+                }
+                catch {
+                    continue;
+                }
+                if(contentDocument !== null)
+                    linkSurfaces = linkSurfaces.concat(extractLinkSurfaces(contentDocument, depth + 1));
+            }
+            return linkSurfaces;
+        }
+    });
 
     /**
-     * Additional information about an anchor element.
+     * Additional information about a link surface element (usually an anchor element).
      * @typedef {Object} LinkInfo
      * @property {boolean} observing - Whether this is a link that we are currently observing.
      * @property {string} url - The URL for this link, with any Facebook link shim or AMP cache formatting reversed.
      * @property {boolean} isMatched - Whether the link matches the match pattern for measurement or is a shortened URL.
      * @property {number} totalTimeSeen - How long (in milliseconds) that the link has been in view.
+     * @property {number} nextThresholdIndex - The index of the next visibility duration that the link could cross.
+     * @property {string} [contextType] - The type of link for the exposure context, if the link surface extractor knows it.
+     * @property {Object} [context] - Where on the page the link appeared, once the link has crossed a visibility duration.
      * @property {number} lastEnteredViewport - When the link last entered the browser viewport.
      * @property {boolean} inViewport - Whether the link is in the browser viewport.
      * @property {number} lastEnteredViewportAndPageHadAttention - When the link last entered the viewport and the page had attention.
      */
 
     /**
-     * A WeakMap where keys are anchor elements that we have checked and values are additional information about those elements.
-     * @type {WeakMap<HTMLAnchorElement, LinkInfo>}
+     * A WeakMap where keys are link surface elements (usually anchor elements) that we have checked and values are
+     * additional information about those elements.
+     * @type {WeakMap<Element, LinkInfo>}
      */
     let anchorElements = new WeakMap();
 
     // Tracked link exposure events to include in the update to the background script
     let exposureEvents = [];
 
-    // Untracked exposure events to include in the update to the background script
-    let numUntrackedUrls = 0;
+    // Counts of untracked exposure events, keyed by visibility duration, to include in the
+    // update to the background script
+    let numUntrackedUrls = {};
+
+    /**
+     * The anchor elements that we are observing and that are currently in the browser viewport.
+     * @type {Set<Element>}
+     */
+    let visibleAnchorElements = new Set();
+
+    /**
+     * The documents and shadow roots that the MutationObserver is observing, with how many shadow
+     * roots and iframes deep each document or shadow root is.
+     * @type {WeakMap<Document|ShadowRoot, number>}
+     */
+    let observedRoots = new WeakMap();
+
+    /**
+     * The parts of the page to check for new links, with how many shadow roots and iframes deep each
+     * part of the page is.
+     * @type {Map<Document|ShadowRoot|Element, number>}
+     */
+    let pendingLinkSurfaceRoots = new Map();
 
     /**
      * Update the total time that a link has been seen by the user, assuming
-     * the page has attention and the link is in the viewport. If the link has
-     * been viewed for longer than the threshold, queue it for reporting to the
-     * background script and stop observing it.
+     * the page has attention and the link is in the viewport. For each visibility
+     * duration that the link has now been viewed for, queue the link for reporting
+     * to the background script. Once the link has been viewed for the longest
+     * duration, stop observing it.
      *
      * @param {number} timeStamp - The time when the underlying event fired.
      * @param {HTMLAnchorElement} anchorElement - The anchor element.
@@ -317,101 +760,225 @@
         // since we've just accumulated a span of time
         linkInfo.lastEnteredViewportAndPageHadAttention = timeStamp;
 
-        // If the user has seen the link longer than the visibility threshold, include it in the update
-        // to the background script
-        if(linkInfo.totalTimeSeen >= linkVisibilityDuration) {
+        // For each visibility threshold the user has now seen the link for, include the link in the
+        // update to the background script
+        while((linkInfo.nextThresholdIndex < linkVisibilityDurations.length) &&
+            (linkInfo.totalTimeSeen >= linkVisibilityDurations[linkInfo.nextThresholdIndex])) {
+            const visThreshold = linkVisibilityDurations[linkInfo.nextThresholdIndex];
             if(linkInfo.isMatched) {
                 const elementRect = anchorElement.getBoundingClientRect();
+                // The context is observed when the link first crosses a visibility duration
+                if(linkInfo.context === undefined)
+                    linkInfo.context = getLinkContext(anchorElement, linkInfo.contextType);
                 exposureEvents.push({
                     originalUrl: linkInfo.url,
                     firstSeen: linkInfo.firstSeen,
                     width: elementRect.width,
                     height: elementRect.height,
-                    isShortenedUrl: linkInfo.isShortenedUrl
+                    isShortenedUrl: linkInfo.isShortenedUrl,
+                    visThreshold,
+                    context: linkInfo.context
                 });
             }
             else
-                numUntrackedUrls++;
+                numUntrackedUrls[visThreshold] = (visThreshold in numUntrackedUrls) ? numUntrackedUrls[visThreshold] + 1 : 1;
+            linkInfo.nextThresholdIndex++;
+        }
 
+        // If the user has seen the link longer than every visibility threshold, stop observing it
+        if(linkInfo.nextThresholdIndex >= linkVisibilityDurations.length) {
             anchorElements.set(anchorElement, {observing: false});
+            visibleAnchorElements.delete(anchorElement);
             observer.unobserve(anchorElement);
         }
     }
 
     /**
-     * A timer callback function that checks links (anchor elements) in the DOM.
+     * Check the link surfaces in part of the page, and start observing new links with the IntersectionObserver.
+     * If the URL for a new link is a match (or possible match) and the dimensions aren't too small, the link
+     * is observed. Links that have already been checked are ignored.
+     * @param {number} timeStamp - The time when the links were checked.
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element to check.
+     * @param {number} depth - How many shadow roots and iframes deep the root is.
+     */
+    function checkLinksInRoot(timeStamp, root, depth) {
+        getLinkSurfaces(root, depth).forEach(({ element, url: surfaceUrl, contextType, coveredElements }) => {
+            // If we've already checked this link, or the link is inside a link surface that we've checked,
+            // move on to the next link
+            if(anchorElements.has(element))
+                return;
+
+            // Ignore the elements that this link surface covers if they're found again (e.g., if an element
+            // is added inside the link surface)
+            if(coveredElements !== undefined)
+                coveredElements.forEach(coveredElement => {
+                    if(!anchorElements.has(coveredElement))
+                        anchorElements.set(coveredElement, {observing: false});
+                });
+
+            let url;
+            let hostname;
+            try {
+                url = linkUrlToAbsoluteUrl(surfaceUrl);
+                url = parseFacebookLinkShim(url);
+                url = parseAmpUrl(url);
+                hostname = (new URL(url)).hostname;
+            }
+            catch {
+                // Ignore a link surface with a URL that cannot be parsed
+                anchorElements.set(element, {observing: false});
+                return;
+            }
+
+            // Check if the link registrable domain matches the page registrable domain,
+            // ignore if configured to ignore these self-links
+            if(ignoreSelfLinks && (publicSuffixSet.getETldPlusOne(hostname) === currentETldPlusOne)) {
+                anchorElements.set(element, {observing: false});
+                return;
+            }
+
+            // Check if the link is too small, ignore it if it is
+            const elementRect = element.getBoundingClientRect();
+            if ((elementRect.width < linkMinimumWidth) ||
+                (elementRect.height < linkMinimumHeight)) {
+                anchorElements.set(element, {observing: false});
+                return;
+            }
+
+            // Flag a link as matched if either it matches the link match patterns or it is a shortened URL
+            // Start observing the link with the IntersectionObserver
+            let isMatched = linkMatcher.matches(url);
+
+            const isShortenedUrl = urlShortenerRegExp.test(url);
+            isMatched = isMatched || isShortenedUrl;
+
+            anchorElements.set(element, {
+                observing: true,
+                url,
+                isMatched,
+                isShortenedUrl,
+                contextType,
+                totalTimeSeen: 0,
+                nextThresholdIndex: 0,
+                firstSeen: timeStamp,
+                lastEnteredViewport: -1,
+                inViewport: false,
+                lastEnteredViewportAndPageHadAttention: -1
+            });
+            observer.observe(element);
+        });
+    }
+
+    /**
+     * An idle callback function that checks the parts of the page that have been added or changed since
+     * the last check for new links. If the idle period ends before every part of the page is checked,
+     * the remaining parts are checked in the next idle period.
+     * @param {IdleDeadline} deadline - The deadline for the idle period.
      */
-    function checkLinksInDom() {
+    function checkPendingLinkSurfaceRoots(deadline) {
+        idleCallbackId = 0;
         const timeStamp = Date.now();
 
-        // If the page does not have attention and we're confident that the page did not recently have attention, ignore this timer tick
+        // If the page does not have attention and we're confident that the page did not recently have attention,
+        // wait until the page has attention to check for new links
         if (!PageManager.pageHasAttention && ((lastLostAttention < 0) || (lastLostAttention + attentionIdlePeriod < timeStamp)))
             return;
 
-        // Iterate all the links currently on the page (i.e., anchor elements with an href attribute)
-        document.body.querySelectorAll("a[href]").forEach(element => {
-            const linkInfo = anchorElements.get(element)
+        // Skip any part of the page that is inside another part of the page that we're about to check,
+        // or that is no longer on the page
+        for(const root of pendingLinkSurfaceRoots.keys()) {
+            let ancestor = root.parentNode;
+            while((ancestor !== null) && !pendingLinkSurfaceRoots.has(ancestor))
+                ancestor = ancestor.parentNode;
+            if((ancestor !== null) || !root.isConnected)
+                pendingLinkSurfaceRoots.delete(root);
+        }
 
-            // If we haven't seen this link before, check the URL and dimensions
-            // If the URL is a match (or possible match) and the dimensions aren't too small, start
-            // observing the link
-            if (linkInfo === undefined) {
-                let url = linkUrlToAbsoluteUrl(element.href);
-                url = parseFacebookLinkShim(url);
-                url = parseAmpUrl(url);
+        for(const [ root, depth ] of pendingLinkSurfaceRoots) {
+            if(!deadline.didTimeout && (deadline.timeRemaining() <= 0))
+                break;
+            pendingLinkSurfaceRoots.delete(root);
+            checkLinksInRoot(timeStamp, root, depth);
+        }
 
-                // Check if the link hostname matches the page hostname,
-                // ignore if configured to ignore these self-links
-                if(ignoreSelfLinks && ((new URL(url)).hostname === currentHostname)) {
-                    anchorElements.set(element, {observing: false});
-                    return;
-                }
+        scheduleLinkSurfaceCheck();
+    }
 
-                // Check if the link is too small, ignore it if it is
-                const elementRect = element.getBoundingClientRect();
-                if ((elementRect.width < linkMinimumWidth) ||
-                    (elementRect.height < linkMinimumHeight)) {
-                    anchorElements.set(element, {observing: false});
-                    return;
-                }
+    /**
+     * Schedule an idle callback to check for new links, if there is a current page visit (i.e., the timer
+     * is ticking), there are parts of the page to check, and there isn't already a pending idle callback.
+     */
+    function scheduleLinkSurfaceCheck() {
+        if((timerId === 0) || (idleCallbackId !== 0) || (pendingLinkSurfaceRoots.size === 0))
+            return;
+        idleCallbackId = requestIdleCallback(checkPendingLinkSurfaceRoots, { timeout: updateInterval });
+    }
 
-                // Flag a link as matched if either it matches the link match patterns or it is a shortened URL
-                // Start observing the link with the IntersectionObserver
-                let isMatched = linkMatcher.matches(url);
-
-                const isShortenedUrl = urlShortenerRegExp.test(url);
-                isMatched = isMatched || isShortenedUrl;
-
-                anchorElements.set(element, {
-                    observing: true,
-                    url,
-                    isMatched,
-                    isShortenedUrl,
-                    totalTimeSeen: 0,
-                    firstSeen: timeStamp,
-                    lastEnteredViewport: -1,
-                    inViewport: false,
-                    lastEnteredViewportAndPageHadAttention: -1
-                });
-                observer.observe(element);
-                return;
+    /**
+     * Queue part of the page to check for new links.
+     * @param {Document|ShadowRoot|Element} root - The document, shadow root, or element to check.
+     * @param {number} depth - How many shadow roots and iframes deep the root is.
+     */
+    function queueLinkSurfaceRoot(root, depth) {
+        if(!pendingLinkSurfaceRoots.has(root))
+            pendingLinkSurfaceRoots.set(root, depth);
+        scheduleLinkSurfaceCheck();
+    }
+
+    /**
+     * A MutationObserver callback for the page, which queues added elements, and elements with
+     * changed link attributes, to check for new links.
+     * @param {Array<MutationRecord>} mutations - The changes to the page.
+     */
+    function linkMutationObserverCallback(mutations) {
+        for(const mutation of mutations) {
+            const rootDepth = observedRoots.get(mutation.target.getRootNode());
+            const depth = (rootDepth !== undefined) ? rootDepth : 0;
+            if(mutation.type === "childList") {
+                for(const addedNode of mutation.addedNodes) {
+                    if(addedNode.nodeType === Node.ELEMENT_NODE)
+                        queueLinkSurfaceRoot(addedNode, depth);
+                }
             }
+            // A link attribute changed, so check the element if we haven't already
+            else if(!anchorElements.has(mutation.target))
+                queueLinkSurfaceRoot(mutation.target, depth);
+        }
+    }
 
-            // If the page does not have attention, move to the next link
-            if(!PageManager.pageHasAttention)
-                return;
+    /**
+     * A MutationObserver for finding new links as they are added to the page.
+     * @type {MutationObserver}
+     */
+    const mutationObserver = new MutationObserver(linkMutationObserverCallback);
 
-            // If we have seen this link before and are not observing it, move on to the next link
-            if (!linkInfo.observing)
-                return;
+    /**
+     * The options for observing a document or shadow root with the MutationObserver. Attribute changes
+     * matter when an element becomes a link (e.g., an anchor element gets an `href` attribute).
+     * @constant
+     * @type {Object}
+     */
+    const mutationObserverOptions = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: [ "href", ...linkDataAttributes ]
+    };
 
-            // If the link is not in the browserviewport, move to the next link
-            if(!linkInfo.inViewport)
-                return;
+    /**
+     * A timer callback function that updates the time that visible links have been seen and sends
+     * exposures to the background script.
+     */
+    function updateVisibleLinks() {
+        const timeStamp = Date.now();
 
-            updateLinkTimeSeen(timeStamp, element, linkInfo);
-        });
-        if ((exposureEvents.length > 0) || (numUntrackedUrls > 0)) {
+        // If the page has attention, update the links in the browser viewport
+        if(PageManager.pageHasAttention) {
+            for(const anchorElement of visibleAnchorElements)
+                updateLinkTimeSeen(timeStamp, anchorElement, anchorElements.get(anchorElement));
+        }
+
+        if ((exposureEvents.length > 0) || (Object.keys(numUntrackedUrls).length > 0)) {
             browser.runtime.sendMessage({
                 type: "WebScience.Measurements.LinkExposure.exposureData",
                 pageId: PageManager.pageId,
@@ -423,7 +990,7 @@
                 nonmatchingLinkExposures: numUntrackedUrls
             });
             exposureEvents = [];
-            numUntrackedUrls = 0;
+            numUntrackedUrls = {};
         }
     }
 
@@ -436,13 +1003,17 @@
         entries.forEach(entry => {
             const anchorElement = entry.target;
             const linkInfo = anchorElements.get(anchorElement)
+            if((linkInfo === undefined) || !linkInfo.observing)
+                return;
             if (entry.intersectionRatio >= linkMinimumVisibility) {
                 linkInfo.inViewport = true;
                 linkInfo.lastEnteredViewport = timeStamp;
+                visibleAnchorElements.add(anchorElement);
                 if(PageManager.pageHasAttention)
                     linkInfo.lastEnteredViewportAndPageHadAttention = timeStamp;
             }
             else {
+                visibleAnchorElements.delete(anchorElement);
                 if(PageManager.pageHasAttention && (linkInfo.lastEnteredViewportAndPageHadAttention > 0))
                     updateLinkTimeSeen(timeStamp, anchorElement, linkInfo);
                 linkInfo.inViewport = false;
@@ -459,35 +1030,44 @@
     const pageVisitStartListener = function ({ timeStamp }) {
         // Reset page-specific data
         lastLostAttention = -1;
-        currentHostname = (new URL(PageManager.url)).hostname;
+        currentETldPlusOne = publicSuffixSet.getETldPlusOne((new URL(PageManager.url)).hostname);
         anchorElements = new WeakMap();
+        visibleAnchorElements = new Set();
+        observedRoots = new WeakMap();
+        pendingLinkSurfaceRoots = new Map();
 
         // Start the timer ticking
-        timerId = setInterval(checkLinksInDom, updateInterval);
+        timerId = setInterval(updateVisibleLinks, updateInterval);
+
+        // Check the entire page for links, then check the parts of the page that change
+        queueLinkSurfaceRoot(document, 0);
     };
 
-    // On page visit stop, clear the timer and intersection observer
+    // On page visit stop, clear the timer, idle callback, and observers
     const pageVisitStopListener = function() {
         if(timerId !== 0)
             clearInterval(timerId);
         timerId = 0;
+        if(idleCallbackId !== 0)
+            cancelIdleCallback(idleCallbackId);
+        idleCallbackId = 0;
+        pendingLinkSurfaceRoots = new Map();
         observer.disconnect();
+        mutationObserver.disconnect();
     };
 
     const pageAttentionUpdateListener = function({ timeStamp }) {
-        const currentAnchorElements = document.body.querySelectorAll("a[href]");
         if(PageManager.pageHasAttention) {
-            for(const anchorElement of currentAnchorElements) {
-                const linkInfo = anchorElements.get(anchorElement);
-                if(linkInfo !== undefined)
-                    linkInfo.lastEnteredViewportAndPageHadAttention = timeStamp;
-            }
+            for(const anchorElement of visibleAnchorElements)
+                anchorElements.get(anchorElement).lastEnteredViewportAndPageHadAttention = timeStamp;
+            // Check any parts of the page that changed while the page did not have attention
+            scheduleLinkSurfaceCheck();
         }
         else {
             lastLostAttention = timeStamp;
-            for(const anchorElement of currentAnchorElements) {
+            for(const anchorElement of visibleAnchorElements) {
                 const linkInfo = anchorElements.get(anchorElement);
-                if((linkInfo !== undefined) && (linkInfo.lastEnteredViewportAndPageHadAttention > 0))
+                if(linkInfo.lastEnteredViewportAndPageHadAttention > 0)
                     updateLinkTimeSeen(timeStamp, anchorElement, linkInfo);
             }
         }
@@ -10,6 +10,7 @@ import {
 import * as Storage from "./Storage.js"
 import * as Idle from "./Idle.js"
 import * as Scheduling from "../Utilities/Scheduling.js"
+import * as Matching from "./Matching.js"
 
 const debugLog = getDebuggingLog("Utilities.DataAnalysis");
 /**
@@ -20,6 +21,65 @@ const debugLog = getDebuggingLog("Utilities.DataAnalysis");
  */
 const resultRouter = new Map();
 
+/**
+ * A Map that stores the registries of aggregation functions for analysis scripts.
+ * The keys are worker script paths and the values are registries, which map storage
+ * store names (the storage area name and the store name, separated by a period) to
+ * the path of an aggregation script and the name of an aggregation function in
+ * that script.
+ * @private
+ * @const {Map<string,Object<string,AggregatorRegistryEntry>>}
+ */
+const aggregatorRegistries = new Map();
+
+/**
+ * An aggregation function for a storage store.
+ * @typedef {Object} AggregatorRegistryEntry
+ * @property {string} path - The path of the script that defines the aggregation function.
+ * The worker thread loads the script with `importScripts`.
+ * @property {string} name - The name that the script registers the aggregation function with.
+ */
+
+/**
+ * A Map that stores the privacy parameters for analysis scripts. The keys are worker
+ * script paths and the values are privacy parameters. Scripts without privacy
+ * parameters report exact aggregate statistics.
+ * @private
+ * @const {Map<string,PrivacyParameters>}
+ */
+const privacyParameters = new Map();
+
+/**
+ * Parameters for adding differential privacy noise to aggregate statistics.
+ * @typedef {Object} PrivacyParameters
+ * @property {number} epsilon - The privacy budget for each run of the analysis script
+ * (i.e., for each reporting window). The worker thread divides the budget among the
+ * aggregation functions for the script.
+ * @property {number} suppressionThreshold - Buckets with a noisy count below this
+ * threshold are omitted from the results. The threshold must be positive, since every
+ * bucket that occurs in the stored records would otherwise be reported.
+ */
+
+/**
+ * A Map that stores the time bucket parameters for analysis scripts. The keys are
+ * worker script paths and the values are time bucket parameters. Scripts without
+ * time bucket parameters use the default parameters.
+ * @private
+ * @const {Map<string,TimeBucketParameters>}
+ */
+const timeBucketParameters = new Map();
+
+/**
+ * Parameters for grouping events into time buckets in aggregate statistics.
+ * @typedef {Object} TimeBucketParameters
+ * @property {number} [hoursPerBucket=4] - The width of each time of day bucket, in hours.
+ * Must evenly divide 24.
+ * @property {boolean} [localTime=false] - Whether buckets use the browser's local time
+ * (accounting for daylight saving time on the date of each event), rather than UTC.
+ * @property {boolean} [dayOfWeek=true] - Whether to group events by day of the week.
+ * @property {boolean} [date=false] - Whether to group events by calendar date.
+ */
+
 let storage;
 
 /**
@@ -39,6 +99,38 @@ let storageInstances = null;
  */
 let lastAnalysisRangeEndTime;
 
+/**
+ * The duration (in milliseconds) of each analysis window, or `null` if each
+ * analysis run considers the entire range since the last run.
+ * @private
+ * @type {number|null}
+ */
+let analysisWindowDuration = null;
+
+/**
+ * The analysis run in progress, if there is one, so that overlapping idle
+ * notifications do not analyze the same window twice and so that stopping
+ * the study can wait for the run to finish.
+ * @private
+ * @type {Promise|null}
+ */
+let analysisRun = null;
+
+/**
+ * How long (in milliseconds) to wait for an analysis script to finish before
+ * terminating its worker thread.
+ * @private
+ * @const {number}
+ */
+const analysisScriptTimeout = 5 * 60 * 1000;
+
+/**
+ * The number of milliseconds in a day, the analysis window duration for
+ * per-UTC-day analysis.
+ * @const {number}
+ */
+export const millisecondsPerDay = 86400 * 1000;
+
 /**
  * Setup for the module. Runs only once.
  * @private
@@ -62,24 +154,121 @@ async function initialize() {
 /**
  * A listener for idle state events from the Idle module
  * Triggers all analysis scripts that are registered to run
- * during idle state
+ * during idle state, then applies storage retention policies
  * @param {string} newState - The new browser idle state.
  * @private
  */
 async function idleStateListener() {
+    if (storageInstances === null || analysisRun !== null)
+        return;
+    analysisRun = runAnalysisAndRetention();
+    try {
+        await analysisRun;
+    }
+    finally {
+        analysisRun = null;
+    }
+}
+
+/**
+ * Run the analysis scripts, then apply storage retention policies.
+ * @private
+ */
+async function runAnalysisAndRetention() {
+    const analysisCompleted = (analysisWindowDuration === null) ?
+        await runAnalysis() :
+        await runWindowedAnalysis();
+    // Apply storage retention policies only after the analysis scripts have reported
+    // their events, so that records are not deleted before they are reported. If an
+    // analysis script failed, skip retention until the range has been reported.
+    if (!analysisCompleted) {
+        debugLog("skipping storage retention policies, since analysis did not complete");
+        return;
+    }
+    // If the study stopped during analysis, storage may be about to be deleted
+    if (storageInstances === null)
+        return;
+    try {
+        const prunedSummary = await Storage.applyRetentionPolicies(lastAnalysisRangeEndTime);
+        debugLog("applied storage retention policies " + JSON.stringify(prunedSummary));
+    }
+    catch(error) {
+        debugLog(`error applying storage retention policies: ${error}`);
+    }
+}
+
+/**
+ * Run the analysis scripts once, over the entire range since the last run. The end
+ * of the range is saved only after every analysis script has finished, so a range
+ * with a failed script is analyzed again on the next run.
+ * @returns {Promise<boolean>} Whether every analysis script finished.
+ * @private
+ */
+async function runAnalysis() {
     const currentTime = Date.now();
     const analysisStartTime = lastAnalysisRangeEndTime;
     const analysisEndTime = roundTimeDown(currentTime)
     if (lastAnalysisRangeEndTime < analysisEndTime) {
+        try {
+            await triggerAnalysisScripts(analysisStartTime, analysisEndTime);
+        }
+        catch(error) {
+            workerError(error);
+            debugLog("will retry the analysis range on the next run");
+            return false;
+        }
         lastAnalysisRangeEndTime = analysisEndTime;
         await storage.set("lastAnalysisRangeEndTime", lastAnalysisRangeEndTime);
-        await triggerAnalysisScripts(analysisStartTime, analysisEndTime);
     }
     else if (__ENABLE_DEVELOPER_MODE__){
         console.log("I would have pulled analysis results in this range",
                     analysisStartTime, analysisEndTime);
-        await triggerAnalysisScripts(currentTime - 86400 * 1000, currentTime);
+        await triggerAnalysisScripts(currentTime - 86400 * 1000, currentTime).catch(workerError);
     }
+    return true;
+}
+
+/**
+ * Run the analysis scripts once for each complete analysis window since the last
+ * run, in order. Windows are aligned to multiples of the window duration since the
+ * epoch (e.g., UTC days). Each window is analyzed only after the listeners for the
+ * prior window have finished, and progress is persisted after each window, so a
+ * browser restart during catch-up resumes with the first window that has not been
+ * reported. If an analysis script fails, catch-up stops and the window is retried
+ * on the next run.
+ * @returns {Promise<boolean>} Whether every window was analyzed.
+ * @private
+ */
+async function runWindowedAnalysis() {
+    const currentTime = Date.now();
+    const analysisEndTime = roundTimeDownToWindow(currentTime, analysisWindowDuration);
+    if (lastAnalysisRangeEndTime >= analysisEndTime) {
+        if (__ENABLE_DEVELOPER_MODE__) {
+            console.log("I would have pulled analysis results in this range",
+                        lastAnalysisRangeEndTime, analysisEndTime);
+            await triggerAnalysisScripts(currentTime - analysisWindowDuration, currentTime).catch(workerError);
+        }
+        return true;
+    }
+    while (lastAnalysisRangeEndTime < analysisEndTime) {
+        if (storageInstances === null)
+            return false;
+        const windowStartTime = lastAnalysisRangeEndTime;
+        const windowEndTime = Math.min(analysisEndTime,
+            roundTimeDownToWindow(windowStartTime, analysisWindowDuration) + analysisWindowDuration);
+        debugLog(`analyzing window ${new Date(windowStartTime).toISOString()} to ${new Date(windowEndTime).toISOString()}`);
+        try {
+            await triggerAnalysisScripts(windowStartTime, windowEndTime);
+        }
+        catch(error) {
+            workerError(error);
+            debugLog("stopping catch-up analysis, will retry the window on the next run");
+            return false;
+        }
+        lastAnalysisRangeEndTime = windowEndTime;
+        await storage.set("lastAnalysisRangeEndTime", lastAnalysisRangeEndTime);
+    }
+    return true;
 }
 
 /**
@@ -91,43 +280,79 @@ function workerError(err) {
 }
 
 /**
- * Creates a receiver function for handling results from
- * worker script. The receiver function extracts the data part of the
- * result and sends it to all the listeners waiting for it.
- * @param {Set<function>} listeners - listeners waiting for the results from
- * worker script
- * @returns {function} receiver function
+ * The time range that an analysis run considered.
+ * @typedef {Object} AnalysisRange
+ * @property {number} startTime - The start of the range (inclusive).
+ * @property {number} endTime - The end of the range (exclusive).
  */
-function createMessageReceiver(listeners) {
-    function messageReceiver(result) {
-        const data = result.data;
-        debugLog("received message from worker script {"+ JSON.stringify(data) + "}. Now passing it to listeners");
-        for(const listener of listeners) {
-            listener(data.data);
-        }
-    }
-    return messageReceiver;
+
+/**
+ * Run an analysis script in a worker thread, then pass the result to each
+ * listener for the script.
+ * @param {string} scriptPath - The path of the analysis script.
+ * @param {Set<function>} listeners - The listeners waiting for the result.
+ * @param {Object} toSend - The message for the worker thread.
+ * @param {AnalysisRange} analysisRange - The time range for the analysis.
+ * @returns {Promise} Resolves once every listener has finished with the result,
+ * or rejects if the worker thread fails, reports an error, or does not finish
+ * within the timeout.
+ * @private
+ */
+function runAnalysisScript(scriptPath, listeners, toSend, analysisRange) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(scriptPath);
+        const timeoutId = setTimeout(() => {
+            worker.terminate();
+            reject(new Error(`Error: analysis script ${scriptPath} did not finish within ${analysisScriptTimeout} ms`));
+        }, analysisScriptTimeout);
+        worker.addEventListener('message', (result) => {
+            clearTimeout(timeoutId);
+            worker.terminate();
+            const data = result.data;
+            if (data.type === "error") {
+                reject(new Error(`Error: analysis script ${scriptPath} failed: ${data.error}`));
+                return;
+            }
+            debugLog("received message from worker script {"+ JSON.stringify(data) + "}. Now passing it to listeners");
+            const listenerPromises = [];
+            for(const listener of listeners) {
+                listenerPromises.push(listener(data.data, analysisRange));
+            }
+            Promise.all(listenerPromises).then(resolve, reject);
+        });
+        worker.addEventListener('error', (err) => {
+            clearTimeout(timeoutId);
+            worker.terminate();
+            reject(err);
+        });
+        worker.postMessage(toSend);
+    });
 }
 
 /**
  * Trigger each analysis script in a separate worker thread
  * The result of analysis is passed on from the worker to the
- * registered listener function
+ * registered listener function, along with the time range
+ * @param {number} startTime - The start of the time range (inclusive).
+ * @param {number} endTime - The end of the time range (exclusive).
+ * @returns {Promise} Resolves once every listener has finished with the results.
  * @private
  */
 export async function triggerAnalysisScripts(startTime, endTime) {
     const storageObjs = await Storage.getEventsByRange(startTime, endTime, storageInstances);
-    const toSend = {
-        studyDomains: studyDomains,
-        fromStorage: storageObjs,
-    };
-
+    const analysisRange = { startTime, endTime };
+    const scriptPromises = [];
     for(const [scriptPath, listeners] of resultRouter) {
-        const worker = new Worker(scriptPath);
-        worker.postMessage(toSend);
-        worker.addEventListener('message', createMessageReceiver(listeners));
-        worker.addEventListener('error', workerError);
+        scriptPromises.push(runAnalysisScript(scriptPath, listeners, {
+            studyDomains: studyDomains,
+            publicSuffixes: Matching.getPublicSuffixSet().export(),
+            fromStorage: storageObjs,
+            aggregators: aggregatorRegistries.get(scriptPath),
+            privacy: privacyParameters.has(scriptPath) ? privacyParameters.get(scriptPath) : null,
+            timeBuckets: timeBucketParameters.has(scriptPath) ? timeBucketParameters.get(scriptPath) : {}
+        }, analysisRange));
     }
+    await Promise.all(scriptPromises);
 }
 
 /**
@@ -135,9 +360,33 @@ export async function triggerAnalysisScripts(startTime, endTime) {
  * The script runs in a worker thread every day
  * @param {string} workerScriptPath - location of the worker script
  * @param {function} listener - The listener function.
+ * @param {Object} [options] - Options for the analysis script.
+ * @param {Object<string,AggregatorRegistryEntry>} [options.aggregators={}] - The aggregation
+ * functions for the script, keyed by storage store.
+ * @param {PrivacyParameters|null} [options.privacy=null] - Parameters for adding differential
+ * privacy noise to the results, or `null` for exact results.
+ * @param {TimeBucketParameters|null} [options.timeBuckets=null] - Parameters for time buckets,
+ * or `null` for the default parameters.
  */
-async function registerAnalysisResultListener(workerScriptPath, listener) {
+async function registerAnalysisResultListener(workerScriptPath, listener, {
+    aggregators = {},
+    privacy = null,
+    timeBuckets = null
+} = {}) {
+    if((privacy !== null) && !((typeof privacy.epsilon === "number") && (privacy.epsilon > 0)))
+        throw new Error("Error: the privacy budget for an analysis script must be a positive number");
+    if((privacy !== null) && !((typeof privacy.suppressionThreshold === "number") && (privacy.suppressionThreshold > 0)))
+        throw new Error("Error: the suppression threshold for an analysis script must be a positive number");
+    if((timeBuckets !== null) && ("hoursPerBucket" in timeBuckets) &&
+        !(Number.isInteger(timeBuckets.hoursPerBucket) && (timeBuckets.hoursPerBucket > 0) && ((24 % timeBuckets.hoursPerBucket) === 0)))
+        throw new Error("Error: the hours per time bucket must be a positive integer that evenly divides 24");
     await initialize();
+    if(privacy !== null)
+        privacyParameters.set(workerScriptPath, privacy);
+    if(timeBuckets !== null)
+        timeBucketParameters.set(workerScriptPath, timeBuckets);
+    aggregatorRegistries.set(workerScriptPath,
+        {...aggregatorRegistries.get(workerScriptPath), ...aggregators});
     let resultListeners = resultRouter.get(workerScriptPath);
     if (resultListeners === undefined) {
         resultListeners = new Set();
@@ -150,32 +399,114 @@ function roundTimeUp(timeStamp) {
     const timeStampObj = new Date(timeStamp);
     const endHour = Math.ceil(timeStampObj.getUTCHours() / 4) * 4;
     return Date.UTC(timeStampObj.getUTCFullYear(), timeStampObj.getUTCMonth(),
-                    timeStampObj.getUTCDay(), endHour) - 1;
+                    timeStampObj.getUTCDate(), endHour) - 1;
 }
 
 function roundTimeDown(timeStamp) {
     const timeStampObj = new Date(timeStamp);
     const endHour = Math.floor(timeStampObj.getUTCHours() / 4) * 4;
     return Date.UTC(timeStampObj.getUTCFullYear(), timeStampObj.getUTCMonth(),
-                    timeStampObj.getUTCDay(), endHour);
+                    timeStampObj.getUTCDate(), endHour);
+}
+
+/**
+ * Round a time down to the start of the analysis window that contains it.
+ * @param {number} timeStamp - The time to round.
+ * @param {number} windowDuration - The analysis window duration.
+ * @returns {number} The start of the analysis window.
+ * @private
+ */
+function roundTimeDownToWindow(timeStamp, windowDuration) {
+    return Math.floor(timeStamp / windowDuration) * windowDuration;
 }
 
 /**
  * Registers analysis scripts and associated listener functions.
  * For each analysis name (identified by object keys), the function expects a
- * script and listener for the result. The analysis script is scheduled to
- * execute in a worker thread during browser idle time. The results from
- * analysis script are forwarded to the listener function.
+ * script and listener for the result, and optionally a registry of aggregation
+ * functions. The analysis script is scheduled to execute in a worker thread
+ * during browser idle time. The results from analysis script are forwarded to
+ * the listener function.
+ *
+ * The registry of aggregation functions allows each measurement to ship its own
+ * aggregation script, rather than editing a shared analysis script. The keys are
+ * storage store names, which are the storage area name and store name separated by
+ * a period (e.g., `"Example.Measurement.events"`), and the values identify the
+ * script and the name of the aggregation function for the store.
  *
  * @param {Object} scripts
  * @param {Object.any.path} path - path for analysis script
  * @param {Object.any.resultListener} path - Listener function for processing
  * the result from analysis script
+ * @param {Object<string,AggregatorRegistryEntry>} [Object.any.aggregators] - The
+ * aggregation functions for the analysis script, keyed by storage store
+ * @param {PrivacyParameters} [Object.any.privacy] - Parameters for adding differential
+ * privacy noise to the results of the analysis script
+ * @param {TimeBucketParameters} [Object.any.timeBuckets] - Parameters for grouping events
+ * into time buckets, which every aggregation function for the analysis script uses
+ * @example
+ * DataAnalysis.runStudy({
+ *     aggregateStatistics: {
+ *         path: "/WebScience/Measurements/AggregateStatistics.js",
+ *         resultListener: processResult,
+ *         aggregators: {
+ *             "Example.Measurement.events": { path: "/study/Aggregators.js", name: "eventStats" }
+ *         }
+ *     }
+ * }, studyDomains, storageInstances);
+ *
+ * If an analysis script has `privacy` parameters, each aggregation function receives a
+ * privacy mechanism, which adds calibrated noise to the counts and sums in each bucket
+ * and suppresses buckets with small counts (see `AggregateStatistics.PrivacyMechanism`).
+ * The `epsilon` budget applies to each run of the script, so with an analysis window
+ * each reporting window has its own budget.
+ *
+ * By default, each run analyzes the entire range since the prior run. If the
+ * `analysisWindowDuration` option is specified, each run instead analyzes each
+ * complete window since the prior run separately and in order (e.g., one result
+ * per UTC day with `DataAnalysis.millisecondsPerDay`), so that results keep their
+ * granularity when the browser has not run for a while. Listeners receive the time
+ * range of each result as a second parameter, and should return a Promise if they
+ * report results asynchronously, so that windows are reported sequentially.
+ *
+ * @param {Object} studyDomainsParam - Exported match pattern sets for the analysis scripts.
+ * @param {Array<Object>} storageInstancesParam - The storage stores to analyze.
+ * @param {Object} [options] - Options for running analysis.
+ * @param {number|null} [options.analysisWindowDuration=null] - The duration (in milliseconds)
+ * of each analysis window, or `null` to analyze the entire range since the prior run.
  */
-export async function runStudy(scripts, studyDomainsParam, storageInstancesParam) {
+export async function runStudy(scripts, studyDomainsParam, storageInstancesParam, {
+    analysisWindowDuration: analysisWindowDurationParam = null
+} = {}) {
     studyDomains = studyDomainsParam;
     storageInstances = storageInstancesParam;
+    analysisWindowDuration = analysisWindowDurationParam;
     for (const [, scriptParameters] of Object.entries(scripts)) {
-        await registerAnalysisResultListener(scriptParameters.path, scriptParameters.resultListener);
+        await registerAnalysisResultListener(scriptParameters.path, scriptParameters.resultListener, {
+            aggregators: scriptParameters.aggregators,
+            privacy: ("privacy" in scriptParameters) ? scriptParameters.privacy : null,
+            timeBuckets: ("timeBuckets" in scriptParameters) ? scriptParameters.timeBuckets : null
+        });
     }
 }
+
+/**
+ * Stop running analysis scripts, for example when a participant withdraws from the
+ * study. Registered analysis scripts and result listeners are discarded, and the
+ * module must be set up again (e.g., with `runStudy`) before analysis runs again.
+ * @returns {Promise} Resolves once any analysis run in progress has finished, so that
+ * the run does not write to storage after the study deletes it.
+ */
+export async function stopStudy() {
+    debugLog("stopping data analysis");
+    if (__ENABLE_DEVELOPER_MODE__) Idle.unregisterIdleStateListener(idleStateListener, 1);
+    Scheduling.onIdleDaily.removeListener(idleStateListener);
+    initialized = false;
+    resultRouter.clear();
+    aggregatorRegistries.clear();
+    privacyParameters.clear();
+    timeBucketParameters.clear();
+    storageInstances = null;
+    if (analysisRun !== null)
+        await analysisRun.catch(workerError);
+}
@@ -0,0 +1,86 @@
+/**
+ * This module supports an extension page where participants (and study
+ * developers) can inspect and export the data that a study has stored
+ * locally. The module responds to messages from the page with a summary
+ * of every storage area in the `Storage` module, the most recent aggregate
+ * report, and the full contents of storage for export.
+ *
+ * @module WebScience.Utilities.DataInspection
+ */
+
+import * as Debugging from "./Debugging.js"
+import * as Messaging from "./Messaging.js"
+import * as Storage from "./Storage.js"
+
+const debugLog = Debugging.getDebuggingLog("Utilities.DataInspection");
+
+/**
+ * The number of most recent records to include for each table in a storage summary.
+ * @private
+ * @const {number}
+ * @default
+ */
+const recentRecordCount = 10;
+
+/**
+ * A Storage.KeyValueStorage instance for persisting the most recent aggregate report.
+ * @private
+ * @type {(Object|null)}
+ * @default
+ */
+let storage = null;
+
+/**
+ * Whether the module has completed setup.
+ * @private
+ * @type {boolean}
+ */
+let initialized = false;
+
+/**
+ * Setup for the module. Registers listeners for messages from the data inspection
+ * page. Runs only once.
+ */
+export function initialize() {
+    if(initialized)
+        return;
+    initialized = true;
+    debugLog("registering message listeners for data inspection");
+    storage = new Storage.KeyValueStorage("WebScience.Utilities.DataInspection");
+
+    Messaging.registerListener("WebScience.Utilities.DataInspection.getSummary", () => {
+        return getSummary();
+    });
+    Messaging.registerListener("WebScience.Utilities.DataInspection.getAllContents", () => {
+        return Storage.getAllStorageContents();
+    });
+}
+
+/**
+ * Remember the most recent aggregate report, so that it can be shown on the data
+ * inspection page.
+ * @param {Object} report - The aggregate report, as submitted.
+ */
+export async function setLastAggregateReport(report) {
+    if(storage === null)
+        storage = new Storage.KeyValueStorage("WebScience.Utilities.DataInspection");
+    await storage.set("lastAggregateReport", {
+        reportTime: Date.now(),
+        report
+    });
+}
+
+/**
+ * Summarize locally stored data for the data inspection page.
+ * @returns {Promise<Object>} An object with a `storageAreas` property (see
+ * `Storage.getStorageSummary`) and a `lastAggregateReport` property, which is
+ * the most recent aggregate report and when it was generated, or `null` if
+ * there has not yet been a report.
+ * @private
+ */
+async function getSummary() {
+    return {
+        storageAreas: await Storage.getStorageSummary(recentRecordCount),
+        lastAggregateReport: await storage.get("lastAggregateReport")
+    };
+}
@@ -127,6 +127,35 @@ export class Event {
             }
         });
     }
+
+    /**
+     * A callback function that provides the arguments for notifying a particular listener function.
+     * @callback getListenerArgumentsCallback
+     * @param {EventCallbackFunction} listener - The listener function that may be called.
+     * @param {EventOptions} options - The options that the listener was added with.
+     * @return {Array|null} The arguments to pass to the listener function, or `null` to not
+     * call the listener function.
+     */
+
+    /**
+     * Notify the listener functions for the event, with arguments that can differ between
+     * listener functions (e.g., a count that depends on each listener's options). The
+     * `notifyListenersCallback` for the event, if any, is not called.
+     * @param {getListenerArgumentsCallback} getListenerArguments - A function that provides
+     * the arguments for each listener function.
+     */
+    notifyEachListener(getListenerArguments) {
+        this.listeners.forEach((options, listener) => {
+            try {
+                const listenerArguments = getListenerArguments(listener, options);
+                if(listenerArguments !== null)
+                    listener.apply(null, listenerArguments);
+            }
+            catch(error) {
+                debugLog(`Error in listener notification: ${error}`);
+            }
+        });
+    }
 }
 
 /**
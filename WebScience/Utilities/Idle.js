@@ -213,3 +213,27 @@ export async function registerIdleStateListener(idleStateListener, detectionInte
     if((currentIdleState === "idle") && (Date.now() < (lastIdleTime + detectionIntervalInSeconds * 1000)))
         scheduleIdleStateTimeout(idleStateListenersWithDetectionInterval, detectionIntervalInSeconds);
 }
+
+/**
+ * Unregister a listener function for browser idle state.
+ * @param {function} idleStateListener - The listener function.
+ * @param {number} detectionIntervalInSeconds - The detection interval
+ * that the listener function was registered with.
+ */
+export function unregisterIdleStateListener(idleStateListener, detectionIntervalInSeconds) {
+    const idleStateListenersWithDetectionInterval = idleStateListeners.get(detectionIntervalInSeconds);
+    if(idleStateListenersWithDetectionInterval === undefined)
+        return;
+    idleStateListenersWithDetectionInterval.delete(idleStateListener);
+
+    // If there are no more listeners with this detection interval, forget the
+    // interval and cancel any pending notification timeout
+    if(idleStateListenersWithDetectionInterval.size === 0) {
+        idleStateListeners.delete(detectionIntervalInSeconds);
+        const idleStateTimeoutID = idleStateTimeouts.get(detectionIntervalInSeconds);
+        if(idleStateTimeoutID !== undefined) {
+            clearTimeout(idleStateTimeoutID);
+            idleStateTimeouts.delete(detectionIntervalInSeconds);
+        }
+    }
+}
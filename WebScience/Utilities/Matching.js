@@ -11,9 +11,15 @@
  *   * Regular Expressions - `RegExp` objects that compare a URL against the criteria.
  *   * Regular Expression Strings - strings expressing regular expressions for comparing a URL against the criteria.
  *
+ * The module also identifies the registrable domain (the public suffix plus one label, or eTLD+1) of a
+ * hostname, using a bundled copy of the Public Suffix List, so that (for example) `www.nytimes.com` and
+ * `cooking.nytimes.com` can be treated as the same site.
+ *
  * @module WebScience.Utilities.Matching
  */
 
+import { publicSuffixRules } from "../dependencies/publicSuffixes.js";
+
 /**
  * A RegExp for validating WebExtensions match patterns, using the same regular expressions for manifest
  * validation as Firefox.
@@ -495,3 +501,130 @@ export function normalizeUrl(url) {
     urlObj.hash = "";
     return urlObj.href;
 }
+
+/**
+ * A RegExp for hostnames that are IP addresses, which do not have a public suffix.
+ * @constant
+ * @type {RegExp}
+ * @private
+ */
+const ipAddressRegExp = /^(?:\d+\.\d+\.\d+\.\d+|\[.*\]|.*:.*)$/;
+
+/**
+ * An object for identifying the registrable domain (the public suffix plus one label, or eTLD+1)
+ * of a hostname with the rules of the Public Suffix List. Rules are indexed by suffix in hash maps,
+ * so identifying a registrable domain requires one lookup per label in the hostname. Like a
+ * `MatchPatternSet`, a `PublicSuffixSet` can be exported to an object that uses only built-in
+ * types, so it can be passed to content scripts in extension storage or to worker threads.
+ * @see {@link https://publicsuffix.org/list/}
+ */
+export class PublicSuffixSet {
+    /**
+     * Creates a public suffix set from an array of Public Suffix List rules.
+     * @param {string[]} rules - The rules for the set, in the Public Suffix List format.
+     */
+    constructor(rules) {
+        this.rules = { };
+        this.wildcardRules = { };
+        this.exceptionRules = { };
+        for(const rule of rules) {
+            if(rule.startsWith("!"))
+                this.exceptionRules[rule.substring(1)] = true;
+            else if(rule.startsWith("*."))
+                this.wildcardRules[rule.substring(2)] = true;
+            else
+                this.rules[rule] = true;
+        }
+    }
+
+    /**
+     * Identifies the registrable domain (eTLD+1) of a hostname. Following the Public Suffix List
+     * algorithm, an exception rule takes priority over other rules, the longest matching rule
+     * otherwise determines the public suffix, and a hostname that matches no rule has its last
+     * label as the public suffix.
+     * @param {string} hostname - The hostname, as represented by the `URL` class (i.e., in Punycode).
+     * @returns {string} The registrable domain for the hostname. If the hostname is an IP address
+     * or is itself a public suffix, the hostname.
+     * @example
+     * // returns "nytimes.com"
+     * publicSuffixSet.getETldPlusOne("cooking.nytimes.com");
+     * // returns "example.co.uk"
+     * publicSuffixSet.getETldPlusOne("www.example.co.uk");
+     */
+    getETldPlusOne(hostname) {
+        hostname = hostname.toLowerCase();
+        if(hostname.endsWith("."))
+            hostname = hostname.substring(0, hostname.length - 1);
+        if(ipAddressRegExp.test(hostname))
+            return hostname;
+        const labels = hostname.split(".");
+        let publicSuffixLength = 1;
+        // Check each suffix of the hostname, from longest to shortest, against the rules
+        for(let i = 0; i < labels.length; i++) {
+            const suffix = labels.slice(i).join(".");
+            if(this.exceptionRules[suffix] === true) {
+                publicSuffixLength = labels.length - i - 1;
+                break;
+            }
+            if((this.rules[suffix] === true) ||
+                ((i < labels.length - 1) && (this.wildcardRules[labels.slice(i + 1).join(".")] === true))) {
+                publicSuffixLength = labels.length - i;
+                break;
+            }
+        }
+        if(publicSuffixLength >= labels.length)
+            return hostname;
+        return labels.slice(labels.length - publicSuffixLength - 1).join(".");
+    }
+
+    /**
+     * Exports the internals of the public suffix set for purposes of saving to extension
+     * local storage or passing to a worker thread.
+     * @returns {object} - An opaque object representing the public suffix set internals.
+     */
+    export() {
+        return {
+            rules: this.rules,
+            wildcardRules: this.wildcardRules,
+            exceptionRules: this.exceptionRules
+        };
+    }
+
+    /**
+     * Imports the public suffix set from an opaque object previously generated by `export`.
+     * @param {exportedInternals} - The previously exported internals for the public suffix set.
+     */
+    import(exportedInternals) {
+        this.rules = exportedInternals.rules;
+        this.wildcardRules = exportedInternals.wildcardRules;
+        this.exceptionRules = exportedInternals.exceptionRules;
+    }
+}
+
+/**
+ * The public suffix set for the bundled Public Suffix List, which is constructed when first used.
+ * @type {PublicSuffixSet|null}
+ * @private
+ */
+let publicSuffixSet = null;
+
+/**
+ * Get a public suffix set for the Public Suffix List that is bundled with the library.
+ * @returns {PublicSuffixSet} The public suffix set.
+ */
+export function getPublicSuffixSet() {
+    if(publicSuffixSet === null)
+        publicSuffixSet = new PublicSuffixSet(publicSuffixRules);
+    return publicSuffixSet;
+}
+
+/**
+ * Identifies the registrable domain (eTLD+1) of a hostname, using the Public Suffix List that
+ * is bundled with the library.
+ * @param {string} hostname - The hostname, as represented by the `URL` class (i.e., in Punycode).
+ * @returns {string} The registrable domain for the hostname. If the hostname is an IP address
+ * or is itself a public suffix, the hostname.
+ */
+export function getETldPlusOne(hostname) {
+    return getPublicSuffixSet().getETldPlusOne(hostname);
+}
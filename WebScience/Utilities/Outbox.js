@@ -0,0 +1,315 @@
+/**
+ * This module provides a durable outbox for payloads that a study reports. Each
+ * payload is recorded in storage before it is sent, delivery is retried with
+ * exponential backoff when the browser is idle, and every payload is marked
+ * as either delivered or failed. The outbox keeps a capped history of delivered
+ * and failed payloads, so that the status of every reporting window is visible
+ * (e.g., on the data inspection page).
+ *
+ * The study provides the function that sends a payload. The function must reject
+ * (or throw) if the payload was not delivered.
+ *
+ * @module WebScience.Utilities.Outbox
+ */
+
+import * as Debugging from "./Debugging.js"
+import * as Storage from "./Storage.js"
+import * as Idle from "./Idle.js"
+
+const debugLog = Debugging.getDebuggingLog("Utilities.Outbox");
+
+/**
+ * A payload in the outbox.
+ * @typedef {Object} OutboxEntry
+ * @property {number} id - A unique identifier for the entry.
+ * @property {string} payloadType - The type of payload (e.g., `"measurements"`).
+ * @property {Object} payload - The payload.
+ * @property {string} status - `"pending"`, `"delivered"`, or `"failed"`.
+ * @property {number} createdTime - When the payload was added to the outbox.
+ * @property {number} attempts - How many times delivery has been attempted.
+ * @property {number|null} lastAttemptTime - When delivery was last attempted.
+ * @property {number} nextAttemptTime - When delivery should next be attempted, if pending.
+ * @property {string|null} lastError - The error from the last failed attempt.
+ * @property {number|null} deliveredTime - When the payload was delivered.
+ */
+
+/**
+ * A function that sends a payload, and rejects if the payload is not delivered.
+ * @callback sendPayloadCallback
+ * @param {string} payloadType - The type of payload.
+ * @param {Object} payload - The payload.
+ * @returns {Promise}
+ */
+
+/**
+ * How long (in seconds) the browser must be idle before retrying delivery.
+ * @private
+ * @const {number}
+ * @default
+ */
+const retryIdleIntervalInSeconds = 60;
+
+/**
+ * The delay (in milliseconds) before the first retry. Each later retry doubles the delay.
+ * @private
+ * @const {number}
+ * @default
+ */
+const initialRetryDelay = 5 * 60 * 1000;
+
+/**
+ * The maximum delay (in milliseconds) between retries.
+ * @private
+ * @const {number}
+ * @default
+ */
+const maximumRetryDelay = 24 * 60 * 60 * 1000;
+
+/**
+ * A Storage.IndexedStorage instance for the outbox.
+ * @private
+ * @type {Object|null}
+ */
+let storage = null;
+
+/**
+ * The study's function for sending a payload.
+ * @private
+ * @type {sendPayloadCallback|null}
+ */
+let sendPayload = null;
+
+/**
+ * The number of delivery attempts before a payload is marked as failed.
+ * @private
+ * @type {number}
+ */
+let maximumAttempts = 10;
+
+/**
+ * The maximum number of entries in the outbox. To make room for a new entry, the
+ * oldest delivered entries are removed first, then the oldest failed entries. Pending
+ * entries are never removed, so the outbox refuses new entries once it is full of
+ * pending entries (e.g., if delivery keeps failing).
+ * @private
+ * @type {number}
+ */
+let maximumEntries = 100;
+
+/**
+ * A Promise for the delivery attempts in progress, if any, so that delivery
+ * attempts do not overlap.
+ * @private
+ * @type {Promise|null}
+ */
+let deliveryInProgress = null;
+
+/**
+ * Whether the module has completed setup.
+ * @private
+ * @type {boolean}
+ */
+let initialized = false;
+
+/**
+ * Setup for the module. Attempts delivery of any pending payloads from prior
+ * browsing sessions, and registers for retrying when the browser is idle. Runs only once.
+ * @param {Object} options - Options for the outbox.
+ * @param {sendPayloadCallback} options.send - The function for sending a payload.
+ * @param {number} [options.maxAttempts=10] - The number of delivery attempts before
+ * a payload is marked as failed.
+ * @param {number} [options.maxEntries=100] - The maximum number of entries to keep.
+ */
+export async function initialize({
+    send,
+    maxAttempts = 10,
+    maxEntries = 100
+}) {
+    if(initialized)
+        return;
+    initialized = true;
+    sendPayload = send;
+    maximumAttempts = maxAttempts;
+    maximumEntries = maxEntries;
+    storage = new Storage.IndexedStorage("WebScience.Utilities.Outbox", {
+        entries: "++id, status, createdTime"
+    });
+    await Idle.registerIdleStateListener(idleStateListener, retryIdleIntervalInSeconds);
+    deliverPending();
+}
+
+/**
+ * Stop delivering payloads, for example when a participant withdraws from the study.
+ * Pending payloads remain in storage, and the module must be set up again before
+ * adding payloads.
+ */
+export function stop() {
+    sendPayload = null;
+    Idle.unregisterIdleStateListener(idleStateListener, retryIdleIntervalInSeconds);
+    initialized = false;
+}
+
+/**
+ * Add a payload to the outbox, then attempt delivery. The returned Promise resolves
+ * once the payload is recorded in storage; delivery is attempted in the background.
+ * The Promise rejects if the outbox is full of pending payloads.
+ * @param {string} payloadType - The type of payload.
+ * @param {Object} payload - The payload.
+ * @returns {Promise<number>} The identifier for the outbox entry.
+ */
+export async function enqueue(payloadType, payload) {
+    if(!initialized)
+        throw new Error("Error: the outbox must be initialized before adding payloads");
+    await makeRoomForEntry();
+    const currentTime = Date.now();
+    const id = await storage.set({
+        payloadType,
+        payload,
+        status: "pending",
+        createdTime: currentTime,
+        attempts: 0,
+        lastAttemptTime: null,
+        nextAttemptTime: currentTime,
+        lastError: null,
+        deliveredTime: null
+    });
+    debugLog(`added ${payloadType} payload ${id} to the outbox`);
+    deliverPending();
+    return id;
+}
+
+/**
+ * Record a payload that will not be delivered (e.g., because it failed validation), so
+ * that the failure is visible alongside delivery failures. The returned Promise rejects
+ * if the outbox is full of pending payloads.
+ * @param {string} payloadType - The type of payload.
+ * @param {Object} payload - The payload.
+ * @param {string} reason - Why the payload will not be delivered.
+ * @returns {Promise<number>} The identifier for the outbox entry.
+ */
+export async function recordUndeliverable(payloadType, payload, reason) {
+    if(!initialized)
+        throw new Error("Error: the outbox must be initialized before adding payloads");
+    await makeRoomForEntry();
+    const id = await storage.set({
+        payloadType,
+        payload,
+        status: "failed",
+        createdTime: Date.now(),
+        attempts: 0,
+        lastAttemptTime: null,
+        nextAttemptTime: null,
+        lastError: reason,
+        deliveredTime: null
+    });
+    debugLog(`recorded undeliverable ${payloadType} payload ${id}: ${reason}`);
+    return id;
+}
+
+/**
+ * Summarize the outbox.
+ * @returns {Promise<Object>} The number of pending, delivered, and failed entries,
+ * and the failed entries (without payloads).
+ */
+export async function getStatus() {
+    const failedEntries = await storage.getWhere("status", "failed");
+    return {
+        pending: await storage.count("", "status", "pending"),
+        delivered: await storage.count("", "status", "delivered"),
+        failed: failedEntries.length,
+        failedEntries: failedEntries.map(entry => {
+            delete entry.payload;
+            return entry;
+        })
+    };
+}
+
+/**
+ * A listener for idle state events, which retries pending deliveries.
+ * @param {string} newState - The new browser idle state.
+ * @private
+ */
+function idleStateListener(newState) {
+    if(newState === "idle")
+        deliverPending();
+}
+
+/**
+ * Attempt delivery of every pending payload that is due, in order. If an
+ * attempt is already in progress, waits for it and then checks again.
+ * @returns {Promise}
+ * @private
+ */
+function deliverPending() {
+    const priorDelivery = (deliveryInProgress !== null) ? deliveryInProgress : Promise.resolve();
+    const delivery = priorDelivery.then(deliverDueEntries).catch((error) => {
+        debugLog(`error delivering payloads: ${error}`);
+    });
+    deliveryInProgress = delivery;
+    delivery.finally(() => {
+        if(deliveryInProgress === delivery)
+            deliveryInProgress = null;
+    });
+    return delivery;
+}
+
+/**
+ * Attempt delivery of each pending entry whose next attempt time has passed,
+ * updating the entry with the outcome.
+ * @private
+ */
+async function deliverDueEntries() {
+    if(sendPayload === null)
+        return;
+    const currentTime = Date.now();
+    const pendingEntries = await storage.getWhere("status", "pending");
+    for(const entry of pendingEntries) {
+        if((entry.nextAttemptTime > currentTime) || (sendPayload === null))
+            continue;
+        entry.attempts++;
+        entry.lastAttemptTime = Date.now();
+        try {
+            await sendPayload(entry.payloadType, entry.payload);
+            entry.status = "delivered";
+            entry.deliveredTime = Date.now();
+            entry.lastError = null;
+            debugLog(`delivered ${entry.payloadType} payload ${entry.id}`);
+        }
+        catch(error) {
+            entry.lastError = String(error);
+            if(entry.attempts >= maximumAttempts) {
+                entry.status = "failed";
+                debugLog(`failed to deliver ${entry.payloadType} payload ${entry.id} after ${entry.attempts} attempts: ${error}`);
+            }
+            else {
+                entry.nextAttemptTime = entry.lastAttemptTime +
+                    Math.min(initialRetryDelay * Math.pow(2, entry.attempts - 1), maximumRetryDelay);
+                debugLog(`will retry ${entry.payloadType} payload ${entry.id} after ${new Date(entry.nextAttemptTime).toISOString()}: ${error}`);
+            }
+        }
+        await storage.set(entry);
+    }
+}
+
+/**
+ * Remove the oldest delivered entries, then the oldest failed entries, until the
+ * outbox has room for a new entry.
+ * @throws {Error} If the outbox is full of pending entries.
+ * @private
+ */
+async function makeRoomForEntry() {
+    let excessCount = (await storage.count()) + 1 - maximumEntries;
+    for(const status of [ "delivered", "failed" ]) {
+        if(excessCount <= 0)
+            return;
+        const removableIds = (await storage.getWhere("status", status))
+            .slice(0, excessCount)
+            .map(entry => entry.id);
+        await storage.delete(removableIds);
+        excessCount -= removableIds.length;
+    }
+    if(excessCount > 0) {
+        debugLog("outbox is full of undelivered payloads, refusing a new payload");
+        throw new Error("Error: the outbox is full of undelivered payloads");
+    }
+}
@@ -11,6 +11,26 @@ import * as Readability from "../Utilities/Readability.js"
 
 const debugLog = Debugging.getDebuggingLog("Utilities.PageClassification");
 
+/**
+ * The maximum number of pages, and the maximum number of URLs, to keep recent
+ * classification results for, so that a result that arrives before anything awaits
+ * it is still available.
+ * @private
+ * @const {number}
+ * @default
+ */
+const maxRecentResults = 500;
+
+/**
+ * The classification results for a page or URL, once every requested classifier
+ * has produced a result or the deadline has passed.
+ * @typedef {Object} ClassificationResults
+ * @property {Object} results - The result from each classifier that produced a result,
+ * keyed by worker ID.
+ * @property {Array<string>} timedOut - The worker IDs of the classifiers that did not
+ * produce a result before the deadline.
+ */
+
 
 class ClassificationEvent extends Events.Event {
     constructor(args) {
@@ -18,6 +38,10 @@ class ClassificationEvent extends Events.Event {
         this.workers = {};
         this.registeredCS = null;
         this.existingMatchPatterns = null;
+        this.contentScriptListener = null;
+        this.recentResultsByPageId = new Map();
+        this.recentResultsByUrl = new Map();
+        this.pendingWaiters = new Set();
     }
 
     async addListener(listener, options) {
@@ -56,16 +80,146 @@ class ClassificationEvent extends Events.Event {
         super.notifyListeners(listenerArguments);
     }
 
+    /**
+     * Remove a classification result listener. When no listeners remain for a worker,
+     * the worker is terminated, and when no workers remain, the content scripts and
+     * the message listener are removed.
+     * @param {function} listener - The listener function to remove.
+     */
     removeListener(listener) {
-        //unregisterClassifier(listener);
+        const options = this.listeners.get(listener);
         super.removeListener(listener);
+        if (options === undefined) return;
+
+        for (const otherOptions of this.listeners.values()) {
+            if (otherOptions.workerId == options.workerId) return;
+        }
+        const worker = this.workers[options.workerId];
+        if (worker !== undefined) {
+            debugLog(`Terminating worker ${options.workerId}`);
+            worker.workerObj.terminate();
+            delete this.workers[options.workerId];
+        }
+
+        if (Object.keys(this.workers).length > 0) return;
+        for (const waiter of [...this.pendingWaiters]) this.resolveWaiter(waiter);
+        this.recentResultsByPageId.clear();
+        this.recentResultsByUrl.clear();
+        if (this.registeredCS) this.registeredCS.unregister();
+        this.registeredCS = null;
+        this.existingMatchPatterns = null;
+        if (this.contentScriptListener !== null) {
+            Messaging.unregisterListener("WebScience.Utilities.PageClassification.pageContent",
+                this.contentScriptListener);
+            this.contentScriptListener = null;
+        }
     }
 
     resultReceiver(result) {
         const data = result.data;
         data.url = Matching.normalizeUrl(data.url);
         const classificationResult = {...data};//, ...pageContent.context};
+        if (classificationResult.pageId != null)
+            this.rememberResult(this.recentResultsByPageId, classificationResult.pageId, classificationResult);
+        this.rememberResult(this.recentResultsByUrl, classificationResult.url, classificationResult);
         this.notifyListeners([classificationResult]);
+        for (const waiter of [...this.pendingWaiters]) {
+            if (this.getMissingWorkerIds(waiter).length == 0) this.resolveWaiter(waiter);
+        }
+    }
+
+    /**
+     * Keep a classification result, discarding the results for the least recently
+     * classified page or URL if there are too many.
+     * @param {Map} recentResults - The recent results, keyed by page ID or URL.
+     * @param {string} key - The page ID or URL for the result.
+     * @param {Object} classificationResult - The result.
+     * @private
+     */
+    rememberResult(recentResults, key, classificationResult) {
+        const results = recentResults.has(key) ? recentResults.get(key) : {};
+        results[classificationResult.type] = classificationResult;
+        recentResults.delete(key);
+        recentResults.set(key, results);
+        if (recentResults.size > maxRecentResults)
+            recentResults.delete(recentResults.keys().next().value);
+    }
+
+    /**
+     * Get the recent results for the page or URL that a waiter is for.
+     * @param {Object} waiter - The waiter.
+     * @returns {Object} The recent results, keyed by worker ID.
+     * @private
+     */
+    getRecentResults(waiter) {
+        const results = (waiter.pageId != null) ?
+            this.recentResultsByPageId.get(waiter.pageId) :
+            this.recentResultsByUrl.get(waiter.url);
+        return (results !== undefined) ? results : {};
+    }
+
+    /**
+     * Get the worker IDs that a waiter still needs a result from. Classifiers that are
+     * not running will never produce a result, so they are not included.
+     * @param {Object} waiter - The waiter.
+     * @returns {Array<string>} The worker IDs.
+     * @private
+     */
+    getMissingWorkerIds(waiter) {
+        const results = this.getRecentResults(waiter);
+        return waiter.workerIds.filter(workerId => (workerId in this.workers) && !(workerId in results));
+    }
+
+    /**
+     * Resolve a waiter with the results that have arrived so far.
+     * @param {Object} waiter - The waiter.
+     * @private
+     */
+    resolveWaiter(waiter) {
+        clearTimeout(waiter.timeoutId);
+        this.pendingWaiters.delete(waiter);
+        const recentResults = this.getRecentResults(waiter);
+        const classificationResults = { results: {}, timedOut: [] };
+        for (const workerId of waiter.workerIds) {
+            if (workerId in recentResults)
+                classificationResults.results[workerId] = recentResults[workerId];
+            else
+                classificationResults.timedOut.push(workerId);
+        }
+        if (classificationResults.timedOut.length > 0)
+            debugLog(`Classifiers timed out for ${waiter.pageId != null ? waiter.pageId : waiter.url}: ${classificationResults.timedOut}`);
+        waiter.resolve(classificationResults);
+    }
+
+    /**
+     * Wait for classification results for a page or a URL.
+     * @param {Object} target - The page or URL to wait for results for.
+     * @param {string} [target.pageId] - The page ID. If provided, only results for this
+     * page are used.
+     * @param {string} [target.url] - The URL. Used if there is no page ID, in which case
+     * results for any page with the URL (or for a fetched copy of the URL) are used.
+     * @param {Array<string>} workerIds - The worker IDs of the classifiers to wait for.
+     * @param {number} timeout - The maximum time (in milliseconds) to wait.
+     * @returns {Promise<ClassificationResults>}
+     */
+    awaitClassificationResults({ pageId = null, url = null }, workerIds, timeout) {
+        if ((pageId == null) && (url == null))
+            throw new Error("Error: awaiting classification results requires a page ID or URL");
+        return new Promise((resolve) => {
+            const waiter = {
+                pageId,
+                url: (url != null) ? Matching.normalizeUrl(url) : null,
+                workerIds,
+                resolve,
+                timeoutId: null
+            };
+            this.pendingWaiters.add(waiter);
+            if (this.getMissingWorkerIds(waiter).length == 0) {
+                this.resolveWaiter(waiter);
+                return;
+            }
+            waiter.timeoutId = setTimeout(() => { this.resolveWaiter(waiter); }, timeout);
+        });
     }
     /**
      * Listen for messages from content script, pass them to classifier, listens for
@@ -74,7 +228,7 @@ class ClassificationEvent extends Events.Event {
      *
      */
      listenForContentScriptMessages() {
-        Messaging.registerListener("WebScience.Utilities.PageClassification.pageContent", (pageContent, sender) => {
+        this.contentScriptListener = (pageContent, sender) => {
             if (!("tab" in sender)) {
                 debugLog("Warning: unexpected message");
                 return;
@@ -92,7 +246,9 @@ class ClassificationEvent extends Events.Event {
                     });
                 }
             }
-        });
+        };
+        Messaging.registerListener("WebScience.Utilities.PageClassification.pageContent",
+            this.contentScriptListener);
      }
 
     /**
@@ -156,6 +312,7 @@ class ClassificationEvent extends Events.Event {
 
     messageWorker(workerId, pageContent) {
         const worker = this.workers[workerId];
+        if (worker === undefined) return;
         worker.workerObj.postMessage({
             type: "classify",
             payload: pageContent,
@@ -174,3 +331,23 @@ function filterResults(listener, results, options) {
 export function fetchClassificationResult(url, workerId) {
     onClassificationResult.fetchClassificationResult(url, workerId);
 }
+
+/**
+ * Wait until every requested classifier has produced a result for a page or a URL, or
+ * until a deadline passes. Results that arrived before the call are included.
+ * @param {Object} target - The page or URL to wait for results for.
+ * @param {string} [target.pageId] - The page ID. If provided, only results for this
+ * page are used.
+ * @param {string} [target.url] - The URL. Used if there is no page ID, in which case
+ * results for any page with the URL (or for a fetched copy of the URL) are used.
+ * @param {Array<string>} workerIds - The worker IDs of the classifiers to wait for.
+ * @param {number} timeout - The maximum time (in milliseconds) to wait.
+ * @returns {Promise<ClassificationResults>} The results, and the classifiers that
+ * timed out. A classifier that is not running counts as timed out.
+ * @example
+ * const { results, timedOut } = await awaitClassificationResults(
+ *     { pageId: pageData.pageId }, [ "pol-page-classifier" ], 5000);
+ */
+export function awaitClassificationResults(target, workerIds, timeout) {
+    return onClassificationResult.awaitClassificationResults(target, workerIds, timeout);
+}
@@ -0,0 +1,197 @@
+/**
+ * This module provides validation of data against a JSON Schema, so that a study can
+ * check a payload before reporting it. Extension pages cannot use validators that
+ * compile schemas into code (e.g., Ajv), since the extension Content Security Policy
+ * forbids `eval`. This module instead interprets a schema directly, and supports the
+ * subset of JSON Schema (draft-07) that describes study payloads:
+ *   * `type` (a type name or an array of type names, including `"integer"`)
+ *   * `enum` and `const`
+ *   * `properties`, `required`, `additionalProperties`, and `patternProperties`
+ *   * `items` (a single schema for every item)
+ *   * `minimum` and `maximum`
+ *   * `$ref` (references to `#/definitions/...` in the same schema)
+ *
+ * Properties with the value `undefined` are treated as absent, matching how the payload
+ * is serialized to JSON. Numbers must be finite, since JSON cannot represent `NaN` or
+ * `Infinity`. A schema that uses any other keyword causes an error, so that the schema
+ * cannot silently check less than it appears to.
+ *
+ * @module WebScience.Utilities.SchemaValidation
+ */
+
+/**
+ * The schema keywords that this module checks or that have no effect on validation.
+ * @private
+ * @const {Set<string>}
+ */
+const supportedKeywords = new Set([
+    "$schema", "$id", "$comment", "title", "description", "definitions", "examples", "default",
+    "type", "enum", "const",
+    "properties", "required", "additionalProperties", "patternProperties",
+    "items",
+    "minimum", "maximum",
+    "$ref"
+]);
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {Object} schema - The schema, using the subset of JSON Schema described for the module.
+ * @param {*} value - The value to validate.
+ * @returns {Array<string>} A description of each validation error, identifying the location of the
+ * error with a JSON Pointer (e.g., `/WebScience.analysisRange/startTime`). The array is empty if the
+ * value is valid.
+ * @throws {Error} If the schema uses an unsupported keyword or an unresolvable reference.
+ * @example
+ * const errors = validate({ type: "object", required: [ "count" ] }, { });
+ * // errors is [ "/: missing required property count" ]
+ */
+export function validate(schema, value) {
+    const errors = [];
+    validateValue(schema, schema, value, "", errors);
+    return errors;
+}
+
+/**
+ * Get the JSON type of a value, distinguishing integers from other numbers.
+ * @param {*} value - The value.
+ * @returns {string} The type, one of `"null"`, `"boolean"`, `"integer"`, `"number"`,
+ * `"string"`, `"array"`, `"object"`, or `"undefined"` for values that JSON cannot represent.
+ * @private
+ */
+function getJsonType(value) {
+    if(value === null)
+        return "null";
+    if(Array.isArray(value))
+        return "array";
+    if(typeof value === "number") {
+        if(!Number.isFinite(value))
+            return "undefined";
+        return Number.isInteger(value) ? "integer" : "number";
+    }
+    if((typeof value === "boolean") || (typeof value === "string") || (typeof value === "object"))
+        return typeof value;
+    return "undefined";
+}
+
+/**
+ * Check whether a value has one of the types that a schema permits.
+ * @param {string} valueType - The JSON type of the value (see `getJsonType`).
+ * @param {string|Array<string>} schemaType - The `type` keyword from the schema.
+ * @returns {boolean} Whether the type is permitted.
+ * @private
+ */
+function matchesType(valueType, schemaType) {
+    const schemaTypes = Array.isArray(schemaType) ? schemaType : [ schemaType ];
+    return schemaTypes.includes(valueType) || ((valueType === "integer") && schemaTypes.includes("number"));
+}
+
+/**
+ * Resolve a `$ref` keyword, which must refer to a definition in the root schema.
+ * @param {Object} rootSchema - The root schema.
+ * @param {string} reference - The reference (e.g., `#/definitions/classifierResults`).
+ * @returns {Object} The referenced schema.
+ * @private
+ */
+function resolveReference(rootSchema, reference) {
+    const definitionPrefix = "#/definitions/";
+    if(reference.startsWith(definitionPrefix)) {
+        const definitionName = reference.substring(definitionPrefix.length);
+        if((typeof rootSchema.definitions === "object") && (definitionName in rootSchema.definitions))
+            return rootSchema.definitions[definitionName];
+    }
+    throw new Error(`Error: unresolvable schema reference ${reference}`);
+}
+
+/**
+ * Validate a value against a schema, recursively, recording any errors.
+ * @param {Object} rootSchema - The root schema, for resolving references.
+ * @param {Object|boolean} schema - The schema for the value.
+ * @param {*} value - The value.
+ * @param {string} path - A JSON Pointer to the value.
+ * @param {Array<string>} errors - The validation errors so far.
+ * @private
+ */
+function validateValue(rootSchema, schema, value, path, errors) {
+    const location = (path === "") ? "/" : path;
+    if(schema === true)
+        return;
+    if(schema === false) {
+        errors.push(`${location}: no value is permitted`);
+        return;
+    }
+
+    for(const keyword in schema) {
+        if(!supportedKeywords.has(keyword))
+            throw new Error(`Error: unsupported schema keyword ${keyword} at ${location}`);
+    }
+
+    if("$ref" in schema) {
+        validateValue(rootSchema, resolveReference(rootSchema, schema["$ref"]), value, path, errors);
+        return;
+    }
+
+    const valueType = getJsonType(value);
+    if(valueType === "undefined") {
+        errors.push(`${location}: ${value} is not a JSON value`);
+        return;
+    }
+    if(("type" in schema) && !matchesType(valueType, schema.type)) {
+        errors.push(`${location}: expected ${[].concat(schema.type).join(" or ")}, found ${valueType}`);
+        return;
+    }
+    if(("enum" in schema) && !schema.enum.some(permittedValue => permittedValue === value)) {
+        errors.push(`${location}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+    }
+    if(("const" in schema) && (schema.const !== value)) {
+        errors.push(`${location}: expected ${JSON.stringify(schema.const)}, found ${JSON.stringify(value)}`);
+    }
+
+    if((valueType === "integer") || (valueType === "number")) {
+        if(("minimum" in schema) && (value < schema.minimum))
+            errors.push(`${location}: ${value} is less than the minimum ${schema.minimum}`);
+        if(("maximum" in schema) && (value > schema.maximum))
+            errors.push(`${location}: ${value} is greater than the maximum ${schema.maximum}`);
+    }
+
+    if((valueType === "array") && ("items" in schema)) {
+        value.forEach((item, index) => {
+            validateValue(rootSchema, schema.items, item, `${path}/${index}`, errors);
+        });
+    }
+
+    if(valueType === "object") {
+        const properties = ("properties" in schema) ? schema.properties : { };
+        const patternProperties = Object.entries(("patternProperties" in schema) ? schema.patternProperties : { })
+            .map(([ pattern, propertySchema ]) => [ new RegExp(pattern, "u"), propertySchema ]);
+
+        if("required" in schema) {
+            for(const propertyName of schema.required) {
+                if(!(propertyName in value) || (value[propertyName] === undefined))
+                    errors.push(`${location}: missing required property ${propertyName}`);
+            }
+        }
+
+        for(const [ propertyName, propertyValue ] of Object.entries(value)) {
+            if(propertyValue === undefined)
+                continue;
+            const propertyPath = `${path}/${propertyName.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+            let matched = false;
+            if(propertyName in properties) {
+                matched = true;
+                validateValue(rootSchema, properties[propertyName], propertyValue, propertyPath, errors);
+            }
+            for(const [ pattern, propertySchema ] of patternProperties) {
+                if(pattern.test(propertyName)) {
+                    matched = true;
+                    validateValue(rootSchema, propertySchema, propertyValue, propertyPath, errors);
+                }
+            }
+            if(!matched && ("additionalProperties" in schema)) {
+                if(schema.additionalProperties === false)
+                    errors.push(`${location}: unexpected property ${propertyName}`);
+                else
+                    validateValue(rootSchema, schema.additionalProperties, propertyValue, propertyPath, errors);
+            }
+        }
+    }
+}
@@ -13,12 +13,21 @@ let privateWindows = false;
 let tweetContentSetUp = false;
 let twitter_x_csrf_token = "";
 let twitter_authorization = "";
-let twitter_tabid = "";
+let twitter_tabid = -1;
+let tweetContentScript = null;
+let tweetHeadersListener = null;
 
 let fbPostContentSetUp = false;
 let facebookTabId = -1;
+let fbPostContentScript = null;
+let fbPostContentListener = null;
 
-const processedRequestIds = {};
+/**
+ * The webRequest request IDs that have already been handled, so that an event is not
+ * handled twice. Cleared when no trackers remain.
+ * @type {Set<string>}
+ */
+const processedRequestIds = new Set();
 
 /**
  * Configure listeners to run in private windows.
@@ -29,7 +38,8 @@ export function enablePrivateWindows() {
 
 /** Unregister old handlers for an event, and register a new one, if necessary.
  * Unregistering is only necessary when there's already a nonblocking handler registered
- * and we want to convert it to a blocking handler.
+ * and we want to convert it to a blocking handler. Registering a callback that is already
+ * registered for the event has no effect, so that the callback is not called twice.
  * @param platform - which social media platform the event is for
  * @param eventType - which type of event we're registering
  * @param blockingType - whether the handler should be blocking or not
@@ -37,7 +47,6 @@ export function enablePrivateWindows() {
  */
 function registerPlatformListener(platform, eventType, blockingType, callback) {
     debugLog("Registering listener for " + platform + eventType);
-    const blocking = blockingType == "blocking";
     const handler = platformHandlers[platform][eventType];
 
     if (handler.registeredListener == null ||
@@ -45,24 +54,88 @@ function registerPlatformListener(platform, eventType, blockingType, callback) {
 
         // if there is a nonblocking listener registered, we must be blocking (otherwise this code wouldn't run)
         // and if we're adding a blocking listener, we want to get rid of the nonblocking one
-        if (handler.registeredListener != null && handler.registeredBlockingType == "nonblocking") {
-            browser.webRequest[handler.stage].removeListener(handler.registeredListener);
+        removeWebRequestListener(handler);
+        addWebRequestListener(platform, eventType, blockingType);
+    }
+    const callbacks = clientCallbacks[platform][eventType][blockingType];
+    if (!callbacks.includes(callback)) callbacks.push(callback);
+}
+
+/**
+ * Add the webRequest listener for an event.
+ * @param platform - which social media platform the event is for
+ * @param eventType - which type of event the listener is for
+ * @param blockingType - whether the listener should be blocking or not
+ */
+function addWebRequestListener(platform, eventType, blockingType) {
+    const blocking = blockingType == "blocking";
+    const handler = platformHandlers[platform][eventType];
+    const stage = handler.stage;
+    const urls = handler.urls;
+    handler.registeredListener = ((requestDetails) => {
+        return handleGenericEvent({requestDetails: requestDetails, platform: platform,
+                            eventType: eventType, blockingType: blockingType});
+    });
+    handler.registeredBlockingType = blockingType;
+    browser.webRequest[stage].addListener(handler.registeredListener,
+    {
+        urls: urls,
+        incognito: (privateWindows ? null : false)
+    },
+        blocking ? ["requestBody", blockingType] : ["requestBody"]);
+}
+
+/**
+ * Remove the webRequest listener for an event, if there is one.
+ * @param handler - the handler configuration for the event
+ */
+function removeWebRequestListener(handler) {
+    if (handler.registeredListener == null) return;
+    browser.webRequest[handler.stage].removeListener(handler.registeredListener);
+    handler.registeredListener = null;
+    handler.registeredBlockingType = null;
+}
+
+/**
+ * Unregister a callback from every event it was registered for. When an event no
+ * longer has any callbacks, its webRequest listener is removed, and when it no longer
+ * has a blocking callback, its webRequest listener becomes nonblocking. When a platform
+ * no longer has any callbacks, its content script, listeners, and cached state (e.g.,
+ * the tab used for requests) are removed, and when no platform has any callbacks, the
+ * record of handled requests is cleared.
+ * @param callback - the client function that was registered
+ */
+export function unregisterActivityTracker(callback) {
+    let anyPlatformHasCallbacks = false;
+    for (const platform in clientCallbacks) {
+        let platformHasCallbacks = false;
+        for (const eventType in clientCallbacks[platform]) {
+            const callbacks = clientCallbacks[platform][eventType];
+            for (const blockingType in callbacks) {
+                callbacks[blockingType] = callbacks[blockingType].filter(
+                    (registeredCallback) => registeredCallback !== callback);
+            }
+            const handler = platformHandlers[platform][eventType];
+            if (callbacks.blocking.length == 0 && callbacks.nonblocking.length == 0) {
+                if (handler.registeredListener != null) {
+                    debugLog("Unregistering listener for " + platform + eventType);
+                    removeWebRequestListener(handler);
+                }
+            } else {
+                platformHasCallbacks = true;
+                if (callbacks.blocking.length == 0 && handler.registeredBlockingType == "blocking") {
+                    removeWebRequestListener(handler);
+                    addWebRequestListener(platform, eventType, "nonblocking");
+                }
+            }
         }
-        const stage = handler.stage;
-        const urls = handler.urls;
-        handler.registeredListener = ((requestDetails) => {
-            return handleGenericEvent({requestDetails: requestDetails, platform: platform,
-                                eventType: eventType, blockingType: blockingType});
-        });
-        handler.registeredBlockingType = blockingType;
-        browser.webRequest[stage].addListener(handler.registeredListener,
-        {
-            urls: urls,
-            incognito: (privateWindows ? null : false)
-        },
-            blocking ? ["requestBody", blockingType] : ["requestBody"]);
+        if (!platformHasCallbacks) {
+            if (platform == "twitter") tweetContentUninit();
+            if (platform == "facebook") fbPostContentUninit();
+        }
+        anyPlatformHasCallbacks = anyPlatformHasCallbacks || platformHasCallbacks;
     }
-    clientCallbacks[platform][eventType][blockingType].push(callback);
+    if (!anyPlatformHasCallbacks) processedRequestIds.clear();
 }
 
 
@@ -140,6 +213,54 @@ export function registerRedditActivityTracker(
     }
 }
 
+/**
+ * Register a callback for specific YouTube events. Supported events are "like" (includes
+ * dislikes and removing a like or dislike), "comment", "subscribe" (includes unsubscribing
+ * from a channel), and "share" (opening the share dialog for a video).
+ * @param callback - the function to call when the event happens
+ * @param [String] events - array of events to be tracked
+ * @param blocking - whether the listener should be blocking. Allows canceling the event.
+ */
+export function registerYouTubeActivityTracker(
+    callback,
+    events,
+    blocking = false) {
+    if (events.includes("like") || events.includes("<all_events>")) {
+        registerPlatformListener("youtube", "like", blocking ? "blocking" : "nonblocking", callback);
+    }
+    if (events.includes("comment") || events.includes("<all_events>")) {
+        registerPlatformListener("youtube", "comment", blocking ? "blocking" : "nonblocking", callback);
+    }
+    if (events.includes("subscribe") || events.includes("<all_events>")) {
+        registerPlatformListener("youtube", "subscribe", blocking ? "blocking" : "nonblocking", callback);
+    }
+    if (events.includes("share") || events.includes("<all_events>")) {
+        registerPlatformListener("youtube", "share", blocking ? "blocking" : "nonblocking", callback);
+    }
+}
+
+/**
+ * Register a callback for specific Mastodon events, on any Mastodon instance. Supported
+ * events are "post" (includes replies), "reblog", and "favourite".
+ * @param callback - the function to call when the event happens
+ * @param [String] events - array of events to be tracked
+ * @param blocking - whether the listener should be blocking. Allows canceling the event.
+ */
+export function registerMastodonActivityTracker(
+    callback,
+    events,
+    blocking = false) {
+    if (events.includes("post") || events.includes("<all_events>")) {
+        registerPlatformListener("mastodon", "post", blocking ? "blocking" : "nonblocking", callback);
+    }
+    if (events.includes("reblog") || events.includes("<all_events>")) {
+        registerPlatformListener("mastodon", "reblog", blocking ? "blocking" : "nonblocking", callback);
+    }
+    if (events.includes("favourite") || events.includes("<all_events>")) {
+        registerPlatformListener("mastodon", "favourite", blocking ? "blocking" : "nonblocking", callback);
+    }
+}
+
 /**
  * Upon receiving any event, validate that it is a valid instance of the tracked action,
  * call parsers to extract relevant information, and call a blocking callback if it exists.
@@ -156,14 +277,19 @@ async function handleGenericEvent({requestDetails = null,
                              blockingType = null}) {
     const handler = platformHandlers[platform][eventType];
     const eventTime = Date.now();
-    let verified = null;
+    // Combine the results of the verifiers, so that the order of the verifiers does not affect
+    // what the extractors receive. The Facebook and Reddit vote handlers run verifyNewRequest
+    // (which returns an empty object) last, so their extractors would otherwise not receive the
+    // results of the platform verifiers (e.g., the reaction request from verifyFacebookReact).
+    const verified = {};
     for (const verifier of handler.verifiers) {
-        verified = await verifier({requestDetails: requestDetails, platform: platform,
+        const verifierResult = await verifier({requestDetails: requestDetails, platform: platform,
             eventType: eventType, blockingType: blockingType,
             eventTime: eventTime});
-        if (!verified) {
+        if (!verifierResult) {
             return {};
         }
+        Object.assign(verified, verifierResult);
     }
     if (platform == "facebook") {
         facebookTabId = requestDetails.tabId;
@@ -178,7 +304,7 @@ async function handleGenericEvent({requestDetails = null,
         }
     }
     let blockingResult;
-    if (blockingType == "blocking") {
+    if (blockingType == "blocking" && clientCallbacks[platform][eventType][blockingType].length > 0) {
         blockingResult = await clientCallbacks[platform][eventType][blockingType][0](details);
         if (blockingResult && "cancel" in blockingResult) {
             return blockingResult;
@@ -213,6 +339,16 @@ function verifyReadableFormData({requestDetails = null}) {
     return {};
 }
 
+/**
+ * A generic verifier that makes sure the raw request body is present.
+ * @param requestDetails - the raw request
+ */
+function verifyReadableRawBody({requestDetails = null}) {
+    if (!requestDetails.requestBody) return null;
+    if (!requestDetails.requestBody.raw || requestDetails.requestBody.raw.length == 0) return null;
+    return {};
+}
+
 /**
  * Sometimes a redir gets issued (for the same url) and we see the event twice,
  * resulting in double-counting events. Check whether we've seen this requestId
@@ -223,10 +359,10 @@ function verifyReadableFormData({requestDetails = null}) {
  */
 function verifyNewRequest({requestDetails = null}) {
     if (!requestDetails.requestId) return null;
-    if (processedRequestIds[requestDetails.requestId]) {
+    if (processedRequestIds.has(requestDetails.requestId)) {
         return null;
     }
-    processedRequestIds[requestDetails.requestId] = true;
+    processedRequestIds.add(requestDetails.requestId);
     return {};
 }
 
@@ -250,6 +386,17 @@ const clientCallbacks = {
         comment: {blocking: [], nonblocking: []},
         postVote: {blocking: [], nonblocking: []},
         commentVote: {blocking: [], nonblocking: []}
+    },
+    youtube: {
+        like: {blocking: [], nonblocking: []},
+        comment: {blocking: [], nonblocking: []},
+        subscribe: {blocking: [], nonblocking: []},
+        share: {blocking: [], nonblocking: []}
+    },
+    mastodon: {
+        post: {blocking: [], nonblocking: []},
+        reblog: {blocking: [], nonblocking: []},
+        favourite: {blocking: [], nonblocking: []}
     }
 }
 
@@ -265,6 +412,12 @@ const platformHandlers = {
     },
     reddit: {
         post: null, comment: null, postVote: null, commentVote: null
+    },
+    youtube: {
+        like: null, comment: null, subscribe: null, share: null
+    },
+    mastodon: {
+        post: null, reblog: null, favourite: null
     }
 }
 
@@ -311,7 +464,7 @@ platformHandlers.facebook.post = {
 platformHandlers.facebook.react = {
     stage: "onBeforeRequest",
     urls: ["https://www.facebook.com/api/graphql/"],
-    verifiers: [verifyPostReq, verifyReadableFormData, verifyNewRequest, verifyFacebookReact],
+    verifiers: [verifyPostReq, verifyReadableFormData, verifyFacebookReact, verifyNewRequest],
     extractors: [extractFacebookReact],
     completers: [],
     registeredListener: null,
@@ -320,7 +473,7 @@ platformHandlers.facebook.react = {
 platformHandlers.facebook.comment = {
     stage: "onBeforeRequest",
     urls: ["https://www.facebook.com/api/graphql/"],
-    verifiers: [verifyPostReq, verifyReadableFormData, verifyNewRequest, verifyFacebookComment],
+    verifiers: [verifyPostReq, verifyReadableFormData, verifyFacebookComment, verifyNewRequest],
     extractors: [extractFacebookComment],
     completers: [],
     registeredListener: null,
@@ -359,7 +512,7 @@ platformHandlers.reddit.comment = {
 platformHandlers.reddit.postVote = {
     stage: "onBeforeRequest",
     urls: [ "https://oauth.reddit.com/api/vote*" ],
-    verifiers: [verifyPostReq, verifyReadableFormData, verifyNewRequest, verifyRedditPostVote],
+    verifiers: [verifyPostReq, verifyReadableFormData, verifyRedditPostVote, verifyNewRequest],
     extractors: [extractRedditPostVote],
     completers: [],
     registeredListener: null,
@@ -368,13 +521,82 @@ platformHandlers.reddit.postVote = {
 platformHandlers.reddit.commentVote = {
     stage: "onBeforeRequest",
     urls: [ "https://oauth.reddit.com/api/vote*" ],
-    verifiers: [verifyPostReq, verifyReadableFormData, verifyNewRequest, verifyRedditCommentVote],
+    verifiers: [verifyPostReq, verifyReadableFormData, verifyRedditCommentVote, verifyNewRequest],
     extractors: [extractRedditCommentVote],
     completers: [],
     registeredListener: null,
     registeredBlockingType: null
 };
 
+platformHandlers.youtube.like = {
+    stage: "onBeforeRequest",
+    urls: [ "https://www.youtube.com/youtubei/v1/like/like*",
+            "https://www.youtube.com/youtubei/v1/like/dislike*",
+            "https://www.youtube.com/youtubei/v1/like/removelike*" ],
+    verifiers: [verifyPostReq, verifyReadableRawBody, verifyYouTubeLike, verifyNewRequest],
+    extractors: [extractYouTubeLike],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+platformHandlers.youtube.comment = {
+    stage: "onBeforeRequest",
+    urls: [ "https://www.youtube.com/youtubei/v1/comment/create_comment*" ],
+    verifiers: [verifyPostReq, verifyReadableRawBody, verifyYouTubeComment, verifyNewRequest],
+    extractors: [extractYouTubeComment],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+platformHandlers.youtube.subscribe = {
+    stage: "onBeforeRequest",
+    urls: [ "https://www.youtube.com/youtubei/v1/subscription/subscribe*",
+            "https://www.youtube.com/youtubei/v1/subscription/unsubscribe*" ],
+    verifiers: [verifyPostReq, verifyReadableRawBody, verifyYouTubeSubscribe, verifyNewRequest],
+    extractors: [extractYouTubeSubscribe],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+platformHandlers.youtube.share = {
+    stage: "onBeforeRequest",
+    urls: [ "https://www.youtube.com/youtubei/v1/share/get_share_panel*" ],
+    verifiers: [verifyPostReq, verifyReadableRawBody, verifyYouTubeShare, verifyNewRequest],
+    extractors: [extractYouTubeShare],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+
+// Mastodon instances can be on any host, so the handlers match the Mastodon API paths
+platformHandlers.mastodon.post = {
+    stage: "onBeforeRequest",
+    urls: [ "https://*/api/v1/statuses" ],
+    verifiers: [verifyPostReq, verifyMastodonPost, verifyNewRequest],
+    extractors: [extractMastodonPost],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+platformHandlers.mastodon.reblog = {
+    stage: "onBeforeRequest",
+    urls: [ "https://*/api/v1/statuses/*/reblog" ],
+    verifiers: [verifyPostReq, verifyMastodonStatusAction, verifyNewRequest],
+    extractors: [extractMastodonStatusAction],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+platformHandlers.mastodon.favourite = {
+    stage: "onBeforeRequest",
+    urls: [ "https://*/api/v1/statuses/*/favourite" ],
+    verifiers: [verifyPostReq, verifyMastodonStatusAction, verifyNewRequest],
+    extractors: [extractMastodonStatusAction],
+    completers: [],
+    registeredListener: null,
+    registeredBlockingType: null
+};
+
 /**
  * Ensure that a tweet request contains a readable tweet.
  * @param requestDetails - the raw request
@@ -502,8 +724,15 @@ function tweetContentInit() {
             { file: "/WebScience/Measurements/content-scripts/twitter.js" }
         ],
         runAt: "document_idle"
+    }).then((registeredContentScript) => {
+        // The trackers might have been unregistered while the content script was registering
+        if (!tweetContentSetUp) {
+            registeredContentScript.unregister();
+            return;
+        }
+        tweetContentScript = registeredContentScript;
     });
-    browser.webRequest.onBeforeSendHeaders.addListener((details) => {
+    tweetHeadersListener = (details) => {
         for (const header of details.requestHeaders) {
             if (header.name == "x-csrf-token") {
                 twitter_x_csrf_token = header.value;
@@ -515,7 +744,25 @@ function tweetContentInit() {
                 twitter_authorization = header.value;
             }
         }
-    }, {urls: ["https://api.twitter.com/*"]}, ["requestHeaders"]);
+    };
+    browser.webRequest.onBeforeSendHeaders.addListener(tweetHeadersListener,
+        {urls: ["https://api.twitter.com/*"]}, ["requestHeaders"]);
+}
+
+/**
+ * Remove the Twitter content script and header listener, and forget the tab and
+ * request headers used for retrieving tweets, once there are no Twitter trackers registered.
+ */
+function tweetContentUninit() {
+    if (!tweetContentSetUp) { return; }
+    tweetContentSetUp = false;
+    if (tweetContentScript != null) tweetContentScript.unregister();
+    tweetContentScript = null;
+    browser.webRequest.onBeforeSendHeaders.removeListener(tweetHeadersListener);
+    tweetHeadersListener = null;
+    twitter_x_csrf_token = "";
+    twitter_authorization = "";
+    twitter_tabid = -1;
 }
 
 /**
@@ -526,20 +773,70 @@ function tweetContentInit() {
 async function fbPostContentInit() {
     if (fbPostContentSetUp) { return; }
     fbPostContentSetUp = true;
-    Messaging.registerListener("WebScience.Utilities.SocialMediaActivity",
-        (message, sender) => {
-            if (message.platform == "facebook") {
-                facebookTabId = sender.tab.id;
-            }
-        });
+    fbPostContentListener = (message, sender) => {
+        if (message.platform == "facebook") {
+            facebookTabId = sender.tab.id;
+        }
+    };
+    Messaging.registerListener("WebScience.Utilities.SocialMediaActivity", fbPostContentListener);
     // Register the content script that will find posts inside the page when reshares happen
-    await browser.contentScripts.register({
+    const registeredContentScript = await browser.contentScripts.register({
         matches: ["https://www.facebook.com/*", "https://www.facebook.com/"],
         js: [
             { file: "/WebScience/Measurements/content-scripts/facebook.js" }
         ],
         runAt: "document_start"
     });
+    // The trackers might have been unregistered while the content script was registering
+    if (!fbPostContentSetUp) {
+        registeredContentScript.unregister();
+        return;
+    }
+    fbPostContentScript = registeredContentScript;
+}
+
+/**
+ * Remove the Facebook content script and message listener, and forget the tab used
+ * for retrieving posts, once there are no Facebook trackers registered.
+ */
+function fbPostContentUninit() {
+    if (!fbPostContentSetUp) { return; }
+    fbPostContentSetUp = false;
+    Messaging.unregisterListener("WebScience.Utilities.SocialMediaActivity", fbPostContentListener);
+    fbPostContentListener = null;
+    if (fbPostContentScript != null) fbPostContentScript.unregister();
+    fbPostContentScript = null;
+    facebookTabId = -1;
+}
+
+/**
+ * Find the post that a react or comment request targets.
+ * @param variables - the variables of the request
+ * @returns - the post ID, group ID, and owner ID for the post (empty strings if unknown)
+ */
+function findFacebookTarget(variables) {
+    const target = { postId: "", groupId: "", ownerId: "" };
+    const tracking = findFieldFacebook(variables, "tracking");
+    if (tracking != null) {
+        target.postId = findFieldFacebook(tracking, "top_level_post_id") || "";
+        target.groupId = findFieldFacebook(tracking, "group_id") || "";
+        target.ownerId = findFieldFacebook(tracking, "content_owner_id_new") || "";
+    }
+    if (target.postId == "") {
+        // The feedback ID is "feedback:<post ID>", and new FB encodes it in base64
+        let feedbackId = findFieldFacebook(variables, "feedback_id");
+        if (typeof(feedbackId) == "string" && !feedbackId.startsWith("feedback:")) {
+            try {
+                feedbackId = atob(feedbackId);
+            } catch {
+                debugLog("failed decoding facebook feedback ID");
+            }
+        }
+        if (typeof(feedbackId) == "string" && feedbackId.startsWith("feedback:")) {
+            target.postId = feedbackId.substring(9);
+        }
+    }
+    return target;
 }
 
 /**
@@ -549,20 +846,7 @@ async function fbPostContentInit() {
  */
 function extractFacebookReact({requestDetails = null, eventTime = null, verified = null}) {
     const reactionRequest = verified.reactionRequest;
-    let postId = "";
-    let groupId = "";
-    let ownerId = "";
-    try {
-        const tracking = findFieldFacebook(reactionRequest, "tracking");
-        postId = findFieldFacebook(tracking, "top_level_post_id");
-        groupId = findFieldFacebook(tracking, "group_id");
-        ownerId = findFieldFacebook(tracking, "content_owner_id_new");
-    } catch(error) {
-        const feedbackId = findFieldFacebook(reactionRequest, "feedback_id");
-        if (feedbackId.startsWith("feedback:")) {
-            postId = feedbackId.substring(9);
-        }
-    }
+    const { postId, groupId, ownerId } = findFacebookTarget(reactionRequest);
     const reaction = findFieldFacebook(reactionRequest, "feedback_reaction");
     let reactionType = "unknown";
     if (reaction == 0) { // removing reaction
@@ -664,14 +948,8 @@ function extractFacebookPost({requestDetails = null, eventTime = null}) {
  */
 function extractFacebookComment({requestDetails = null, eventTime = null}) {
     const variables = findFieldFacebook(requestDetails.requestBody.formData, "variables");
-    const tracking = findFieldFacebook(variables, "tracking");
-    let postId = "";
-    let groupId = "";
-    let ownerId = "";
-    postId = findFieldFacebook(tracking, "top_level_post_id");
-    groupId = findFieldFacebook(tracking, "group_id");
-    ownerId = findFieldFacebook(tracking, "content_owner_id_new");
-    const commentText = findFieldFacebook(findFieldFacebook(variables, "message"), "text");
+    const { postId, groupId, ownerId } = findFacebookTarget(variables);
+    const commentText = findFieldFacebook(findFieldFacebook(variables, "message"), "text") || "";
     const details = {
         eventType: "comment",
         postId: postId,
@@ -689,8 +967,12 @@ function extractFacebookComment({requestDetails = null, eventTime = null}) {
  */
 function verifyFacebookComment({requestDetails = null}) {
     if (!(requestDetails.requestBody.formData.fb_api_req_friendly_name)) { return null; }
-    const friendlyName = findFieldFacebook(requestDetails, "fb_api_req_friendly_name");
-    if (!(friendlyName.includes("UFI2CreateCommentMutation"))) { return null; }
+    // The friendly name may be in an array, and new FB adds a prefix (e.g., "useComet...")
+    const friendlyName = String(findFieldFacebook(requestDetails, "fb_api_req_friendly_name"));
+    if (!(friendlyName.includes("UFI2CreateCommentMutation") ||
+          friendlyName.includes("CometUFICreateCommentMutation"))) {
+        return null;
+    }
 
     return {};
 }
@@ -746,9 +1028,12 @@ function findFieldFacebook(object, fieldName, enterArray = true, recurseLevel =
         result = object[fieldName];
 
         //nobody wants straight JSON back
+        // (but Facebook IDs are numeric strings, and parsing an ID as a number would change its
+        // type and lose precision for IDs larger than Number.MAX_SAFE_INTEGER, so only parse
+        // JSON objects and arrays)
         try {
             const parsed = JSON.parse(result)
-            return parsed;
+            return (typeof(parsed) == "object" && parsed !== null) ? parsed : result;
         } catch {
             return result;
         }
@@ -901,6 +1186,39 @@ function verifyRedditPost({requestDetails = null}) {
     return {};
 }
 
+/**
+ * Parse the rich text in a Reddit post or comment request into paragraphs.
+ * Reddit breaks up what the user types in a post or comment. The "c" element of
+ *  the "document" array is another array of objects with "e" and "t" attributes.
+ * The "e" attribute tells you the type of element it is ("text" or "link"),
+ *  and then the "t" attribute is the actual content. So, a post with the content:
+ *  Here are some words www.example.com more words
+ *  would generate a document[0].c with three elements:
+ *  {"e":"text", "t":"Here are some words "}
+ *  {"e":"link", "t":"www.example.com"}
+ *  {"e":"text", "t":" more words"}
+ *  (sometimes there are more attributes besides e and t -- but those are the ones that seem relevant)
+ * @param {string[]} richtextJson - the "richtext_json" form data from the request
+ * @returns - an array of paragraphs, each an array of elements
+ */
+function parseRedditRichText(richtextJson) {
+    const paragraphs = [];
+    if (!Array.isArray(richtextJson) || richtextJson.length == 0) return paragraphs;
+    try {
+        const postObject = JSON.parse(richtextJson[0]);
+        if (typeof(postObject) == "object" && postObject !== null && "document" in postObject) {
+            for (const paragraph of postObject.document) {
+                if (typeof(paragraph) == "object" && "c" in paragraph) {
+                    paragraphs.push(paragraph.c);
+                }
+            }
+        }
+    } catch {
+        debugLog("Failed parsing Reddit rich text");
+    }
+    return paragraphs;
+}
+
 /**
  * Parse a Reddit post request into an object.
  * @param requestDetails - the raw request
@@ -936,29 +1254,9 @@ function extractRedditPost({requestDetails = null}) {
     details.postTitle = requestDetails.requestBody.formData.title[0];
     details.eventType = "post";
 
-    /* check that this is a post whose body we can read */
-    /* Reddit breaks up what the user types in the post. The "c" element of
-     *  the "document" array is another array of objects with "e" and "t" attributes.
-     * The "e" attribute tells you the type of element it is ("text" or "link"),
-     *  and then the "t" attribute is the actual content. So, a post with the content:
-     *  Here are some words www.example.com more words
-     *  would generate a document[0].c with three elements:
-     *  {"e":"text", "t":"Here are some words "}
-     *  {"e":"link", "t":"www.example.com"}
-     *  {"e":"text", "t":" more words"}
-     *  (sometimes there are more attributes besides e and t -- but those are the ones that seem relevant)
-     */
     if (typeof(requestDetails.requestBody.formData) == "object" &&
         "richtext_json" in requestDetails.requestBody.formData) {
-        const postObject = JSON.parse(requestDetails.requestBody.formData["richtext_json"]);
-        if (typeof(postObject) == "object" && "document" in postObject) {
-            details.postBody = [];
-            for (const paragraph of postObject.document) {
-                if (typeof(paragraph) == "object" && "c" in paragraph) {
-                    details.postBody.push(paragraph.c);
-                }
-            }
-        }
+        details.postBody = parseRedditRichText(requestDetails.requestBody.formData["richtext_json"]);
     }
     return details;
 }
@@ -984,9 +1282,10 @@ function extractRedditComment({requestDetails = null, eventTime = null}) {
     const details = {};
     details.eventTime = eventTime;
     details.eventType = "comment";
-    details.postId = requestDetails.requestBody.formData.thing_id;
-    details.commentText = requestDetails.requestBody.formData.richtext_json;
-    details.otherCommentText = requestDetails.requestBody.formData.text;
+    details.postId = requestDetails.requestBody.formData.thing_id[0];
+    details.commentBody = parseRedditRichText(requestDetails.requestBody.formData.richtext_json);
+    details.commentText = requestDetails.requestBody.formData.text ?
+        requestDetails.requestBody.formData.text[0] : "";
     return details;
 }
 
@@ -1093,3 +1392,396 @@ export function getRedditThingContents(thingId) {
         });
     });
 }
+
+/**
+ * Parse the JSON body of a request, such as a request to the YouTube internal API.
+ * @param requestDetails - the raw request
+ * @returns - the parsed body, or null if the body is not a JSON object
+ */
+function parseJsonRequestBody(requestDetails) {
+    try {
+        const decoder = new TextDecoder("utf-8");
+        let bodyText = "";
+        for (const part of requestDetails.requestBody.raw) {
+            if (part.bytes) bodyText += decoder.decode(part.bytes, {stream: true});
+        }
+        bodyText += decoder.decode();
+        const body = JSON.parse(bodyText);
+        return (typeof(body) == "object" && body !== null) ? body : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read a base 128 varint from a protocol buffer.
+ * @param {Uint8Array} bytes - the encoded protocol buffer
+ * @param {number} offset - where the varint starts
+ * @returns - the value and the offset after the varint, or null if the varint is truncated
+ */
+function readVarint(bytes, offset) {
+    let value = 0;
+    let multiplier = 1;
+    while (offset < bytes.length) {
+        const byte = bytes[offset++];
+        value += (byte & 0x7f) * multiplier;
+        if ((byte & 0x80) == 0) return {value, offset};
+        multiplier *= 128;
+    }
+    return null;
+}
+
+/**
+ * Collect the strings in an encoded protocol buffer message, including the strings in
+ * nested messages. YouTube encodes some request parameters (e.g., the video for a comment
+ * or a share) as base64 protocol buffers, and we don't have the message definitions, so
+ * we look for the strings instead.
+ * @param {Uint8Array} bytes - the encoded message
+ * @param {Array<string>} strings - the array to add strings to
+ * @param {number} depth - how many more levels of nested messages to check
+ * @returns - whether the bytes were a well-formed message
+ */
+function collectProtobufStrings(bytes, strings, depth) {
+    const decoder = new TextDecoder("utf-8", {fatal: true});
+    let offset = 0;
+    while (offset < bytes.length) {
+        const key = readVarint(bytes, offset);
+        if (key == null) return false;
+        offset = key.offset;
+        const wireType = key.value % 8;
+        if (wireType == 0) {
+            const varint = readVarint(bytes, offset);
+            if (varint == null) return false;
+            offset = varint.offset;
+        } else if (wireType == 1) {
+            offset += 8;
+        } else if (wireType == 5) {
+            offset += 4;
+        } else if (wireType == 2) {
+            const length = readVarint(bytes, offset);
+            if (length == null || length.offset + length.value > bytes.length) return false;
+            const field = bytes.subarray(length.offset, length.offset + length.value);
+            offset = length.offset + length.value;
+            // A field can be both a valid string and a valid nested message, so check both
+            try {
+                strings.push(decoder.decode(field));
+            } catch {
+                // The field is not a string (e.g., it is a nested message or bytes)
+            }
+            if (depth > 0) collectProtobufStrings(field, strings, depth - 1);
+        } else {
+            return false;
+        }
+    }
+    return offset == bytes.length;
+}
+
+/**
+ * Find the video ID in a base64-encoded protocol buffer parameter from a YouTube request.
+ * @param {string} encodedParams - the parameter, base64 encoded and possibly URL encoded
+ * @returns - the video ID, or null if the parameter does not contain a video ID
+ */
+function findYouTubeVideoId(encodedParams) {
+    if (typeof(encodedParams) != "string") return null;
+    let bytes;
+    try {
+        const base64 = decodeURIComponent(encodedParams).replace(/-/g, "+").replace(/_/g, "/");
+        bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    } catch {
+        return null;
+    }
+    const strings = [];
+    collectProtobufStrings(bytes, strings, 3);
+    const videoId = strings.find((string) => /^[0-9A-Za-z_-]{11}$/.test(string));
+    return (videoId !== undefined) ? videoId : null;
+}
+
+/**
+ * Check that a request is a valid YouTube like, dislike, or like removal.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the parsed request body
+ */
+function verifyYouTubeLike({requestDetails = null}) {
+    const body = parseJsonRequestBody(requestDetails);
+    if (!(body && typeof(body.target) == "object" && body.target !== null &&
+          typeof(body.target.videoId) == "string")) { return null; }
+    return {body};
+}
+
+/**
+ * Parse a YouTube like request into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object, where `reaction` is "like", "dislike", or "none" (for
+ *  removing a like or dislike)
+ */
+function extractYouTubeLike({requestDetails = null, verified = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = "like";
+    details.videoId = verified.body.target.videoId;
+    const action = (new URL(requestDetails.url)).pathname.split("/").pop();
+    details.reaction = (action == "removelike") ? "none" : action;
+    return details;
+}
+
+/**
+ * Check that a request is a valid YouTube comment on a video.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the parsed request body and video ID
+ */
+function verifyYouTubeComment({requestDetails = null}) {
+    const body = parseJsonRequestBody(requestDetails);
+    if (!(body && typeof(body.commentText) == "string")) { return null; }
+    const videoId = findYouTubeVideoId(body.createCommentParams);
+    if (videoId == null) { return null; }
+    return {body, videoId};
+}
+
+/**
+ * Parse a YouTube comment request into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object
+ */
+function extractYouTubeComment({verified = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = "comment";
+    details.videoId = verified.videoId;
+    details.commentText = verified.body.commentText;
+    return details;
+}
+
+/**
+ * Check that a request is a valid YouTube channel subscription or unsubscription.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the parsed request body
+ */
+function verifyYouTubeSubscribe({requestDetails = null}) {
+    const body = parseJsonRequestBody(requestDetails);
+    if (!(body && Array.isArray(body.channelIds) && body.channelIds.length > 0)) { return null; }
+    return {body};
+}
+
+/**
+ * Parse a YouTube subscription request into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object, where `subscribed` is false for unsubscribing
+ */
+function extractYouTubeSubscribe({requestDetails = null, verified = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = "subscribe";
+    details.channelIds = verified.body.channelIds;
+    details.subscribed = (new URL(requestDetails.url)).pathname.split("/").pop() == "subscribe";
+    return details;
+}
+
+/**
+ * Check that a request opens the YouTube share dialog for a video.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the video ID
+ */
+function verifyYouTubeShare({requestDetails = null}) {
+    const body = parseJsonRequestBody(requestDetails);
+    if (!body) { return null; }
+    const videoId = findYouTubeVideoId(body.serializedSharedEntity);
+    if (videoId == null) { return null; }
+    return {videoId};
+}
+
+/**
+ * Parse a YouTube share request into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object
+ */
+function extractYouTubeShare({verified = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = "share";
+    details.videoId = verified.videoId;
+    return details;
+}
+
+/**
+ * Retrieve the channel that published a YouTube video.
+ * @param {string} videoId - the video ID
+ * @returns - a Promise that resolves to the channel ID (or null, if the channel could not be
+ *  found) and the URLs for the channel page, which can be of the form
+ *  `https://www.youtube.com/channel/<channel ID>/`, `https://www.youtube.com/user/<user name>/`,
+ *  or a custom URL
+ */
+export function getYouTubeVideoChannel(videoId) {
+    return fetch(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`,
+        {credentials: "omit"}).then((response) => response.text()).then((page) => {
+        const channel = {channelId: null, channelUrls: []};
+        const channelIdMatch = /"channelId":"(UC[0-9A-Za-z_-]{22})"/.exec(page);
+        if (channelIdMatch) {
+            channel.channelId = channelIdMatch[1];
+            channel.channelUrls.push(`https://www.youtube.com/channel/${channel.channelId}/`);
+        }
+        // The owner's profile and the owner's canonical channel path can be legacy user name
+        // URLs or custom URLs, which some studies use to identify channels
+        const ownerProfileMatch = /"ownerProfileUrl":"https?:\/\/www\.youtube\.com\/([^"?]+)"/.exec(page);
+        const canonicalPathMatch = /"videoOwnerRenderer":.*?"canonicalBaseUrl":"\/([^"?]+)"/.exec(page);
+        for (const match of [ownerProfileMatch, canonicalPathMatch]) {
+            if (!match) continue;
+            const channelUrl = `https://www.youtube.com/${match[1]}/`;
+            if (!channel.channelUrls.includes(channelUrl)) channel.channelUrls.push(channelUrl);
+        }
+        return channel;
+    }).catch(() => {
+        return {channelId: null, channelUrls: []};
+    });
+}
+
+/**
+ * The visibility levels of Mastodon statuses.
+ * @const {string[]}
+ */
+const mastodonVisibilities = [ "public", "unlisted", "private", "direct" ];
+
+/**
+ * Parse the body of a Mastodon API request, which can be JSON (sent by the Mastodon web
+ * client) or form data (sent by some other clients).
+ * @param requestDetails - the raw request
+ * @returns - the parsed body (with form data values unwrapped from arrays), or an empty
+ *  object if the request has no readable body
+ */
+function parseMastodonRequestBody(requestDetails) {
+    if (!requestDetails.requestBody) return {};
+    if (requestDetails.requestBody.formData) {
+        const body = {};
+        for (const field in requestDetails.requestBody.formData) {
+            body[field] = requestDetails.requestBody.formData[field][0];
+        }
+        return body;
+    }
+    if (requestDetails.requestBody.raw) {
+        const body = parseJsonRequestBody(requestDetails);
+        if (body) return body;
+    }
+    return {};
+}
+
+/**
+ * Get the visibility of a Mastodon status from a request or a status object.
+ * @param visibility - the visibility field
+ * @returns - the visibility ("public", "unlisted", "private", or "direct"), or "unknown"
+ */
+function getMastodonVisibility(visibility) {
+    return mastodonVisibilities.includes(visibility) ? visibility : "unknown";
+}
+
+/**
+ * Check that a request is a valid Mastodon status post.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the parsed body
+ */
+function verifyMastodonPost({requestDetails = null}) {
+    const body = parseMastodonRequestBody(requestDetails);
+    if (!(typeof(body.status) == "string" && body.status.length > 0)) { return null; }
+    return {body};
+}
+
+/**
+ * Parse a Mastodon status post into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object
+ */
+function extractMastodonPost({requestDetails = null, verified = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = "post";
+    details.instance = (new URL(requestDetails.url)).origin;
+    details.postText = verified.body.status;
+    details.inReplyToId = verified.body.in_reply_to_id ? verified.body.in_reply_to_id : null;
+    // When a post does not specify visibility, the instance uses the account's default
+    details.visibility = getMastodonVisibility(verified.body.visibility);
+    return details;
+}
+
+/**
+ * Check that a request is a valid Mastodon reblog or favourite of a status.
+ * @param requestDetails - the raw request
+ * @returns - null if the request is not valid, otherwise the status ID
+ */
+function verifyMastodonStatusAction({requestDetails = null}) {
+    const match = /\/api\/v1\/statuses\/([^/?#]+)\/(reblog|favourite)$/.exec(
+        (new URL(requestDetails.url)).pathname);
+    if (!match) { return null; }
+    return {statusId: decodeURIComponent(match[1])};
+}
+
+/**
+ * Parse a Mastodon reblog or favourite request into an object.
+ * @param requestDetails - the raw request
+ * @returns - the parsed object
+ */
+function extractMastodonStatusAction({requestDetails = null, verified = null, eventType = null, eventTime = null}) {
+    const details = {};
+    details.eventTime = eventTime;
+    details.eventType = eventType;
+    details.instance = (new URL(requestDetails.url)).origin;
+    details.statusId = verified.statusId;
+    if (eventType == "reblog") {
+        // Reblogs are public unless the request specifies otherwise
+        const body = parseMastodonRequestBody(requestDetails);
+        details.visibility = ("visibility" in body) ? getMastodonVisibility(body.visibility) : "public";
+    }
+    return details;
+}
+
+/**
+ * Decode the HTML entities that can appear in an attribute of a Mastodon status.
+ * @param {string} text - the attribute value
+ * @returns {string} - the decoded value
+ */
+function decodeMastodonHtmlEntities(text) {
+    return text.replace(/&quot;/g, "\"").replace(/&#39;/g, "'")
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+/**
+ * Find the links in a Mastodon status, from the status content (HTML) and the status card
+ * (the preview of a link). Mentions and hashtags are not included, since they link to
+ * pages on the instance rather than to shared content.
+ * @param status - the status (see the Mastodon API)
+ * @returns {string[]} - the URLs of the links
+ */
+export function getMastodonStatusUrls(status) {
+    const urls = [];
+    if (typeof(status.content) == "string") {
+        for (const anchorMatch of status.content.matchAll(/<a\s[^>]*>/gi)) {
+            const anchor = anchorMatch[0];
+            const classMatch = /\sclass="([^"]*)"/i.exec(anchor);
+            if (classMatch && /\b(mention|hashtag)\b/.test(classMatch[1])) continue;
+            const hrefMatch = /\shref="([^"]*)"/i.exec(anchor);
+            if (hrefMatch) urls.push(decodeMastodonHtmlEntities(hrefMatch[1]));
+        }
+    }
+    if (status.card && typeof(status.card.url) == "string" && !urls.includes(status.card.url)) {
+        urls.push(status.card.url);
+    }
+    return urls;
+}
+
+/**
+ * Retrieve a Mastodon status from the instance where the user reblogged or favourited it.
+ * If the status is a reblog, the reblogged status is retrieved.
+ * @param {string} instance - the origin of the instance (e.g., `https://mastodon.social`)
+ * @param {string} statusId - the ID of the status on the instance
+ * @returns - a Promise that resolves to the status (see the Mastodon API), or null if the
+ *  status could not be retrieved (e.g., a private status)
+ */
+export function getMastodonStatus(instance, statusId) {
+    return fetch(`${instance}/api/v1/statuses/${encodeURIComponent(statusId)}`,
+        {credentials: "include"}).then((response) => {
+        if (!response.ok) return null;
+        return response.json();
+    }).then((status) => {
+        if (status && status.reblog) return status.reblog;
+        return status;
+    }).catch(() => {
+        return null;
+    });
+}
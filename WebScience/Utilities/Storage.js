@@ -10,27 +10,133 @@
 
 import Dexie from 'dexie';
 
+/**
+ * The indexed and key-value storage areas that have been created, in order of creation.
+ * @const {Array<IndexedStorage|KeyValueStorage>}
+ */
 export const storageInstances = [];
 
+/**
+ * A version of the schema for an indexed storage area.
+ * @typedef {Object} StorageVersion
+ * @property {number} version - The version number, a positive integer. Versions must be listed
+ * in ascending order.
+ * @property {Object} stores - The tables that are created or changed in this version, using the
+ * same syntax as the `stores` parameter for `IndexedStorage`. A table with the value `null` is
+ * deleted. Tables that are not listed keep their schema from the prior version.
+ * @property {Object<string, function(Object):(Object|undefined)>} [upgrade] - Functions for transforming
+ * existing records when upgrading from the prior version, keyed by table name. Each function receives
+ * an existing record, and can either modify the record in place or return a replacement record.
+ */
+
+/**
+ * A retention policy for a table in an indexed storage area. A record expires when it is older
+ * than the maximum age or, if the policy deletes records once reported, when it falls before the
+ * time through which data has been reported.
+ * @typedef {Object} RetentionPolicy
+ * @property {string} timeKey - The record field that holds the time (in milliseconds since the
+ * epoch) for the record. Records without a numeric value for the field never expire.
+ * @property {number} [maxAge] - The maximum age (in milliseconds) of a record.
+ * @property {boolean} [deleteOnceReported=false] - Whether to delete records once they are reported.
+ */
+
+/**
+ * Normalize the `stores` parameter for an indexed storage area into an array of schema versions.
+ * @param {Object|Array<StorageVersion>} stores - Either the tables for a storage area with only
+ * one version, or an array of schema versions.
+ * @returns {Array<StorageVersion>} The schema versions for the storage area.
+ * @private
+ */
+function normalizeStorageVersions(stores) {
+    if(!Array.isArray(stores))
+        return [ { version: 1, stores: stores, upgrade: { } } ];
+
+    if(stores.length === 0)
+        throw new Error("Error: an indexed storage area must have at least one schema version.");
+    let priorVersion = 0;
+    for(const storageVersion of stores) {
+        if(!Number.isInteger(storageVersion.version) || (storageVersion.version <= priorVersion))
+            throw new Error(`Error: indexed storage schema versions must be ascending positive integers: ${storageVersion.version}`);
+        priorVersion = storageVersion.version;
+    }
+    return stores;
+}
+
+/**
+ * Class for a storage area with indexed fields, which supports versioned schemas.
+ */
 export class IndexedStorage {
     /**
      * Create a storage area with indexed fields.
      * Storage is implemented with Dexie. The `stores` field specifies the Dexie tables to be created
      * and their indexed fields. See the Dexie documentation for syntax: https://dexie.org/docs/Version/Version.stores().
+     * If the tables or indexed fields for a storage area change between releases of a study, specify
+     * `stores` as an array of schema versions. Every prior version must remain in the array, so that
+     * an existing storage area can be upgraded from whichever version it is at.
      * @param {string} storageAreaName - A name that uniquely identifies the storage area.
-     * @param {Object} stores - The tables to be created, see Dexie documentation linked above.
+     * @param {Object|Array<StorageVersion>} stores - The tables to be created, see Dexie documentation
+     * linked above, or an array of schema versions.
      * @param {string} defaultStore - The table to use if one is not specified in future interactions.
+     * @example
+     * const exampleStorage = new IndexedStorage("exampleName", [
+     *     { version: 1, stores: { events: "++, url" } },
+     *     { version: 2, stores: { events: "++, url, pageId" },
+     *       upgrade: { events: (record) => { record.pageId = ""; } } }
+     * ]);
      */
     constructor(storageAreaName, stores, defaultStore="") {
         this.storageAreaName = storageAreaName;
-        this.defaultStore = defaultStore == "" ? Object.keys(stores)[0] : defaultStore;
+        this.storageVersions = normalizeStorageVersions(stores);
+
+        // Determine the tables in the current version of the schema, accounting for
+        // tables that are added and deleted in later versions
+        const currentStores = { };
+        for(const storageVersion of this.storageVersions) {
+            for(const [storeName, storeSchema] of Object.entries(storageVersion.stores)) {
+                if(storeSchema === null)
+                    delete currentStores[storeName];
+                else
+                    currentStores[storeName] = storeSchema;
+            }
+        }
+        this.defaultStore = defaultStore == "" ? Object.keys(currentStores)[0] : defaultStore;
 
         this.storageInstance = new Dexie(this.storageAreaName);
-        this.storageInstance.version(1).stores(stores);
+        for(const storageVersion of this.storageVersions) {
+            const dexieVersion = this.storageInstance.version(storageVersion.version).stores(storageVersion.stores);
+            const upgrade = ("upgrade" in storageVersion) ? storageVersion.upgrade : { };
+            if(Object.keys(upgrade).length > 0)
+                dexieVersion.upgrade(async (transaction) => {
+                    for(const [storeName, upgradeRecord] of Object.entries(upgrade)) {
+                        await transaction.table(storeName).toCollection().modify((record, ref) => {
+                            const upgradedRecord = upgradeRecord(record);
+                            if(upgradedRecord !== undefined)
+                                ref.value = upgradedRecord;
+                        });
+                    }
+                });
+        }
+
+        this.retentionPolicies = { };
+        storageInstances.push(this);
+    }
+
+    /**
+     * Get the current schema version of the storage area.
+     * @returns {number} The most recent version number for the storage area.
+     */
+    get version() {
+        return this.storageVersions[this.storageVersions.length - 1].version;
     }
 
+    /**
+     * Add or replace a record in storage.
+     * @param {Object} item - The record to store.
+     * @param {string} store - The table where the record should be stored.
+     * @returns {Promise<*>} The primary key of the record.
+     */
     async set(item, store="") {
-        await this.storageInstance[store === "" ? this.defaultStore : store].put(item);
+        return await this.storageInstance[store === "" ? this.defaultStore : store].put(item);
     }
 
     async get(key, store="") {
@@ -45,6 +151,114 @@ export class IndexedStorage {
         return result;
     }
 
+    /**
+     * Get every record with a value for an indexed field.
+     * @param {string} indexName - The indexed field.
+     * @param {*} value - The value of the indexed field.
+     * @param {string} store - The table where the records are stored.
+     * @returns {Promise<Array<Object>>} The records, ordered by primary key.
+     */
+    async getWhere(indexName, value, store="") {
+        return await this.storageInstance[store === "" ? this.defaultStore : store].where(indexName)
+            .equals(value)
+            .toArray();
+    }
+
+    /**
+     * Count the records in a table, or the records with a value for an indexed field.
+     * @param {string} store - The table where the records are stored.
+     * @param {string} [indexName] - The indexed field, if only counting some records.
+     * @param {*} [value] - The value of the indexed field for the records to count.
+     * @returns {Promise<number>} The number of records.
+     */
+    async count(store="", indexName, value) {
+        const table = this.storageInstance[store === "" ? this.defaultStore : store];
+        if(indexName === undefined)
+            return await table.count();
+        return await table.where(indexName).equals(value).count();
+    }
+
+    /**
+     * Delete records from storage.
+     * @param {Array<*>} keys - The primary keys of the records.
+     * @param {string} store - The table where the records are stored.
+     */
+    async delete(keys, store="") {
+        await this.storageInstance[store === "" ? this.defaultStore : store].bulkDelete(keys);
+    }
+
+    /**
+     * Update fields of a record in storage, leaving its other fields unchanged.
+     * @param {*} key - The primary key of the record.
+     * @param {Object} changes - The new values for the fields, keyed by field name.
+     * @param {string} store - The table where the record is stored.
+     * @returns {Promise<boolean>} Whether there was a record with the key to update.
+     */
+    async update(key, changes, store="") {
+        const updatedCount = await this.storageInstance[store === "" ? this.defaultStore : store].update(key, changes);
+        return updatedCount > 0;
+    }
+
+    /**
+     * Update fields of every record with a value for an indexed field, leaving their
+     * other fields unchanged.
+     * @param {string} indexName - The indexed field.
+     * @param {*} value - The value of the indexed field for the records to update.
+     * @param {Object} changes - The new values for the fields, keyed by field name.
+     * @param {string} store - The table where the records are stored.
+     * @returns {Promise<number>} The number of records that were updated.
+     */
+    async updateWhere(indexName, value, changes, store="") {
+        return await this.storageInstance[store === "" ? this.defaultStore : store].where(indexName)
+            .equals(value)
+            .modify(changes);
+    }
+
+    /**
+     * Declare a retention policy for a table in the storage area. Records that the policy
+     * expires are deleted when retention policies are applied (see `applyRetentionPolicies`).
+     * Declaring a policy for a table replaces any existing policy for the table.
+     * @param {RetentionPolicy} policy - The retention policy.
+     * @param {string} store - The table that the policy applies to.
+     */
+    setRetentionPolicy(policy, store="") {
+        if(!("timeKey" in policy))
+            throw new Error("Error: a retention policy must specify a time key.");
+        this.retentionPolicies[store == "" ? this.defaultStore : store] = policy;
+    }
+
+    /**
+     * Delete records that have expired under the retention policy for a table.
+     * @param {RetentionPolicy} policy - The retention policy.
+     * @param {string} store - The table that the policy applies to.
+     * @param {number} currentTime - The current time.
+     * @param {number|null} reportedThroughTime - The time through which records have been
+     * reported, or `null` if no records have been reported.
+     * @returns {Promise<Object|null>} The time cutoff and number of records deleted, or `null`
+     * if the policy does not expire any records.
+     * @private
+     */
+    async applyRetentionPolicy(policy, store, currentTime, reportedThroughTime) {
+        let cutoffTime = -Infinity;
+        if(("maxAge" in policy) && (policy.maxAge !== null))
+            cutoffTime = Math.max(cutoffTime, currentTime - policy.maxAge);
+        if(policy.deleteOnceReported && (reportedThroughTime !== null))
+            cutoffTime = Math.max(cutoffTime, reportedThroughTime);
+        if(cutoffTime === -Infinity)
+            return null;
+
+        // Use the index for the time key if there is one, otherwise scan the table
+        const table = this.storageInstance[store];
+        const timeKey = policy.timeKey;
+        let expiredRecords;
+        if((table.schema.primKey.keyPath === timeKey) || (timeKey in table.schema.idxByName))
+            expiredRecords = table.where(timeKey).below(cutoffTime);
+        else
+            expiredRecords = table.filter(record => (typeof record[timeKey] === "number") && (record[timeKey] < cutoffTime));
+        const prunedCount = await expiredRecords.delete();
+        return { cutoffTime, prunedCount };
+    }
+
 }
 
 /**
@@ -72,6 +286,7 @@ export class KeyValueStorage {
 
         this.storageInstance = new Dexie(this.storageAreaName);
         this.storageInstance.version(1).stores(stores);
+        storageInstances.push(this);
         return this;
     }
 
@@ -112,7 +327,7 @@ export class KeyValueStorage {
     async getContentsAsObject(store="") {
         const storeToAccess = this.storageInstance[store == "" ? this.defaultStore : store];
         const output = { };
-        storeToAccess.each(async (object) => {
+        await storeToAccess.each(async (object) => {
             output[object.key] = object.value;
         });
 
@@ -242,6 +457,138 @@ export async function getEventsByRange(startTime, endTime, instances) {
     return events;
 }
 
+/**
+ * Summarize the contents of every storage area, for inspecting what a study has stored.
+ * @param {number} [recentCount=10] - The number of most recent records to include for each table.
+ * @returns {Promise<Array<Object>>} An entry for each storage area, with the storage area name,
+ * the storage area type (`"indexed"` or `"keyValue"`), and for each table the table name, number
+ * of records, and most recent records.
+ */
+export async function getStorageSummary(recentCount = 10) {
+    const summary = [];
+    for(const instance of storageInstances) {
+        const stores = [];
+        for(const table of instance.storageInstance.tables) {
+            stores.push({
+                store: table.name,
+                count: await table.count(),
+                recentRecords: await table.reverse().limit(recentCount).toArray()
+            });
+        }
+        summary.push({
+            storageAreaName: instance.storageAreaName,
+            type: (instance instanceof IndexedStorage) ? "indexed" : "keyValue",
+            stores
+        });
+    }
+    return summary;
+}
+
+/**
+ * Retrieve every record in every storage area, for exporting what a study has stored.
+ * Note that this could be slow and consume excessive memory if there is a lot of data.
+ * @returns {Promise<Object>} An object with a property for each storage area name, where
+ * each value is an object with a property for each table name and an array of records.
+ */
+export async function getAllStorageContents() {
+    const contents = { };
+    for(const instance of storageInstances) {
+        const storageAreaContents = (instance.storageAreaName in contents) ? contents[instance.storageAreaName] : { };
+        for(const table of instance.storageInstance.tables)
+            storageAreaContents[table.name] = await table.toArray();
+        contents[instance.storageAreaName] = storageAreaContents;
+    }
+    return contents;
+}
+
+/**
+ * A key-value storage area that records what retention policies have pruned, keyed by
+ * storage area name and table name.
+ * @private
+ * @type {KeyValueStorage|null}
+ */
+let retentionLog = null;
+
+/**
+ * Apply the retention policies for every indexed storage area, deleting expired records.
+ * For each table where records are deleted, the time, cutoff, and number of records are
+ * recorded in the retention log.
+ * @param {number|null} [reportedThroughTime=null] - The time through which records have been
+ * reported, or `null` if no records have been reported. Policies that delete records once reported
+ * delete records before this time.
+ * @returns {Promise<Array<Object>>} An entry for each table where the retention policy was applied,
+ * with the storage area name, table name, time cutoff, and number of records deleted.
+ */
+export async function applyRetentionPolicies(reportedThroughTime = null) {
+    if(retentionLog === null)
+        retentionLog = new KeyValueStorage("WebScience.Utilities.Storage.Retention");
+    const currentTime = Date.now();
+    const prunedSummary = [];
+    for(const instance of storageInstances) {
+        if(!(instance instanceof IndexedStorage))
+            continue;
+        for(const [store, policy] of Object.entries(instance.retentionPolicies)) {
+            const result = await instance.applyRetentionPolicy(policy, store, currentTime, reportedThroughTime);
+            if(result === null)
+                continue;
+
+            const logKey = instance.storageAreaName + "." + store;
+            const logEntry = await retentionLog.get(logKey);
+            const totalPrunedCount = (logEntry !== null ? logEntry.totalPrunedCount : 0) + result.prunedCount;
+            await retentionLog.set(logKey, {
+                lastPruneTime: currentTime,
+                lastCutoffTime: result.cutoffTime,
+                lastPrunedCount: result.prunedCount,
+                totalPrunedCount
+            });
+            prunedSummary.push({
+                storageAreaName: instance.storageAreaName,
+                store,
+                cutoffTime: result.cutoffTime,
+                prunedCount: result.prunedCount
+            });
+        }
+    }
+    return prunedSummary;
+}
+
+/**
+ * Create an object with a property-value pair for each table that retention policies have
+ * pruned. Property names are the storage area name and table name, separated by a period.
+ * @returns {Promise<Object>} An object that reflects the retention log.
+ */
+export async function getRetentionLog() {
+    if(retentionLog === null)
+        retentionLog = new KeyValueStorage("WebScience.Utilities.Storage.Retention");
+    return await retentionLog.getContentsAsObject();
+}
+
+/**
+ * Delete every storage area, including counters and the retention log, for example when a
+ * participant withdraws from a study. Storage areas that were created in this browsing session
+ * are closed and cannot be used again; storage areas from prior sessions that have not been
+ * opened in this session are also deleted.
+ * @returns {Promise<Array<string>>} The names of the storage areas that were deleted.
+ */
+export async function deleteAllStorage() {
+    const deletedStorageAreaNames = new Set();
+    for(const instance of storageInstances) {
+        await instance.storageInstance.delete();
+        deletedStorageAreaNames.add(instance.storageAreaName);
+    }
+    storageInstances.length = 0;
+    Counter.storage = null;
+    retentionLog = null;
+
+    for(const storageAreaName of await Dexie.getDatabaseNames()) {
+        if(deletedStorageAreaNames.has(storageAreaName))
+            continue;
+        await Dexie.delete(storageAreaName);
+        deletedStorageAreaNames.add(storageAreaName);
+    }
+    return [...deletedStorageAreaNames];
+}
+
 // Workaround for static class variable
 Counter.storage = null;
 
@@ -0,0 +1,341 @@
+/**
+ * This module provides a history of the events for a URL: exposures to links to the URL,
+ * visits to the URL, and shares of the URL. Each list of events is ordered by time, and
+ * each visit and share is attributed to the preceding event that most likely led to it
+ * (e.g., a visit is attributed to the most recent exposure before the visit). The history
+ * has helpers for common queries, such as the exposures before a time or the first referrer
+ * for the URL.
+ *
+ * A `UrlEventHistory` wraps a plain object record, which a study can persist with the
+ * `Storage` module (keyed by URL) and pass back to the constructor. A
+ * `UrlEventHistoryStorage` persists the histories in an indexed storage area, and runs
+ * the updates to each URL's history one at a time.
+ *
+ * @module WebScience.Utilities.UrlEventHistory
+ */
+
+/**
+ * An exposure to a link to the URL.
+ * @typedef {Object} ExposureEvent
+ * @property {number} eventId - An identifier for the event, unique within the history.
+ * @property {number} time - When the exposure began.
+ * @property {number|null} exposureId - The key for the exposure in a measurement store, if any.
+ * @property {string} pageId - The page where the link was exposed.
+ * @property {string} pageUrl - The URL of the page where the link was exposed.
+ * @property {string} pageReferrer - The referrer of the page where the link was exposed.
+ */
+
+/**
+ * A visit to the URL.
+ * @typedef {Object} VisitEvent
+ * @property {number} eventId - An identifier for the event, unique within the history.
+ * @property {number} time - When the visit began.
+ * @property {string|null} pageId - The page for the visit.
+ * @property {string} referrer - The referrer for the visit.
+ * @property {number|null} attentionDuration - How long the user paid attention to the page,
+ * once the visit has ended.
+ * @property {number|null} exposureEventId - The exposure that the visit is attributed to, if any.
+ */
+
+/**
+ * A share of the URL.
+ * @typedef {Object} ShareEvent
+ * @property {number} eventId - An identifier for the event, unique within the history.
+ * @property {number} time - When the share occurred.
+ * @property {string} platform - The platform where the URL was shared.
+ * @property {number|null} exposureEventId - The exposure that the share is attributed to, if any.
+ * @property {number|null} visitEventId - The visit that the share is attributed to, if any.
+ */
+
+/**
+ * Insert an event into a list of events, keeping the list ordered by time.
+ * @param {Array<Object>} events - The list of events.
+ * @param {Object} event - The event to insert.
+ * @private
+ */
+function insertByTime(events, event) {
+    let index = events.length;
+    while((index > 0) && (events[index - 1].time > event.time))
+        index--;
+    events.splice(index, 0, event);
+}
+
+/**
+ * Find the most recent event at or before a time, within a maximum age.
+ * @param {Array<Object>} events - A list of events, ordered by time.
+ * @param {number} time - The time.
+ * @param {number} maxAge - The maximum time (in milliseconds) between the event and `time`.
+ * @returns {Object|null} The most recent event, or `null` if there is no such event.
+ * @private
+ */
+function findPreceding(events, time, maxAge) {
+    for(let index = events.length - 1; index >= 0; index--) {
+        const event = events[index];
+        if(event.time > time)
+            continue;
+        return (time - event.time <= maxAge) ? event : null;
+    }
+    return null;
+}
+
+/** Class for the history of events for a URL. */
+export class UrlEventHistory {
+    /**
+     * Create a history for a URL, or wrap a stored history record.
+     * @param {string} url - The URL.
+     * @param {Object} [record=null] - A stored history record (see `record`), or `null`
+     * for a new history.
+     */
+    constructor(url, record = null) {
+        this.record = (record !== null) ? record : {
+            url,
+            lastEventTime: 0,
+            nextEventId: 0,
+            exposures: [],
+            visits: [],
+            shares: []
+        };
+    }
+
+    /**
+     * Add an event to one of the lists of events.
+     * @param {string} listName - The name of the list.
+     * @param {Object} event - The event, without an `eventId`.
+     * @returns {Object} The event, with an `eventId`.
+     * @private
+     */
+    addEvent(listName, event) {
+        event.eventId = this.record.nextEventId++;
+        insertByTime(this.record[listName], event);
+        this.record.lastEventTime = Math.max(this.record.lastEventTime, event.time);
+        return event;
+    }
+
+    /**
+     * Add an exposure to a link to the URL.
+     * @param {Object} exposure - The exposure.
+     * @param {number} exposure.time - When the exposure began.
+     * @param {number|null} [exposure.exposureId=null] - The key for the exposure in a measurement store.
+     * @param {string} [exposure.pageId=""] - The page where the link was exposed.
+     * @param {string} [exposure.pageUrl=""] - The URL of the page where the link was exposed.
+     * @param {string} [exposure.pageReferrer=""] - The referrer of the page where the link was exposed.
+     * @returns {ExposureEvent} The exposure event.
+     */
+    addExposure({ time, exposureId = null, pageId = "", pageUrl = "", pageReferrer = "" }) {
+        return this.addEvent("exposures", { time, exposureId, pageId, pageUrl, pageReferrer });
+    }
+
+    /**
+     * Add a visit to the URL, and attribute the visit to the most recent exposure before it.
+     * @param {Object} visit - The visit.
+     * @param {number} visit.time - When the visit began.
+     * @param {string|null} [visit.pageId=null] - The page for the visit.
+     * @param {string} [visit.referrer=""] - The referrer for the visit.
+     * @param {number} [exposureWindow=Infinity] - The maximum time (in milliseconds) between an
+     * exposure and a visit that is attributed to the exposure.
+     * @returns {VisitEvent} The visit event.
+     */
+    addVisit({ time, pageId = null, referrer = "" }, exposureWindow = Infinity) {
+        const exposure = findPreceding(this.record.exposures, time, exposureWindow);
+        return this.addEvent("visits", {
+            time,
+            pageId,
+            referrer,
+            attentionDuration: null,
+            exposureEventId: (exposure !== null) ? exposure.eventId : null
+        });
+    }
+
+    /**
+     * Add a share of the URL, and attribute the share to the most recent exposure and the
+     * most recent visit before it.
+     * @param {Object} share - The share.
+     * @param {number} share.time - When the share occurred.
+     * @param {string} [share.platform=""] - The platform where the URL was shared.
+     * @param {Object} [windows] - The maximum times (in milliseconds) for attribution.
+     * @param {number} [windows.exposureWindow=Infinity] - The maximum time between an exposure
+     * and a share that is attributed to the exposure.
+     * @param {number} [windows.visitWindow=Infinity] - The maximum time between a visit and a
+     * share that is attributed to the visit.
+     * @returns {ShareEvent} The share event.
+     */
+    addShare({ time, platform = "" }, { exposureWindow = Infinity, visitWindow = Infinity } = {}) {
+        const exposure = findPreceding(this.record.exposures, time, exposureWindow);
+        const visit = findPreceding(this.record.visits, time, visitWindow);
+        return this.addEvent("shares", {
+            time,
+            platform,
+            exposureEventId: (exposure !== null) ? exposure.eventId : null,
+            visitEventId: (visit !== null) ? visit.eventId : null
+        });
+    }
+
+    /**
+     * Get the visit for a page.
+     * @param {string} pageId - The page.
+     * @returns {VisitEvent|null} The visit, or `null` if there is no visit for the page.
+     */
+    getVisitForPage(pageId) {
+        const visit = this.record.visits.find(visitEvent => visitEvent.pageId === pageId);
+        return (visit !== undefined) ? visit : null;
+    }
+
+    /**
+     * Get an exposure by event ID.
+     * @param {number} eventId - The event ID.
+     * @returns {ExposureEvent|null} The exposure, or `null` if there is no such exposure.
+     */
+    getExposure(eventId) {
+        const exposure = this.record.exposures.find(exposureEvent => exposureEvent.eventId === eventId);
+        return (exposure !== undefined) ? exposure : null;
+    }
+
+    /**
+     * Get a visit by event ID.
+     * @param {number} eventId - The event ID.
+     * @returns {VisitEvent|null} The visit, or `null` if there is no such visit.
+     */
+    getVisit(eventId) {
+        const visit = this.record.visits.find(visitEvent => visitEvent.eventId === eventId);
+        return (visit !== undefined) ? visit : null;
+    }
+
+    /**
+     * Get the exposures at or before a time.
+     * @param {number} time - The time.
+     * @returns {Array<ExposureEvent>} The exposures, ordered by time.
+     */
+    exposuresBefore(time) {
+        return this.record.exposures.filter(exposure => exposure.time <= time);
+    }
+
+    /**
+     * Get the visits at or before a time.
+     * @param {number} time - The time.
+     * @returns {Array<VisitEvent>} The visits, ordered by time.
+     */
+    visitsBefore(time) {
+        return this.record.visits.filter(visit => visit.time <= time);
+    }
+
+    /**
+     * Get the shares at or before a time.
+     * @param {number} time - The time.
+     * @returns {Array<ShareEvent>} The shares, ordered by time.
+     */
+    sharesBefore(time) {
+        return this.record.shares.filter(share => share.time <= time);
+    }
+
+    /**
+     * Get the visits that are attributed to an exposure.
+     * @param {number} exposureEventId - The event ID for the exposure.
+     * @returns {Array<VisitEvent>} The visits, ordered by time.
+     */
+    visitsAttributedTo(exposureEventId) {
+        return this.record.visits.filter(visit => visit.exposureEventId === exposureEventId);
+    }
+
+    /**
+     * Get the shares that are attributed to an exposure or a visit.
+     * @param {Object} attribution - The event to find attributed shares for.
+     * @param {number} [attribution.exposureEventId] - The event ID for an exposure.
+     * @param {number} [attribution.visitEventId] - The event ID for a visit.
+     * @returns {Array<ShareEvent>} The shares, ordered by time.
+     */
+    sharesAttributedTo({ exposureEventId, visitEventId }) {
+        return this.record.shares.filter(share =>
+            ((exposureEventId !== undefined) && (share.exposureEventId === exposureEventId)) ||
+            ((visitEventId !== undefined) && (share.visitEventId === visitEventId)));
+    }
+
+    /**
+     * Get the referrer for the first visit to the URL.
+     * @returns {string} The referrer, or `""` if there have been no visits.
+     */
+    firstReferrer() {
+        return (this.record.visits.length > 0) ? this.record.visits[0].referrer : "";
+    }
+
+    /**
+     * Get the referrer for the most recent visit to the URL at or before a time.
+     * @param {number} [time=Infinity] - The time.
+     * @returns {string} The referrer, or `""` if there have been no visits.
+     */
+    lastReferrer(time = Infinity) {
+        const visits = this.visitsBefore(time);
+        return (visits.length > 0) ? visits[visits.length - 1].referrer : "";
+    }
+
+    /**
+     * Remove events before a time. Attributions to removed events remain, but the
+     * removed events can no longer be retrieved.
+     * @param {number} oldestTime - The time of the oldest event to keep.
+     */
+    prune(oldestTime) {
+        for(const listName of [ "exposures", "visits", "shares" ])
+            this.record[listName] = this.record[listName].filter(event => event.time >= oldestTime);
+    }
+}
+
+/**
+ * Class for persisting the event history for each URL in an indexed storage area. Every
+ * change to a stored history goes through `update`, which runs the updates for each URL
+ * one at a time. Otherwise, concurrent updates (e.g., a visit and a share of the same URL)
+ * would each read the stored history, add an event, and save the history, losing the
+ * other update's event.
+ */
+export class UrlEventHistoryStorage {
+    /**
+     * Create storage for URL event histories.
+     * @param {IndexedStorage} storage - The storage area, where the default table is keyed by URL.
+     * @param {Object} [options] - Options for the storage.
+     * @param {number} [options.maxAge=Infinity] - The maximum age (in milliseconds) of events.
+     * Older events are pruned whenever a history is saved.
+     */
+    constructor(storage, { maxAge = Infinity } = {}) {
+        this.storage = storage;
+        this.maxAge = maxAge;
+        // The most recent update for each URL, keyed by URL
+        this.pendingUpdates = new Map();
+    }
+
+    /**
+     * Get the stored history for a URL. Changes to the history are not saved; use `update`
+     * to change a history.
+     * @param {string} url - The URL.
+     * @returns {Promise<UrlEventHistory>} The history, which is empty if there is no stored
+     * history for the URL.
+     */
+    async get(url) {
+        const record = await this.storage.get(url);
+        return new UrlEventHistory(url, record ? record : null);
+    }
+
+    /**
+     * Update the stored history for a URL. The update runs after any earlier update for the
+     * URL has been saved, even if the earlier update failed.
+     * @param {string} url - The URL.
+     * @param {function(UrlEventHistory): *} update - A function that changes the history.
+     * @returns {Promise<Object>} The updated history (`history`) and the value that the update
+     * function returned (`result`).
+     */
+    async update(url, update) {
+        const previousUpdate = this.pendingUpdates.has(url) ? this.pendingUpdates.get(url) : Promise.resolve();
+        const currentUpdate = previousUpdate.catch(() => {}).then(async () => {
+            const history = await this.get(url);
+            const result = update(history);
+            history.prune(Date.now() - this.maxAge);
+            await this.storage.set(history.record);
+            return { history, result };
+        });
+        this.pendingUpdates.set(url, currentUpdate);
+        try {
+            return await currentUpdate;
+        }
+        finally {
+            if(this.pendingUpdates.get(url) === currentUpdate)
+                this.pendingUpdates.delete(url);
+        }
+    }
+}
@@ -61,6 +61,10 @@ async function openSurveyTab(useSameTab = false) {
     });
 }
 
+function openSurveyTabListener() {
+    openSurveyTab(false);
+}
+
 async function requestSurvey(alarm) {
     if (alarm.name == "surveyAlarm") {
         const surveyCompleted = await storage.get("surveyCompleted");
@@ -156,7 +160,19 @@ export async function runStudy({
 
     /* If the user tells us to never ask them again, we catch it with this message */
     Messaging.registerListener("WebScience.Utilities.UserSurvey.cancelSurveyRequest", cancelSurveyRequest);
-    Messaging.registerListener("WebScience.Utilities.UserSurvey.openSurveyTab", () => { openSurveyTab(false); });
+    Messaging.registerListener("WebScience.Utilities.UserSurvey.openSurveyTab", openSurveyTabListener);
+}
+
+/**
+ * Stop requesting the survey, for example when a participant withdraws from the study.
+ * Clears the survey reminder and removes the survey listeners.
+ */
+export async function stopStudy() {
+    browser.alarms.onAlarm.removeListener(requestSurvey);
+    await browser.alarms.clear("surveyAlarm");
+    browser.webRequest.onBeforeRequest.removeListener(handleSurveyCompleted);
+    Messaging.unregisterListener("WebScience.Utilities.UserSurvey.cancelSurveyRequest", cancelSurveyRequest);
+    Messaging.unregisterListener("WebScience.Utilities.UserSurvey.openSurveyTab", openSurveyTabListener);
 }
 
 export async function getSurveyId() {
@@ -0,0 +1,167 @@
+/**
+ * This module supports participants withdrawing from a study. Withdrawing stops
+ * every measurement, optionally sends a final deletion request, and deletes all
+ * of the data that the study has stored locally. A study can withdraw directly
+ * (e.g., when the participant unenrolls through Rally), and an extension page can
+ * request withdrawal with a message.
+ *
+ * Withdrawal is remembered in `browser.storage.local`, so that a study can check
+ * `hasWithdrawn` at startup and avoid resuming measurement.
+ *
+ * @module WebScience.Utilities.Withdrawal
+ */
+
+import * as Debugging from "./Debugging.js"
+import * as Messaging from "./Messaging.js"
+import * as Storage from "./Storage.js"
+
+const debugLog = Debugging.getDebuggingLog("Utilities.Withdrawal");
+
+/**
+ * The `browser.storage.local` key that records when the participant withdrew.
+ * @private
+ * @const {string}
+ * @default
+ */
+const withdrawalTimeKey = "WebScience.Utilities.Withdrawal.withdrawalTime";
+
+/**
+ * A function that stops every measurement in the study.
+ * @callback stopStudyCallback
+ * @returns {Promise|undefined}
+ */
+
+/**
+ * A function that sends a final deletion request for the participant's reported data.
+ * @callback sendDeletionRequestCallback
+ * @returns {Promise|undefined}
+ */
+
+/**
+ * The study's function for stopping measurement.
+ * @private
+ * @type {stopStudyCallback|null}
+ */
+let stopStudyFunction = null;
+
+/**
+ * The study's function for sending a deletion request.
+ * @private
+ * @type {sendDeletionRequestCallback|null}
+ */
+let sendDeletionRequestFunction = null;
+
+/**
+ * A Promise for the withdrawal in progress, if there is one, so that
+ * concurrent withdrawal requests share a single withdrawal. If the withdrawal
+ * fails, the Promise is discarded so that a later request can retry.
+ * @private
+ * @type {Promise<Object>|null}
+ */
+let withdrawalInProgress = null;
+
+/**
+ * Whether the module has completed setup.
+ * @private
+ * @type {boolean}
+ */
+let initialized = false;
+
+/**
+ * Setup for the module. Registers listeners for messages from extension pages. Runs only once.
+ * @param {Object} options - The study's withdrawal functions.
+ * @param {stopStudyCallback} options.stopStudy - A function that stops every measurement
+ * in the study.
+ * @param {sendDeletionRequestCallback} [options.sendDeletionRequest=null] - A function that
+ * sends a final deletion request, or `null` if the study does not send deletion requests.
+ */
+export function initialize({
+    stopStudy,
+    sendDeletionRequest = null
+}) {
+    if(initialized)
+        return;
+    initialized = true;
+    stopStudyFunction = stopStudy;
+    sendDeletionRequestFunction = sendDeletionRequest;
+
+    Messaging.registerListener("WebScience.Utilities.Withdrawal.withdraw", (message) => {
+        return withdraw({ sendDeletionRequest: message.sendDeletionRequest });
+    }, {
+        sendDeletionRequest: "boolean"
+    });
+    Messaging.registerListener("WebScience.Utilities.Withdrawal.getStatus", async () => {
+        return {
+            withdrawn: await hasWithdrawn(),
+            canSendDeletionRequest: sendDeletionRequestFunction !== null
+        };
+    });
+}
+
+/**
+ * Check whether the participant has withdrawn from the study.
+ * @returns {Promise<boolean>} Whether the participant has withdrawn.
+ */
+export async function hasWithdrawn() {
+    const stored = await browser.storage.local.get(withdrawalTimeKey);
+    return withdrawalTimeKey in stored;
+}
+
+/**
+ * Withdraw the participant from the study. Stops every measurement, sends a deletion
+ * request if requested and supported by the study, then deletes every storage area
+ * (including counters) and the contents of `browser.storage.local`. The deletion request
+ * is sent before deleting storage, since it may depend on stored identifiers.
+ * @param {Object} [options] - Options for withdrawal.
+ * @param {boolean} [options.sendDeletionRequest=true] - Whether to send a deletion request.
+ * @returns {Promise<Object>} A summary of the withdrawal, with the withdrawal time, whether
+ * a deletion request was sent, and the names of the deleted storage areas. Rejects if stopping
+ * the study or deleting storage fails, in which case withdrawal can be retried.
+ */
+export function withdraw({
+    sendDeletionRequest = true
+} = {}) {
+    if(withdrawalInProgress === null)
+        withdrawalInProgress = runWithdrawal(sendDeletionRequest).catch(error => {
+            debugLog(`error withdrawing from the study: ${error}`);
+            withdrawalInProgress = null;
+            throw error;
+        });
+    return withdrawalInProgress;
+}
+
+/**
+ * Carry out withdrawal, as described for `withdraw`.
+ * @param {boolean} sendDeletionRequest - Whether to send a deletion request.
+ * @returns {Promise<Object>} A summary of the withdrawal.
+ * @private
+ */
+async function runWithdrawal(sendDeletionRequest) {
+    const withdrawalTime = Date.now();
+    debugLog("withdrawing from the study");
+
+    if(stopStudyFunction !== null)
+        await stopStudyFunction();
+
+    let deletionRequestSent = false;
+    if(sendDeletionRequest && (sendDeletionRequestFunction !== null)) {
+        try {
+            await sendDeletionRequestFunction();
+            deletionRequestSent = true;
+        }
+        catch(error) {
+            debugLog(`error sending deletion request: ${error}`);
+        }
+    }
+
+    const deletedStorageAreas = await Storage.deleteAllStorage();
+    await browser.storage.local.clear();
+    await browser.storage.local.set({ [withdrawalTimeKey]: withdrawalTime });
+    debugLog("deleted storage areas " + JSON.stringify(deletedStorageAreas));
+
+    return {
+        withdrawalTime,
+        deletionRequestSent,
+        deletedStorageAreas
+    };
+}
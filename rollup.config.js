@@ -2,6 +2,7 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+import fs from "fs";
 import commonjs from "@rollup/plugin-commonjs";
 import replace from "@rollup/plugin-replace";
 import resolve from "@rollup/plugin-node-resolve";
@@ -16,7 +17,37 @@ function isDevMode(cliArgs) {
   return Boolean(cliArgs["config-enable-developer-mode"]);
 }
 
-export default (cliArgs) => [
+/**
+ * Helper to detect whether to build the unit tests instead of the study.
+ *
+ * @param cliArgs the command line arguments.
+ * @return {Boolean} whether or not to build the unit tests.
+ */
+function isUnitTestMode(cliArgs) {
+  return Boolean(cliArgs["config-unit-tests"]);
+}
+
+/**
+ * The unit tests, which run in Node with Mocha. Each test in `tests/unit` is bundled
+ * as an ES module, since the study's modules are not Node modules.
+ */
+const unitTests = {
+  input: fs.existsSync("tests/unit") ?
+    fs.readdirSync("tests/unit").filter(file => file.endsWith(".test.js")).map(file => `tests/unit/${file}`) : [],
+  output: {
+    dir: "tests/unit/build",
+    format: "es",
+    entryFileNames: "[name].mjs",
+    chunkFileNames: "[name]-[hash].mjs",
+  },
+  external: [ "assert", "fs", "path", "vm", "fake-indexeddb/auto.js" ],
+  plugins: [
+    resolve(),
+    commonjs(),
+  ],
+};
+
+export default (cliArgs) => isUnitTestMode(cliArgs) ? [ unitTests ] : [
   {
     input: "study/study.js",
     output: {
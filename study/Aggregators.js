@@ -0,0 +1,451 @@
+/**
+ * @file Aggregation functions for the study's page navigation, link exposure, social
+ * media link sharing, and funnel measurements. The script is loaded into the aggregate
+ * statistics worker (see `WebScience.Measurements.AggregateStatistics`) and registers
+ * each function by name.
+ */
+/* registerAggregationFunction and StorageStatistics are defined by the aggregate statistics worker, tell eslint to ignore them */
+/* global registerAggregationFunction, StorageStatistics */
+(
+    function() {
+
+    const fbRegex = /(facebook.com\/pages\/[0-9|a-z|A-Z|-]*\/[0-9]*(\/|$))|(facebook\.com\/[0-9|a-z|A-Z|.]*(\/|$))/i;
+    const ytRegex = /(youtube.com\/(user|channel)\/[0-9|a-z|A-Z|_|-]*(\/videos)?)(\/|$)|(youtube\.com\/[0-9|A-Z|a-z]*)(\/|$)|(youtube\.com\/profile\?user=[0-9|A-Z|a-z]*)(\/|$)/i;
+    const twRegex = /(twitter\.com\/[0-9|a-z|A-Z|_]*(\/|$))/;
+    let referrerMatcher;
+    let destinationMatcher;
+    let fbMatcher;
+    let twMatcher;
+    let ytMatcher;
+    let publicSuffixSet;
+
+    /**
+     * The maximum attention (in milliseconds) that one page visit contributes to
+     * `totalAttention` when the study adds privacy noise, which bounds the sensitivity
+     * of the sum.
+     * @const {number}
+     */
+    const maxAttentionPerVisit = 30 * 60 * 1000;
+
+    /**
+     * The maximum scroll depth (in percent) that one page visit contributes to `totalScroll`.
+     * @const {number}
+     */
+    const maxScrollPerVisit = 100;
+
+    /**
+     * The maximum number of untracked link exposures that one record (i.e., the untracked
+     * exposures on one page) contributes to `untrackedLinkExposures` when the study adds
+     * privacy noise, which bounds the sensitivity of the count.
+     * @const {number}
+     */
+    const maxUntrackedExposuresPerRecord = 100;
+
+    /**
+     * The maximum number of untracked shares that one record (i.e., the untracked links in
+     * one share) contributes to `numUntrackedShares` when the study adds privacy noise.
+     * @const {number}
+     */
+    const maxUntrackedSharesPerRecord = 10;
+
+    /**
+     * The upper bounds (in milliseconds, exclusive) of the latency buckets for funnel
+     * conversions. The last latency bucket has no upper bound.
+     * @const {Array<number>}
+     */
+    const latencyBucketBoundaries = [
+        60 * 1000,
+        10 * 60 * 1000,
+        60 * 60 * 1000,
+        6 * 60 * 60 * 1000,
+        24 * 60 * 60 * 1000
+    ];
+
+    /**
+     * Use the study's match pattern sets for attributing URLs to tracked paths, and the
+     * Public Suffix List for identifying the domain of a URL.
+     * @param {Object<string, MatchPatternSet>} matchers - the study's match pattern sets
+     * @param {PublicSuffixSet} publicSuffixSetParam - the Public Suffix List
+     */
+    function setMatchers(matchers, publicSuffixSetParam) {
+        publicSuffixSet = publicSuffixSetParam;
+        destinationMatcher = matchers.destinationMatches;
+        referrerMatcher = matchers.referrerMatches;
+        fbMatcher = matchers.fbMatches;
+        ytMatcher = matchers.ytMatches;
+        twMatcher = matchers.twMatches;
+    }
+
+    /**
+     * Function for computing page navigation statistics
+     * @param {Object} pageNavigationStorage page navigation storage object
+     * @param {Object} context aggregation context, with the study's match pattern sets,
+     * Public Suffix List, time buckets, and privacy mechanism (if any)
+     */
+    function pageNavigationStats(pageNavigationStorage, { matchers, publicSuffixSet, timeBuckets, privacy }) {
+        setMatchers(matchers, publicSuffixSet);
+        const statsObj = new StorageStatistics(
+            () => {
+                const stats = {};
+                stats.trackedVisitsByDomain = {};
+                stats.numUntrackedVisits = 0;
+                return stats;
+            },
+            (entry, stats) => {
+                const navObj = entry[1];
+                if (navObj.type == "pageVisit") {
+                    const domain = getTrackedPathDest(navObj.url);
+                    const domainIndex = JSON.stringify({domain: domain});
+                    let domainObj = stats.trackedVisitsByDomain[domainIndex];
+                    if (!domainObj) {
+                        stats.trackedVisitsByDomain[domainIndex] = {};
+                        domainObj = stats.trackedVisitsByDomain[domainIndex];
+                        domainObj.visitsByReferrer = {};
+                    }
+
+                    const index = JSON.stringify({
+                        referrerDomain: getTrackedPathSource(navObj.referrer),
+                        ...timeBuckets.getBucket(navObj.pageVisitStartTime),
+                        classifierResults: navObj.classResults
+                    });
+
+                    let attention = navObj.attentionDuration;
+                    let scroll = Math.floor(navObj.maxRelativeScrollDepth * 100);
+                    if (privacy) {
+                        attention = Math.min(Math.max(attention, 0), maxAttentionPerVisit);
+                        scroll = Math.min(Math.max(scroll, 0), maxScrollPerVisit);
+                    }
+
+                    let specificObj = domainObj.visitsByReferrer[index];
+                    if (specificObj) {
+                        specificObj.numVisits += 1;
+                        specificObj.totalAttention += attention;
+                        specificObj.totalScroll += scroll;
+                        specificObj.laterSharedCount += navObj.laterShared ? 1 : 0;
+                        specificObj.prevExposedCount += navObj.prevExposed ? 1 : 0;
+                    } else {
+                        specificObj = {};
+                        specificObj.numVisits = 1;
+                        specificObj.totalAttention = attention;
+                        specificObj.totalScroll = scroll;
+                        specificObj.laterSharedCount = navObj.laterShared ? 1 : 0;
+                        specificObj.prevExposedCount = navObj.prevExposed ? 1 : 0;
+                        domainObj.visitsByReferrer[index] = specificObj;
+                    }
+                } else if (navObj.type == "untracked") {
+                    stats.numUntrackedVisits += 1;
+                }
+            },
+            (r) => {
+                for (const domain in r.trackedVisitsByDomain) {
+                    const trackedVisits = r.trackedVisitsByDomain[domain].visitsByReferrer;
+                    const trackedVisitsArray = Object.entries(trackedVisits).map((pair) => {
+                        const entry = JSON.parse(pair[0]);
+                        entry.numVisits = pair[1].numVisits;
+                        entry.totalAttention = pair[1].totalAttention;
+                        entry.totalScroll = pair[1].totalScroll;
+                        entry.prevExposedCount = pair[1].prevExposedCount;
+                        entry.laterSharedCount = pair[1].laterSharedCount;
+                        return entry;
+                    });
+                    r.trackedVisitsByDomain[domain].visitsByReferrer = privacy ?
+                        privacy.privatizeBuckets(trackedVisitsArray, {
+                            counts: ["numVisits", "prevExposedCount", "laterSharedCount"],
+                            sums: {totalAttention: maxAttentionPerVisit, totalScroll: maxScrollPerVisit}
+                        }) : trackedVisitsArray;
+                }
+                const domains = r.trackedVisitsByDomain;
+                const domainsArray = Object.entries(domains).map((pair) => {
+                    const entry = JSON.parse(pair[0]);
+                    entry.visitsByReferrer = pair[1].visitsByReferrer;
+                    return entry;
+                }).filter(entry => !privacy || entry.visitsByReferrer.length > 0);
+                r.trackedVisitsByDomain = domainsArray;
+                if (privacy) {
+                    r.numUntrackedVisits = privacy.privatizeCount(r.numUntrackedVisits);
+                }
+                return r;
+            }
+        );
+        return statsObj.computeStats(pageNavigationStorage);
+
+    }
+
+    /**
+     * Get the visibility duration (in seconds) for a link exposure record. Records stored
+     * before exposures had multiple durations were all for the 5 second duration.
+     * @param {Object} exposureObj - The link exposure record.
+     * @returns {number} The visibility duration, in seconds.
+     */
+    function getVisThreshold(exposureObj) {
+        return (exposureObj.visThreshold !== undefined) ? exposureObj.visThreshold / 1000 : 5;
+    }
+
+    /**
+     * Function for computing link exposure statistics
+     * @param {Object} linkExposureStorage page navigation storage object
+     * @param {Object} context aggregation context, with the study's match pattern sets,
+     * Public Suffix List, time buckets, and privacy mechanism (if any)
+     */
+    function linkExposureStats(linkExposureStorage, { matchers, publicSuffixSet, timeBuckets, privacy }) {
+        setMatchers(matchers, publicSuffixSet);
+        const statsObj = new StorageStatistics(
+            () => {
+                const stats = {};
+                stats.untrackedLinkExposures = {"5": 0};
+                stats.linkExposures = {};
+
+                return stats;
+            },
+            (entry, stats) => {
+                const exposureObj = entry[1];
+                if (exposureObj.type == "exposure") {
+                    const index = JSON.stringify({
+                        sourceDomain: getTrackedPathSource(exposureObj.pageUrl),
+                        destinationDomain: getTrackedPathDest(exposureObj.url),
+                        ...timeBuckets.getBucket(exposureObj.firstSeen),
+                        visThreshold: getVisThreshold(exposureObj),
+                        contextType: exposureObj.context ? exposureObj.context.type : undefined
+                    });
+                    if (!(stats.linkExposures[index])) {
+                        stats.linkExposures[index] = {
+                            numExposures: 1,
+                            laterVisitedCount: exposureObj.laterVisited ? 1 : 0,
+                            laterSharedCount: exposureObj.laterShared ? 1 : 0
+                        };
+                    } else {
+                        const current = stats.linkExposures[index];
+                        stats.linkExposures[index] = {
+                            numExposures: current.numExposures + 1,
+                            laterVisitedCount: current.laterVisitedCount + (exposureObj.laterVisited ? 1 : 0),
+                            laterSharedCount: current.laterSharedCount + (exposureObj.laterShared ? 1 : 0)
+                        }
+                    }
+                } else if (exposureObj.type == "untracked") {
+                    const visThreshold = String(getVisThreshold(exposureObj));
+                    const count = privacy ?
+                        Math.min(Math.max(exposureObj.count, 0), maxUntrackedExposuresPerRecord) :
+                        exposureObj.count;
+                    stats.untrackedLinkExposures[visThreshold] =
+                        (visThreshold in stats.untrackedLinkExposures ? stats.untrackedLinkExposures[visThreshold] : 0) +
+                        count;
+                }
+            },
+            (r) => {
+                const exposuresArray = Object.entries(r.linkExposures).map((pair) => {
+                    const entry = JSON.parse(pair[0]);
+                    entry.numExposures = pair[1].numExposures;
+                    entry.laterVisitedCount = pair[1].laterVisitedCount;
+                    entry.laterSharedCount = pair[1].laterSharedCount;
+                    return entry;
+                });
+                r.linkExposures = privacy ?
+                    privacy.privatizeBuckets(exposuresArray, {
+                        counts: ["numExposures", "laterVisitedCount", "laterSharedCount"]
+                    }) : exposuresArray;
+                if (privacy) {
+                    for (const visThreshold in r.untrackedLinkExposures) {
+                        r.untrackedLinkExposures[visThreshold] = privacy.privatizeCount(r.untrackedLinkExposures[visThreshold],
+                            maxUntrackedExposuresPerRecord);
+                    }
+                }
+                return r;
+            }
+        );
+        return statsObj.computeStats(linkExposureStorage);
+    }
+
+    /**
+     * Function for computing social media link sharing statistics
+     * @param {Object} socialMediaLinkSharingStorage social media link sharing storage object
+     * @param {Object} context aggregation context, with the study's match pattern sets,
+     * Public Suffix List, time buckets, and privacy mechanism (if any)
+     */
+    function socialMediaLinkSharingStats(socialMediaLinkSharingStorage, { matchers, publicSuffixSet, timeBuckets, privacy }) {
+        setMatchers(matchers, publicSuffixSet);
+        const fbIndex = JSON.stringify({platform: "facebook"});
+        const twIndex = JSON.stringify({platform: "twitter"});
+        const rdIndex = JSON.stringify({platform: "reddit"});
+        const ytIndex = JSON.stringify({platform: "youtube"});
+        const mdIndex = JSON.stringify({platform: "mastodon"});
+
+        const statsObj = new StorageStatistics(
+            () => {
+                const stats = {};
+                stats.linkSharesByPlatform = {}
+                stats.linkSharesByPlatform[fbIndex] = {trackedShares: {}, numUntrackedShares: 0};
+                stats.linkSharesByPlatform[twIndex] = {trackedShares: {}, numUntrackedShares: 0};
+                stats.linkSharesByPlatform[rdIndex] = {trackedShares: {}, numUntrackedShares: 0};
+                stats.linkSharesByPlatform[ytIndex] = {trackedShares: {}, numUntrackedShares: 0};
+                stats.linkSharesByPlatform[mdIndex] = {trackedShares: {}, numUntrackedShares: 0};
+
+                return stats;
+            },
+            (entry, stats) => {
+                const val = entry[1];
+                if (val.type == "untracked") {
+                    stats.linkSharesByPlatform[JSON.stringify({platform: val.platform})].numUntrackedShares += privacy ?
+                        Math.min(Math.max(val.count, 0), maxUntrackedSharesPerRecord) : val.count;
+                } else if (val.type == "share") {
+                    let platformIndex = "";
+                    if (val.platform == "facebook") platformIndex = fbIndex;
+                    if (val.platform == "twitter") platformIndex = twIndex;
+                    if (val.platform == "reddit") platformIndex = rdIndex;
+                    if (val.platform == "youtube") platformIndex = ytIndex;
+                    if (val.platform == "mastodon") platformIndex = mdIndex;
+                    let platformObj = stats.linkSharesByPlatform[platformIndex];
+                    if (!platformObj) {
+                        stats.linkSharesByPlatform[platformIndex] = {};
+                        platformObj = stats.linkSharesByPlatform[platformIndex];
+                    }
+
+                    const hostname = getDomain(val.url);
+                    const visitReferrer = val.prevVisitReferrer ? getTrackedPathSource(val.prevVisitReferrer) : null;
+
+                    const index = JSON.stringify({
+                        domain: hostname,
+                        classifierResults: val.classifierResults,
+                        audience: val.audience,
+                        source: val.source,
+                        visitReferrer: visitReferrer,
+                        prevExposed: val.prevExposed ? 1 : 0,
+                        ...timeBuckets.getBucket(val.shareTime)
+                    });
+                    let specificObj = platformObj.trackedShares[index];
+                    if (specificObj) {
+                        specificObj.trackedSharesCount += 1;
+                    } else {
+                        specificObj = {};
+                        specificObj.trackedSharesCount = 1;
+                        platformObj.trackedShares[index] = specificObj;
+                    }
+                }
+            },
+            (r) => {
+                for (const platform in r.linkSharesByPlatform) {
+                    const trackedShares = r.linkSharesByPlatform[platform].trackedShares;
+                    const trackedSharesArray = Object.entries(trackedShares).map((pair) => {
+                        const entry = JSON.parse(pair[0]);
+                        entry.numShares = pair[1].trackedSharesCount;
+                        return entry;
+                    });
+                    r.linkSharesByPlatform[platform].trackedShares = privacy ?
+                        privacy.privatizeBuckets(trackedSharesArray, {counts: ["numShares"]}) :
+                        trackedSharesArray;
+                }
+                const platforms = r.linkSharesByPlatform;
+                const platformsArray = Object.entries(platforms).map((pair) => {
+                    const entry = JSON.parse(pair[0]);
+                    entry.numUntrackedShares = privacy ?
+                        privacy.privatizeCount(pair[1].numUntrackedShares, maxUntrackedSharesPerRecord) :
+                        pair[1].numUntrackedShares;
+                    entry.trackedShares = pair[1].trackedShares;
+                    return entry;
+                });
+                r.linkSharesByPlatform = platformsArray;
+                return r;
+            }
+        );
+        return statsObj.computeStats(socialMediaLinkSharingStorage);
+    }
+
+    /**
+     * Function for computing funnel statistics, which count conversions from exposures to
+     * visits, from exposures to shares, and from visits to shares, with the distribution of
+     * latencies between the events
+     * @param {Object} funnelStorage funnel storage object
+     * @param {Object} context aggregation context, with the study's match pattern sets,
+     * Public Suffix List, time buckets, and privacy mechanism (if any)
+     */
+    function funnelStats(funnelStorage, { matchers, publicSuffixSet, privacy }) {
+        setMatchers(matchers, publicSuffixSet);
+        const statsObj = new StorageStatistics(
+            () => {
+                const stats = {};
+                stats.conversions = {};
+                return stats;
+            },
+            (entry, stats) => {
+                const conversion = entry[1];
+                if (conversion.type != "conversion") return;
+                const index = JSON.stringify({
+                    stage: conversion.stage,
+                    sourceDomain: getTrackedPathSource(conversion.sourceUrl),
+                    destinationDomain: getTrackedPathDest(conversion.url)
+                });
+                let specificObj = stats.conversions[index];
+                if (!specificObj) {
+                    specificObj = {};
+                    specificObj.numConversions = 0;
+                    specificObj.latencyCounts = new Array(latencyBucketBoundaries.length + 1).fill(0);
+                    stats.conversions[index] = specificObj;
+                }
+                let latencyBucket = latencyBucketBoundaries.findIndex(boundary => conversion.latency < boundary);
+                if (latencyBucket < 0) latencyBucket = latencyBucketBoundaries.length;
+                specificObj.numConversions += 1;
+                specificObj.latencyCounts[latencyBucket] += 1;
+            },
+            (r) => {
+                const conversionsArray = Object.entries(r.conversions).map((pair) => {
+                    const entry = JSON.parse(pair[0]);
+                    entry.numConversions = pair[1].numConversions;
+                    entry.latencyCounts = pair[1].latencyCounts;
+                    return entry;
+                });
+                r.latencyBucketBoundaries = latencyBucketBoundaries;
+                r.conversions = privacy ?
+                    privacy.privatizeBuckets(conversionsArray, {counts: ["numConversions", "latencyCounts"]}) :
+                    conversionsArray;
+                return r;
+            }
+        );
+        return statsObj.computeStats(funnelStorage);
+    }
+
+    /**
+     * Gets domain name from a url, as the registrable domain (eTLD+1) of the hostname,
+     * so that subdomains of a site (e.g., www.nytimes.com and cooking.nytimes.com) are
+     * bucketed together
+     *
+     * @param {string} url url string
+     * @returns {string} registrable domain in the input url, or "" if the url is invalid
+     */
+    function getDomain(url) {
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch { return ""; }
+        return publicSuffixSet.getETldPlusOne(urlObj.hostname);
+    }
+
+    function getTrackedPathDest(url) {
+        // if this is a dest, it must have passed a destination check already
+        const fbResult = fbRegex.exec(url);
+        if (fbResult && fbMatcher.matches(url)) { return fbResult[0]; }
+        const twResult = twRegex.exec(url);
+        if (twResult && twMatcher.matches(url)) { return twResult[0]; }
+        const ytResult = ytRegex.exec(url);
+        if (ytResult && ytMatcher.matches(url)) { return ytResult[0]; }
+        return getDomain(url);
+    }
+
+    function getTrackedPathSource(url) {
+        // a referrer hasn't necessarily passed a check
+        const fbResult = fbRegex.exec(url);
+        if (fbResult && fbMatcher.matches(url)) { return fbResult[0]; }
+        const twResult = twRegex.exec(url);
+        if (twResult && twMatcher.matches(url)) { return twResult[0]; }
+        const ytResult = ytRegex.exec(url);
+        if (ytResult && ytMatcher.matches(url)) { return ytResult[0]; }
+        if (referrerMatcher.matches(url)) { return getDomain(url); }
+        if (destinationMatcher.matches(url)) { return getDomain(url); }
+        return "other";
+    }
+
+    registerAggregationFunction("pageNavigationStats", pageNavigationStats, {supportsPrivacy: true});
+    registerAggregationFunction("linkExposureStats", linkExposureStats, {supportsPrivacy: true});
+    registerAggregationFunction("socialMediaLinkSharingStats", socialMediaLinkSharingStats, {supportsPrivacy: true});
+    registerAggregationFunction("funnelStats", funnelStats, {supportsPrivacy: true});
+
+    }
+)();
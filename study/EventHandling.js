@@ -6,6 +6,7 @@ import { twitterPageMatchPatterns } from "./paths/twitterPageMatchPatterns.js"
 import { youtubePageMatchPatterns } from "./paths/youtubePageMatchPatterns.js"
 import polClassifierData from "./weights/pol-linearsvc_data.js"
 import covidClassifierData from "./weights/covid-linearsvc_data.js"
+import { measurementsSchema } from "./schemas/measurementsSchema.js"
 
 const LinkExposure = WebScience.Measurements.LinkExposure;
 const PageNavigation = WebScience.Measurements.PageNavigation;
@@ -16,16 +17,83 @@ const Matching = WebScience.Utilities.Matching;
 const Debugging = WebScience.Utilities.Debugging;
 
 let integrationStorage;
+let urlEventHistories;
+let storageFunnel;
 
 let storagePN;
 let storageLE;
 let storageSMLS;
 let storageClassifications;
 let destinationMatcher;
-const classificationsPN = {};
-const classificationsSMLS = {};
 const debugLog = Debugging.getDebuggingLog("NewsAndDisinfo.EventHandling");
 
+/**
+ * How long (in milliseconds) to keep classification results and per-URL integration
+ * records, which are not reported directly but support attributing later events.
+ * @constant
+ * @type {number}
+ */
+const auxiliaryRetentionMaxAge = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long (in milliseconds) after an exposure to a URL, or a visit to a URL, a later
+ * visit or share of the same URL counts as a conversion in the funnel measurement.
+ * Windows must not exceed `auxiliaryRetentionMaxAge`, since the integration store
+ * only keeps events for that long.
+ * @constant
+ * @type {Object}
+ */
+const funnelWindows = {
+    exposureToVisit: 7 * 24 * 60 * 60 * 1000,
+    exposureToShare: 7 * 24 * 60 * 60 * 1000,
+    visitToShare: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * The durations (in milliseconds) that a link must be visible to count as an exposure.
+ * An exposure is stored once for each duration that it crosses, and the aggregate
+ * statistics report the duration (in seconds) with each exposure, so durations must
+ * be whole seconds.
+ * @constant
+ * @type {Array<number>}
+ */
+const linkVisibilityDurations = [ 5000 ];
+
+/**
+ * The worker IDs of the classifiers whose results are stored with page visits and
+ * link shares.
+ * @constant
+ * @type {Array<string>}
+ */
+const classifierIds = ["pol-page-classifier", "covid-page-classifier"];
+
+/**
+ * How long (in milliseconds) to wait for classifier results before storing a page
+ * visit (which is usually classified while the page is open) or a link share (which
+ * requires fetching and classifying the shared URL).
+ * @constant
+ * @type {Object}
+ */
+const classifierTimeouts = {
+    pageVisit: 5000,
+    linkShare: 10000
+};
+
+/**
+ * How the aggregate statistics group events by time: the width of each time of day
+ * bucket (in hours), whether buckets use local time rather than UTC, and whether
+ * buckets include the day of the week and the calendar date. Reported with each
+ * payload, so that analysts can interpret the buckets.
+ * @constant
+ * @type {Object}
+ */
+const timeBuckets = {
+    hoursPerBucket: 4,
+    localTime: false,
+    dayOfWeek: true,
+    date: false
+};
+
 const allDestinationMatchPatterns = [
     ...destinationDomainMatchPatterns,
     ...facebookPageMatchPatterns,
@@ -38,20 +106,60 @@ const allReferrerMatchPatterns = [
 
 let rally;
 
+/**
+ * A persistent count of measurement payloads that failed schema validation,
+ * which is reported in the diagnostics section of each payload.
+ * @type {Object}
+ */
+let schemaValidationFailureCounter;
+
+/**
+ * Whether measurement has stopped because the participant withdrew from the study.
+ * Delayed storage of events (while waiting for classification results) is skipped
+ * once measurement has stopped.
+ * @type {boolean}
+ */
+let studyStopped = false;
+
 /**
  * Starts the study by adding listeners and initializing measurement modules.
  * This study runs the PageNavigation, LinkExposure, and SocialMediaLinkSharing modules.
  */
 export async function startStudy(rallyArg) {
     rally = rallyArg;
+    WebScience.Utilities.Withdrawal.initialize({
+        stopStudy: stopStudy,
+        sendDeletionRequest: sendDeletionRequest
+    });
+    if (await WebScience.Utilities.Withdrawal.hasWithdrawn()) {
+        debugLog("Not starting the study, since the participant has withdrawn");
+        return;
+    }
     await initialize();
 
+    schemaValidationFailureCounter = await (new WebScience.Utilities.Storage.Counter(
+        "NewsAndDisinfo.schemaValidationFailures")).initialize();
+    await WebScience.Utilities.Outbox.initialize({
+        send: (payloadType, payload) => rally.sendPingOrThrow(payloadType, payload)
+    });
+
     await addListeners();
 
     WebScience.Utilities.DataAnalysis.runStudy({
         analysisTemplate : {
             path : "/WebScience/Measurements/AggregateStatistics.js",
-            resultListener : processAnalysisResult
+            resultListener : processAnalysisResult,
+            timeBuckets : timeBuckets,
+            aggregators : {
+                "NewsAndDisinfo.Measurements.PageNavigation.pageVisits":
+                    {path: "/study/Aggregators.js", name: "pageNavigationStats"},
+                "NewsAndDisinfo.Measurements.LinkExposure.linkExposures":
+                    {path: "/study/Aggregators.js", name: "linkExposureStats"},
+                "NewsAndDisinfo.Measurements.SocialMediaLinkSharing.linkShares":
+                    {path: "/study/Aggregators.js", name: "socialMediaLinkSharingStats"},
+                "NewsAndDisinfo.Measurements.Funnel.conversions":
+                    {path: "/study/Aggregators.js", name: "funnelStats"}
+            }
         }}, {
             destinationMatches: (new Matching.MatchPatternSet(allDestinationMatchPatterns)).export(),
             referrerMatches: (new Matching.MatchPatternSet(allReferrerMatchPatterns)).export(),
@@ -62,11 +170,16 @@ export async function startStudy(rallyArg) {
             {storage: storagePN, store: "pageVisits", timeKey: "pageVisitStartTime"},
             {storage: storageLE, store: "linkExposures", timeKey: "firstSeen"},
             {storage: storageSMLS, store: "linkShares", timeKey: "shareTime"},
-        ]);
+            {storage: storageFunnel, store: "conversions", timeKey: "conversionTime"},
+        ], {
+            analysisWindowDuration: WebScience.Utilities.DataAnalysis.millisecondsPerDay
+        });
 
     WebScience.Utilities.UserSurvey.runStudy({
         surveyUrl: "https://citpsurveys.cs.princeton.edu/rallyPolInfoSurvey"
     });
+
+    WebScience.Utilities.DataInspection.initialize();
 }
 
 async function initialize() {
@@ -75,10 +188,31 @@ async function initialize() {
     destinationMatcher = new WebScience.Utilities.Matching.MatchPatternSet(allDestinationMatchPatterns);
 
     integrationStorage = new WebScience.Utilities.Storage.IndexedStorage(
-        "NewsAndDisinfo.Integration", {integration: "url"});
+        "NewsAndDisinfo.Integration", [
+            {version: 1, stores: {integration: "url"}},
+            {version: 2, stores: {integration: "url, lastEventTime"},
+                upgrade: {integration: upgradeUrlEventsToEventHistory}}
+        ]);
+    integrationStorage.setRetentionPolicy({
+        timeKey: "lastEventTime", maxAge: auxiliaryRetentionMaxAge}, "integration");
+    urlEventHistories = new WebScience.Utilities.UrlEventHistory.UrlEventHistoryStorage(
+        integrationStorage, {maxAge: auxiliaryRetentionMaxAge});
+
+    storageFunnel = new WebScience.Utilities.Storage.IndexedStorage(
+        "NewsAndDisinfo.Measurements.Funnel", {
+            conversions: "++, conversionTime"
+        });
+    storageFunnel.setRetentionPolicy({
+        timeKey: "conversionTime", deleteOnceReported: true}, "conversions");
 
     storageClassifications = new WebScience.Utilities.Storage.IndexedStorage(
-        "NewsAndDisinfo.Classification", {classResults: "++,url,pageId"});
+        "NewsAndDisinfo.Classification", [
+            {version: 1, stores: {classResults: "++,url,pageId"}},
+            {version: 2, stores: {classResults: "++,url,pageId,classificationTime"},
+                upgrade: {classResults: (result) => { result.classificationTime = Date.now(); }}}
+        ]);
+    storageClassifications.setRetentionPolicy({
+        timeKey: "classificationTime", maxAge: auxiliaryRetentionMaxAge}, "classResults");
 }
 
 async function addListeners() {
@@ -103,6 +237,7 @@ async function addListeners() {
         linkMatchPatterns: allDestinationMatchPatterns,
         pageMatchPatterns: allReferrerMatchPatterns,
         privateWindows : false,
+        linkVisibilityDurations
     });
 
     await startPageNavigationMeasurement({
@@ -113,32 +248,93 @@ async function addListeners() {
         destinationMatchPatterns: allDestinationMatchPatterns,
         facebook: true,
         twitter: true,
-        reddit: true
+        reddit: true,
+        youtube: true,
+        mastodon: true
     });
 
     PageManager.onPageVisitStart.addListener(pageVisitStartListener);
 }
 
-async function processAnalysisResult(result) {
+/**
+ * Stops the study by removing every listener, which stops the measurement modules,
+ * classification workers, analysis, and survey requests. Used when the participant
+ * withdraws from the study.
+ */
+async function stopStudy() {
+    debugLog("Stopping study");
+    studyStopped = true;
+    PageManager.onPageVisitStart.removeListener(pageVisitStartListener);
+    PageNavigation.onPageData.removeListener(pageNavListener);
+    LinkExposure.onUntracked.removeListener(untrackedLEListener);
+    LinkExposure.onLinkExposure.removeListener(linkExposureListener);
+    SocialMediaLinkSharing.onShare.removeListener(linkShareListener);
+    PageClassification.onClassificationResult.removeListener(saveClassificationResultPol);
+    PageClassification.onClassificationResult.removeListener(saveClassificationResultCov);
+    await WebScience.Utilities.DataAnalysis.stopStudy();
+    WebScience.Utilities.Outbox.stop();
+    await WebScience.Utilities.UserSurvey.stopStudy();
+}
+
+/**
+ * Sends a final ping through Rally asking for the participant's reported data
+ * to be deleted. Includes the survey ID, so that survey responses can also be deleted.
+ */
+async function sendDeletionRequest() {
+    const data = {};
+    data["WebScience.SurveyId"] = await WebScience.Utilities.UserSurvey.getSurveyId();
+    data["WebScience.version"] = WebScience.Utilities.Debugging.getExtensionVersion();
+    debugLog("Submitting deletion request through Rally = " + JSON.stringify(data));
+    await rally.sendPingOrThrow("deletion-request", data);
+}
+
+async function processAnalysisResult(result, analysisRange) {
     const data = {};
     const pageNav = result["NewsAndDisinfo.Measurements.PageNavigation.pageVisits"];
     const linkExp = result["NewsAndDisinfo.Measurements.LinkExposure.linkExposures"];
     const linkSharing = result["NewsAndDisinfo.Measurements.SocialMediaLinkSharing.linkShares"];
+    const funnel = result["NewsAndDisinfo.Measurements.Funnel.conversions"];
     data["WebScience.Measurements.PageNavigation"] = pageNav ? pageNav : {};
     data["WebScience.Measurements.LinkExposure"] = linkExp ? linkExp : {};
     data["WebScience.Measurements.SocialMediaLinkSharing"] = linkSharing ? linkSharing : {};
+    data["NewsAndDisinfo.Measurements.Funnel"] = funnel ? funnel : {};
     data["WebScience.SurveyId"] = await WebScience.Utilities.UserSurvey.getSurveyId();
     data["WebScience.version"] = WebScience.Utilities.Debugging.getExtensionVersion();
+    data["WebScience.analysisRange"] = analysisRange;
+    data["WebScience.timeBuckets"] = timeBuckets;
+    data["WebScience.diagnostics"] = {
+        schemaValidationFailures: schemaValidationFailureCounter.get()
+    };
+
+    // Validate the payload before reporting it, since the pipeline drops payloads that
+    // do not match its schema. An invalid payload is recorded in the outbox as failed.
+    const validationErrors = WebScience.Utilities.SchemaValidation.validate(measurementsSchema, data);
+    if (validationErrors.length > 0) {
+        await schemaValidationFailureCounter.increment();
+        debugLog("Measurements payload failed schema validation: " + JSON.stringify(validationErrors));
+        await WebScience.Utilities.DataInspection.setLastAggregateReport(data);
+        await WebScience.Utilities.Outbox.recordUndeliverable("measurements", data,
+            "schema validation failed: " + validationErrors.join("; "));
+        if (__ENABLE_DEVELOPER_MODE__) {
+            debugLog("Invalid measurements payload = " + JSON.stringify(data));
+            throw new Error("Error: measurements payload does not match the schema: " + validationErrors.join("; "));
+        }
+        return;
+    }
+
     debugLog("Submitting results through Rally = " + JSON.stringify(data));
     if (__ENABLE_DEVELOPER_MODE__) console.log(data);
-    rally.sendPing("measurements", data);
+    await WebScience.Utilities.DataInspection.setLastAggregateReport(data);
+    // If the outbox is full of undelivered payloads, this rejects, so that the analysis
+    // window is not marked as complete and is analyzed again later
+    await WebScience.Utilities.Outbox.enqueue("measurements", data);
 }
 
 
 function pageVisitStartListener(pageData) {
     pageData.url = WebScience.Utilities.Matching.normalizeUrl(pageData.url);
     if (destinationMatcher.matches(pageData.url)) {
-        addEvent("visit", pageData.url, pageData.referrer);
+        recordVisit(pageData);
         return;
     }
     storagePN.set({type: "untracked", pageVisitStartTime: pageData.pageVisitStartTime}, "pageVisits");
@@ -149,6 +345,8 @@ async function startPageNavigationMeasurement(options) {
         "NewsAndDisinfo.Measurements.PageNavigation", {
             pageVisits: "++, pageId, url, pageVisitStartTime",
         });
+    storagePN.setRetentionPolicy({
+        timeKey: "pageVisitStartTime", deleteOnceReported: true}, "pageVisits");
     PageNavigation.onPageData.addListener(pageNavListener, options);
 }
 
@@ -157,6 +355,8 @@ async function startSMLSMeasurement(options) {
         "NewsAndDisinfo.Measurements.SocialMediaLinkSharing", {
             linkShares:"shareId++, url, shareTime",
         });
+    storageSMLS.setRetentionPolicy({
+        timeKey: "shareTime", deleteOnceReported: true}, "linkShares");
     SocialMediaLinkSharing.onShare.addListener(linkShareListener, options);
 }
 
@@ -165,28 +365,30 @@ async function startLinkExposureMeasurement(options) {
         "NewsAndDisinfo.Measurements.LinkExposure", {
             linkExposures: "exposureId++, url, firstSeen",
         });
+    storageLE.setRetentionPolicy({
+        timeKey: "firstSeen", deleteOnceReported: true}, "linkExposures");
     LinkExposure.onLinkExposure.addListener(linkExposureListener, options);
-    LinkExposure.onUntracked.addListener(untrackedLEListener);
+    LinkExposure.onUntracked.addListener(untrackedLEListener, options);
 }
 
 async function linkShareListener(shareData) {
     const currentTime = Date.now();
     if (shareData.type == "share") {
         shareData.value.url = WebScience.Utilities.Matching.normalizeUrl(shareData.value.url);
-        const classResults = await storageClassifications.get({url:shareData.value.url});
-        if (classResults == null ||
-            !("pol-page-classifier" in classResults) ||
-            !("covid-page-classifier" in classResults)) {
-            WebScience.Utilities.PageClassification.fetchClassificationResult(
-                shareData.value.url,
-                "covid-page-classifier");
-
-            WebScience.Utilities.PageClassification.fetchClassificationResult(
-                shareData.value.url,
-                "pol-page-classifier");
-
-            setTimeout(storeLinkShare, 10000, shareData);
-        } else storeLinkShare(shareData, classResults);
+        const classResults = await getStoredClassResults(shareData.value.url);
+        const missingClassifierIds = classifierIds.filter(classifierId => !(classifierId in classResults));
+        let timedOut = [];
+        if (missingClassifierIds.length > 0) {
+            for (const classifierId of missingClassifierIds)
+                PageClassification.fetchClassificationResult(shareData.value.url, classifierId);
+            const awaited = await PageClassification.awaitClassificationResults(
+                {url: shareData.value.url}, missingClassifierIds, classifierTimeouts.linkShare);
+            Object.assign(classResults, getClassifications(awaited.results));
+            timedOut = awaited.timedOut;
+        }
+        await storeLinkShare(shareData, classResults, timedOut).catch((error) => {
+            debugLog(`error storing link share: ${error}`);
+        });
     } else if (shareData.type == "untrackedTwitter") {
         storageSMLS.set({
             type: "untracked", platform: "twitter",
@@ -202,31 +404,38 @@ async function linkShareListener(shareData) {
             type: "untracked", platform: "reddit",
             count: shareData.value, shareTime: currentTime
         }, "linkShares");
+    } else if (shareData.type == "untrackedYouTube") {
+        storageSMLS.set({
+            type: "untracked", platform: "youtube",
+            count: shareData.value, shareTime: currentTime
+        }, "linkShares");
+    } else if (shareData.type == "untrackedMastodon") {
+        storageSMLS.set({
+            type: "untracked", platform: "mastodon",
+            count: shareData.value, shareTime: currentTime
+        }, "linkShares");
     }
 }
 
-async function storeLinkShare(shareData, classResults = null) {
-    if (classResults == null) classResults = classificationsSMLS[shareData.value.url];
+async function storeLinkShare(shareData, classResults, timedOutClassifiers) {
+    if (studyStopped) return;
 
     shareData = shareData.value;
     shareData.classifierResults = classResults;
+    shareData.timedOutClassifiers = timedOutClassifiers;
     shareData.url = WebScience.Utilities.Matching.normalizeUrl(shareData.url);
     shareData.type = "share";
 
-    const urlEvents = await integrationStorage.get(shareData.url);
-    shareData.previouslyExposed = urlEvents ? urlEvents["exposure"].length > 0 : false;
-
-    shareData.prevVisitReferrer = checkPrevVisitReferrer(shareData, urlEvents);
+    const { prevExposed, prevVisitReferrer } = await recordShare(shareData);
+    shareData.prevExposed = prevExposed;
+    shareData.prevVisitReferrer = prevVisitReferrer;
     await storageSMLS.set(shareData, "linkShares");
 }
 
-function checkPrevVisitReferrer(shareData, urlEvents) {
-    return urlEvents ? urlEvents.visit : "";
-}
-
 async function untrackedLEListener(untrackedData) {
     storageLE.set({
         type: "untracked", count: untrackedData.count,
+        visThreshold: untrackedData.visThreshold,
         firstSeen: untrackedData.timeStamp
     },
         "linkExposures");
@@ -236,34 +445,46 @@ async function linkExposureListener(exposureData) {
     exposureData.url = WebScience.Utilities.Matching.normalizeUrl(exposureData.url);
     const exposedUrl = exposureData.url;
     exposureData.type = "exposure";
-    await storageLE.set(exposureData, "linkExposures");
-    await addEvent("exposure", exposedUrl);
+    const exposureId = await storageLE.set(exposureData, "linkExposures");
+    // A link is exposed once, even if it crosses several visibility durations
+    if (exposureData.visThreshold === Math.min(...linkVisibilityDurations))
+        await recordExposure(exposedUrl, exposureData, exposureId);
 }
 
 /**
  * Store the results from a page visit. If the classifier results haven't
  * arrived yet (likely because the page was closed quickly after opening)
- * wait 5 seconds to give them time, then save the event with or without them.
+ * wait for them, up to a deadline, then save the event with the results that
+ * arrived and a list of the classifiers that timed out.
  * @param {Object} pageData - visit information
  */
 async function pageNavListener(pageData) {
-    const classResults = classificationsPN[pageData.pageId];
-    if (classResults == null ||
-        !("pol-page-classifier" in classResults) ||
-        !("cov-page-classifier" in classResults)) {
-        setTimeout(storePageNavResult, 5000, pageData);
-    } else {
-        storePageNavResult(pageData);
-    }
+    const { results, timedOut } = await PageClassification.awaitClassificationResults(
+        {pageId: pageData.pageId}, classifierIds, classifierTimeouts.pageVisit);
+    await storePageNavResult(pageData, getClassifications(results), timedOut).catch((error) => {
+        debugLog(`error storing page visit: ${error}`);
+    });
 }
 
-async function storePageNavResult(pageData) {
+async function storePageNavResult(pageData, classResults, timedOutClassifiers) {
+    if (studyStopped) return;
     pageData.url = WebScience.Utilities.Matching.normalizeUrl(pageData.url);
     pageData.type = "pageVisit";
-    pageData.classResults = classificationsPN[pageData.pageId];
-    delete classificationsPN[pageData.pageId];
+    pageData.classResults = classResults;
+    pageData.timedOutClassifiers = timedOutClassifiers;
+    const {history, result: visit} = await urlEventHistories.update(pageData.url, history => {
+        const visit = history.getVisitForPage(pageData.pageId);
+        if (visit !== null) {
+            visit.attentionDuration = pageData.attentionDuration;
+        }
+        return visit;
+    });
+    if (visit !== null) {
+        pageData.laterShared = history.sharesAttributedTo({visitEventId: visit.eventId}).length > 0;
+    }
+    pageData.prevExposed = history.exposuresBefore(pageData.pageVisitStartTime).length > 0;
     await storagePN.set(pageData, "pageVisits");
-    /* Note: we don't call addEvent here because it gets called from pageVisitStartListener instead.
+    /* Note: we don't call recordVisit here because it gets called from pageVisitStartListener instead.
      * Consider the following scenario:
      * - user browses to a news article
      * - user opens Facebook another tab and pastes the article url in to share
@@ -272,32 +493,155 @@ async function storePageNavResult(pageData) {
      */
 }
 
-async function addEvent(typeOfEvent, url, referrer="") {
-    let urlEvents = await integrationStorage.get(url);
-    if (!urlEvents) urlEvents = {
+/**
+ * Upgrade a record in the integration store from a single exposure flag and visit
+ * referrer to a `UrlEventHistory` record, which has lists of exposures, visits, and
+ * shares and attributes each visit and share to a preceding event. The times of prior
+ * events are not known, so they are approximated with the time of the upgrade. A prior
+ * visit is attributed to a prior exposure, so that an exposure that already led to a
+ * visit does not convert again.
+ * @param {Object} urlEvents - The record in the integration store.
+ * @returns {Object} The upgraded record.
+ */
+function upgradeUrlEventsToEventHistory(urlEvents) {
+    const upgradeTime = Date.now();
+    const history = new WebScience.Utilities.UrlEventHistory.UrlEventHistory(urlEvents.url);
+    if (urlEvents.exposure) {
+        history.addExposure({time: upgradeTime, exposureId: null, pageUrl: ""});
+    }
+    if (urlEvents.visit) {
+        history.addVisit({time: upgradeTime, pageId: null, referrer: urlEvents.visit},
+            funnelWindows.exposureToVisit);
+    }
+    history.record.lastEventTime = upgradeTime;
+    return history.record;
+}
+
+/**
+ * Store a conversion in the funnel measurement.
+ * @param {string} stage - The funnel stage, "exposureToVisit", "exposureToShare", or "visitToShare".
+ * @param {string} sourceUrl - The URL of the page where the exposure or visit came from.
+ * @param {string} url - The URL that was exposed, visited, or shared.
+ * @param {number} startTime - The time of the exposure or visit.
+ * @param {number} conversionTime - The time of the later visit or share.
+ */
+async function storeConversion(stage, sourceUrl, url, startTime, conversionTime) {
+    await storageFunnel.set({
+        type: "conversion",
+        stage: stage,
+        sourceUrl: sourceUrl,
         url: url,
-        exposure: false,
-        visit: ""
-    };
-    if (typeOfEvent == "exposure" && !(urlEvents.exposure)) {
-        urlEvents.exposure = true;
-        await integrationStorage.set(urlEvents);
-    } else if (typeOfEvent == "visit") {
-        urlEvents.visit = referrer;
-        await integrationStorage.set(urlEvents);
+        latency: conversionTime - startTime,
+        conversionTime: conversionTime
+    }, "conversions");
+}
+
+/**
+ * Record an exposure to a URL in the URL's event history, so that later visits and
+ * shares of the URL can be attributed to the exposure.
+ * @param {string} url - The normalized URL.
+ * @param {Object} exposureData - The link exposure.
+ * @param {number} exposureId - The key for the link exposure in the link exposure store.
+ */
+async function recordExposure(url, exposureData, exposureId) {
+    await urlEventHistories.update(url, history => history.addExposure({
+        time: exposureData.firstSeen,
+        exposureId: exposureId,
+        pageId: exposureData.pageId,
+        pageUrl: exposureData.pageUrl,
+        pageReferrer: exposureData.pageReferrer
+    }));
+}
+
+/**
+ * Record a visit to a URL in the URL's event history. If the visit is the first
+ * visit attributed to an exposure (within the funnel window), store a conversion.
+ * @param {Object} pageData - The page visit start event, with a normalized URL.
+ */
+async function recordVisit(pageData) {
+    const {history, result: visit} = await urlEventHistories.update(pageData.url, history => history.addVisit({
+        time: pageData.pageVisitStartTime,
+        pageId: pageData.pageId,
+        referrer: pageData.referrer
+    }, funnelWindows.exposureToVisit));
+
+    const exposure = history.getExposure(visit.exposureEventId);
+    if ((exposure !== null) && (history.visitsAttributedTo(exposure.eventId).length === 1)) {
+        await storeConversion("exposureToVisit", exposure.pageUrl, pageData.url, exposure.time, visit.time);
+        // The exposure is only updated if it has not been reported yet
+        if (exposure.exposureId !== null)
+            await storageLE.update(exposure.exposureId, {laterVisited: true}, "linkExposures");
+    }
+}
+
+/**
+ * Record a share of a URL in the URL's event history. If the share is the first
+ * share attributed to an exposure or a visit (within the funnel windows), store a
+ * conversion.
+ * @param {Object} shareData - The share, with a normalized URL.
+ * @returns {Promise<Object>} Whether the participant was previously exposed to the URL
+ * (`prevExposed`), and the referrer for the most recent visit to the URL (`prevVisitReferrer`).
+ */
+async function recordShare(shareData) {
+    const {history, result: share} = await urlEventHistories.update(shareData.url, history => history.addShare({
+        time: shareData.shareTime,
+        platform: shareData.platform
+    }, {
+        exposureWindow: funnelWindows.exposureToShare,
+        visitWindow: funnelWindows.visitToShare
+    }));
+
+    const exposure = history.getExposure(share.exposureEventId);
+    if ((exposure !== null) && (history.sharesAttributedTo({exposureEventId: exposure.eventId}).length === 1)) {
+        await storeConversion("exposureToShare", exposure.pageUrl, shareData.url, exposure.time, share.time);
+        if (exposure.exposureId !== null)
+            await storageLE.update(exposure.exposureId, {laterShared: true}, "linkExposures");
     }
+    const visit = history.getVisit(share.visitEventId);
+    if ((visit !== null) && (history.sharesAttributedTo({visitEventId: visit.eventId}).length === 1)) {
+        await storeConversion("visitToShare", visit.referrer, shareData.url, visit.time, share.time);
+        // The page visit is only stored once the visit ends, and is only updated if it has not been reported yet
+        if (visit.pageId !== null)
+            await storagePN.updateWhere("pageId", visit.pageId, {laterShared: true}, "pageVisits");
+    }
+
+    return {
+        prevExposed: history.exposuresBefore(share.time).length > 0,
+        prevVisitReferrer: history.lastReferrer(share.time)
+    };
 }
 
 function saveClassificationResult(result) {
     console.log(result);
+    result.classificationTime = Date.now();
     storageClassifications.set(result);
-    if (result.pageId != null) {
-        if (!classificationsPN[result.pageId]) classificationsPN[result.pageId] = {};
-        classificationsPN[result.pageId][result.className] = result.classification;
-    } else {
-        if (!classificationsSMLS[result.url]) classificationsSMLS[result.url] = {};
-        classificationsSMLS[result.url][result.className] = result.classification;
-    }
+}
+
+/**
+ * Get the predicted class from each classifier result.
+ * @param {Object} results - Classifier results, keyed by worker ID (see
+ * `PageClassification.awaitClassificationResults`).
+ * @returns {Object} The predicted classes, keyed by worker ID.
+ */
+function getClassifications(results) {
+    const classifications = {};
+    for (const classifierId in results)
+        classifications[classifierId] = results[classifierId].predicted_class;
+    return classifications;
+}
+
+/**
+ * Get the stored predicted class from each classifier for a URL.
+ * @param {string} url - The normalized URL.
+ * @returns {Promise<Object>} The most recent predicted classes, keyed by worker ID.
+ */
+async function getStoredClassResults(url) {
+    const storedResults = (await storageClassifications.getWhere("url", url, "classResults"))
+        .sort((a, b) => a.classificationTime - b.classificationTime);
+    const classResults = {};
+    for (const storedResult of storedResults)
+        classResults[storedResult.className] = storedResult.classification;
+    return classResults;
 }
 
 function saveClassificationResultPol(result) {
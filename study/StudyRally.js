@@ -0,0 +1,104 @@
+/**
+ * This module extends the Rally SDK for the study. The study withdraws (including
+ * deleting local data and sending a deletion request) before Rally uninstalls it,
+ * and the outbox needs to know whether a ping was submitted, which `Rally.sendPing`
+ * does not report.
+ *
+ * The SDK version is pinned in `package.json`, since overriding `_handleExternalMessage`
+ * depends on the SDK's internals. `tests/unit/StudyRally.test.js` checks that the
+ * override still takes effect and that pings match the SDK's pings, and should be run
+ * before updating the SDK.
+ */
+
+import Rally from "@mozilla/rally";
+import * as Debugging from "../WebScience/Utilities/Debugging.js"
+
+const debugLog = Debugging.getDebuggingLog("StudyRally");
+
+/**
+ * The ID of the Rally Core Add-on.
+ * @constant
+ * @type {string}
+ */
+const coreAddonId = "rally-core@mozilla.org";
+
+/**
+ * A function that is called before Rally uninstalls the study.
+ * @callback uninstallCallback
+ * @returns {Promise|undefined}
+ */
+
+export class StudyRally extends Rally {
+    /**
+     * Create a Rally instance for the study.
+     * @param {uninstallCallback} onUninstall - A function that is called before Rally
+     * uninstalls the study (e.g., when the participant leaves Rally or the study).
+     */
+    constructor(onUninstall) {
+        super();
+        this.onUninstall = onUninstall;
+        this.studyInitialized = false;
+        this.studyKeyId = null;
+        this.studyKey = null;
+        this.studyDevMode = false;
+    }
+
+    /**
+     * Initialize Rally, as with `Rally.initialize`, and remember the encryption key
+     * and developer mode setting for `sendPingOrThrow`.
+     * @param {string} keyId - The id of the key used to encrypt outgoing data.
+     * @param {Object} key - The JSON Web Key used to encrypt outgoing data.
+     * @param {boolean} enableDevMode - Whether to initialize Rally in developer mode.
+     */
+    async initialize(keyId, key, enableDevMode) {
+        await super.initialize(keyId, key, enableDevMode);
+        this.studyKeyId = keyId;
+        this.studyKey = key;
+        this.studyDevMode = Boolean(enableDevMode);
+        this.studyInitialized = true;
+    }
+
+    /**
+     * Handle a message from the Rally Core Add-on. Before an uninstall request is
+     * passed to Rally, calls the study's uninstall function.
+     * @param {Object} message - The message.
+     * @param {runtime.MessageSender} sender - The sender of the message.
+     * @returns {Promise} The response to the message.
+     */
+    _handleExternalMessage(message, sender) {
+        if ((sender.id === coreAddonId) && (message.type === "uninstall")) {
+            return Promise.resolve().then(() => this.onUninstall()).catch((error) => {
+                debugLog("Error before uninstalling: " + error);
+            }).then(() => super._handleExternalMessage(message, sender));
+        }
+        return super._handleExternalMessage(message, sender);
+    }
+
+    /**
+     * Submit a ping through the Rally Core Add-on. Identical to `Rally.sendPing`,
+     * except that the returned Promise rejects if the ping could not be submitted
+     * (`Rally.sendPing` only logs the error), so that the outbox can retry.
+     * @param {string} payloadType - The type of the encrypted payload.
+     * @param {Object} payload - A JSON-serializable payload to be sent with the ping.
+     * @returns {Promise} The response from the Rally Core Add-on.
+     */
+    async sendPingOrThrow(payloadType, payload) {
+        if (!this.studyInitialized) {
+            throw new Error("Error: Rally is not initialized");
+        }
+        // In developer mode, Rally.sendPing logs the payload without submitting it
+        if (this.studyDevMode) {
+            return this.sendPing(payloadType, payload);
+        }
+        return await browser.runtime.sendMessage(coreAddonId, {
+            type: "telemetry-ping",
+            data: {
+                payloadType: payloadType,
+                payload: payload,
+                namespace: browser.runtime.id,
+                keyId: this.studyKeyId,
+                key: this.studyKey
+            }
+        }, {});
+    }
+}
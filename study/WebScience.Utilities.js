@@ -44,3 +44,18 @@ export { Readability }
 
 import * as PageClassification from "../WebScience/Utilities/PageClassification.js"
 export { PageClassification }
+
+import * as DataInspection from "../WebScience/Utilities/DataInspection.js"
+export { DataInspection }
+
+import * as Withdrawal from "../WebScience/Utilities/Withdrawal.js"
+export { Withdrawal }
+
+import * as Outbox from "../WebScience/Utilities/Outbox.js"
+export { Outbox }
+
+import * as SchemaValidation from "../WebScience/Utilities/SchemaValidation.js"
+export { SchemaValidation }
+
+import * as UrlEventHistory from "../WebScience/Utilities/UrlEventHistory.js"
+export { UrlEventHistory }
@@ -0,0 +1,176 @@
+/**
+ * Create an element with text content.
+ * @param {string} tagName - The type of element to create.
+ * @param {string} text - The text content for the element.
+ * @param {string} [className] - An optional class for the element.
+ * @returns {HTMLElement} The new element.
+ */
+function createTextElement(tagName, text, className) {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+}
+
+/**
+ * Replace the contents of a container element.
+ * @param {string} containerId - The ID of the container element.
+ * @param {Array<Node>} children - The new contents of the container.
+ */
+function replaceContents(containerId, children) {
+    const container = document.getElementById(containerId);
+    while (container.firstChild) container.removeChild(container.firstChild);
+    for (const child of children) container.appendChild(child);
+}
+
+function renderLastAggregateReport(lastAggregateReport) {
+    if (lastAggregateReport == null) {
+        replaceContents("lastAggregateReport",
+            [createTextElement("p", "The study has not reported any data yet.")]);
+        return;
+    }
+    replaceContents("lastAggregateReport", [
+        createTextElement("p", "Generated " + new Date(lastAggregateReport.reportTime).toLocaleString()),
+        createTextElement("pre", JSON.stringify(lastAggregateReport.report, null, 2), "records")
+    ]);
+}
+
+function renderStorageAreas(storageAreas) {
+    const children = [];
+    for (const storageArea of storageAreas) {
+        const section = document.createElement("div");
+        section.className = "storage-area";
+        section.appendChild(createTextElement("h3",
+            storageArea.storageAreaName + " (" + storageArea.type + ")"));
+
+        const table = document.createElement("table");
+        table.className = "store-table";
+        const headerRow = document.createElement("tr");
+        for (const heading of ["Store", "Records", "Most Recent Records"]) {
+            headerRow.appendChild(createTextElement("th", heading));
+        }
+        table.appendChild(headerRow);
+        for (const store of storageArea.stores) {
+            const row = document.createElement("tr");
+            row.appendChild(createTextElement("td", store.store));
+            row.appendChild(createTextElement("td", String(store.count)));
+            const recordsCell = document.createElement("td");
+            const details = document.createElement("details");
+            details.appendChild(createTextElement("summary",
+                "Show " + store.recentRecords.length + " records"));
+            details.appendChild(createTextElement("pre",
+                JSON.stringify(store.recentRecords, null, 2), "records"));
+            recordsCell.appendChild(details);
+            row.appendChild(recordsCell);
+            table.appendChild(row);
+        }
+        section.appendChild(table);
+        children.push(section);
+    }
+    replaceContents("storageAreas", children);
+}
+
+/**
+ * Save text to a file, using a temporary link to an object URL.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The name for the file.
+ * @param {string} mimeType - The MIME type for the file.
+ */
+function downloadText(text, fileName, mimeType) {
+    const objectUrl = URL.createObjectURL(new Blob([text], {type: mimeType}));
+    const link = document.createElement("a");
+    link.href = objectUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(objectUrl);
+}
+
+/**
+ * Export every stored record, either as a single JSON document or as
+ * newline-delimited JSON with one record per line.
+ * @param {string} format - Either "json" or "ndjson".
+ */
+async function exportData(format) {
+    const contents = await browser.runtime.sendMessage({ type: "WebScience.Utilities.DataInspection.getAllContents" });
+    const exportTime = Date.now();
+    const fileNameBase = "study-data-" + new Date(exportTime).toISOString().replace(/[:.]/g, "-");
+    if (format == "json") {
+        downloadText(JSON.stringify({
+            exportTime: exportTime,
+            extensionVersion: browser.runtime.getManifest().version,
+            storageAreas: contents
+        }, null, 2), fileNameBase + ".json", "application/json");
+        return;
+    }
+    const lines = [];
+    for (const [storageAreaName, stores] of Object.entries(contents)) {
+        for (const [store, records] of Object.entries(stores)) {
+            for (const record of records) {
+                lines.push(JSON.stringify({
+                    storageAreaName: storageAreaName,
+                    store: store,
+                    record: record
+                }));
+            }
+        }
+    }
+    downloadText(lines.join("\n") + "\n", fileNameBase + ".ndjson", "application/x-ndjson");
+}
+
+/**
+ * Show that the participant has withdrawn, in place of the stored data and the
+ * withdrawal controls.
+ */
+function renderWithdrawn() {
+    const message = "You have withdrawn from the study, and the data it stored has been deleted.";
+    replaceContents("lastAggregateReport", [ ]);
+    replaceContents("storageAreas", [ createTextElement("p", message) ]);
+    replaceContents("withdrawal", [ createTextElement("p", message) ]);
+    for (const name of [ "exportJson", "exportNdjson" ]) {
+        document.getElementsByName(name)[0].style.display = "none";
+    }
+}
+
+async function withdraw() {
+    if (!window.confirm("Withdraw from the study and delete all of its data? This cannot be undone.")) {
+        return;
+    }
+    await browser.runtime.sendMessage({
+        type: "WebScience.Utilities.Withdrawal.withdraw",
+        sendDeletionRequest: document.getElementById("sendDeletionRequest").checked
+    });
+    renderWithdrawn();
+}
+
+async function loadSummary() {
+    const status = await browser.runtime.sendMessage({ type: "WebScience.Utilities.Withdrawal.getStatus" });
+    if (status.withdrawn) {
+        renderWithdrawn();
+        return;
+    }
+    if (!status.canSendDeletionRequest) {
+        document.getElementById("sendDeletionRequest").parentElement.style.display = "none";
+    }
+    const summary = await browser.runtime.sendMessage({ type: "WebScience.Utilities.DataInspection.getSummary" });
+    renderLastAggregateReport(summary.lastAggregateReport);
+    renderStorageAreas(summary.storageAreas);
+}
+
+function listenForClicks() {
+    document.addEventListener("click", async (e) => {
+        if (e.target.name == "exportJson") {
+            e.preventDefault();
+            await exportData("json");
+        } else if (e.target.name == "exportNdjson") {
+            e.preventDefault();
+            await exportData("ndjson");
+        } else if (e.target.name == "withdraw") {
+            e.preventDefault();
+            await withdraw();
+        }
+    });
+}
+listenForClicks();
+loadSummary();
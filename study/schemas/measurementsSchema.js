@@ -0,0 +1,208 @@
+/**
+ * @file The JSON Schema for the study's `measurements` payload, bundled so that each
+ * payload can be validated before it is reported (see `WebScience.Utilities.SchemaValidation`).
+ * This schema must be kept consistent with the pipeline schema, `measurements.1.schema.json`
+ * in the `pioneer-citp-news-disinfo` namespace of mozilla-pipeline-schemas, and with the
+ * aggregation functions in `Aggregators.js`.
+ */
+export const measurementsSchema = {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "title": "measurements",
+    "type": "object",
+    "required": [
+        "WebScience.Measurements.PageNavigation",
+        "WebScience.Measurements.LinkExposure",
+        "WebScience.Measurements.SocialMediaLinkSharing",
+        "WebScience.SurveyId",
+        "WebScience.version"
+    ],
+    "additionalProperties": false,
+    "properties": {
+        "WebScience.Measurements.PageNavigation": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+                "numUntrackedVisits": { "$ref": "#/definitions/count" },
+                "trackedVisitsByDomain": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "required": [ "domain", "visitsByReferrer" ],
+                        "additionalProperties": false,
+                        "properties": {
+                            "domain": { "type": "string" },
+                            "numSessions": { "$ref": "#/definitions/count" },
+                            "visitsByReferrer": {
+                                "type": "array",
+                                "items": {
+                                    "type": "object",
+                                    "required": [
+                                        "referrerDomain", "timeOfDay", "numVisits",
+                                        "totalAttention", "totalScroll", "prevExposedCount", "laterSharedCount"
+                                    ],
+                                    "additionalProperties": false,
+                                    "properties": {
+                                        "referrerDomain": { "type": "string" },
+                                        "dayOfWeek": { "$ref": "#/definitions/dayOfWeek" },
+                                        "timeOfDay": { "$ref": "#/definitions/timeOfDay" },
+                                        "date": { "$ref": "#/definitions/date" },
+                                        "pageCategory": { "type": "integer" },
+                                        "classifierResults": { "$ref": "#/definitions/classifierResults" },
+                                        "numVisits": { "$ref": "#/definitions/count" },
+                                        "totalAttention": { "type": "number", "minimum": 0 },
+                                        "totalScroll": { "type": "number", "minimum": 0 },
+                                        "prevExposedCount": { "$ref": "#/definitions/count" },
+                                        "laterSharedCount": { "$ref": "#/definitions/count" }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        "WebScience.Measurements.LinkExposure": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+                "untrackedLinkExposures": {
+                    "type": "object",
+                    "additionalProperties": false,
+                    "patternProperties": {
+                        "^[0-9]+$": { "$ref": "#/definitions/count" }
+                    }
+                },
+                "linkExposures": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "required": [ "sourceDomain", "destinationDomain", "timeOfDay", "numExposures" ],
+                        "additionalProperties": false,
+                        "properties": {
+                            "sourceDomain": { "type": "string" },
+                            "destinationDomain": { "type": "string" },
+                            "dayOfWeek": { "$ref": "#/definitions/dayOfWeek" },
+                            "timeOfDay": { "$ref": "#/definitions/timeOfDay" },
+                            "date": { "$ref": "#/definitions/date" },
+                            "visThreshold": { "type": "number" },
+                            "contextType": { "enum": [ "headline", "card", "image", "text", "unknown" ] },
+                            "numExposures": { "$ref": "#/definitions/count" },
+                            "laterVisitedCount": { "$ref": "#/definitions/count" },
+                            "laterSharedCount": { "$ref": "#/definitions/count" }
+                        }
+                    }
+                }
+            }
+        },
+        "WebScience.Measurements.SocialMediaLinkSharing": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+                "linkSharesByPlatform": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "required": [ "platform", "numUntrackedShares", "trackedShares" ],
+                        "additionalProperties": false,
+                        "properties": {
+                            "platform": { "type": "string" },
+                            "numUntrackedShares": { "$ref": "#/definitions/count" },
+                            "trackedShares": {
+                                "type": "array",
+                                "items": {
+                                    "type": "object",
+                                    "required": [ "domain", "timeOfDay", "numShares" ],
+                                    "additionalProperties": false,
+                                    "properties": {
+                                        "domain": { "type": [ "string", "null" ] },
+                                        "classifierResults": { "$ref": "#/definitions/classifierResults" },
+                                        "audience": { "type": [ "string", "null" ] },
+                                        "source": { "type": [ "string", "null" ] },
+                                        "visitReferrer": { "type": [ "string", "null" ] },
+                                        "prevExposed": { "type": "integer" },
+                                        "classification": { "type": "integer" },
+                                        "pageClassification": { "type": "integer" },
+                                        "dayOfWeek": { "$ref": "#/definitions/dayOfWeek" },
+                                        "timeOfDay": { "$ref": "#/definitions/timeOfDay" },
+                                        "date": { "$ref": "#/definitions/date" },
+                                        "numShares": { "$ref": "#/definitions/count" }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        "NewsAndDisinfo.Measurements.Funnel": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+                "latencyBucketBoundaries": {
+                    "type": "array",
+                    "items": { "type": "integer", "minimum": 0 }
+                },
+                "conversions": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "required": [ "stage", "sourceDomain", "destinationDomain", "numConversions", "latencyCounts" ],
+                        "additionalProperties": false,
+                        "properties": {
+                            "stage": { "enum": [ "exposureToVisit", "exposureToShare", "visitToShare" ] },
+                            "sourceDomain": { "type": "string" },
+                            "destinationDomain": { "type": "string" },
+                            "numConversions": { "$ref": "#/definitions/count" },
+                            "latencyCounts": {
+                                "type": "array",
+                                "items": { "$ref": "#/definitions/count" }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        "WebScience.SurveyId": { "type": [ "string", "null" ] },
+        "WebScience.version": { "type": "string" },
+        "WebScience.analysisRange": {
+            "type": "object",
+            "required": [ "startTime", "endTime" ],
+            "additionalProperties": false,
+            "properties": {
+                "startTime": { "type": "integer", "minimum": 0 },
+                "endTime": { "type": "integer", "minimum": 0 }
+            }
+        },
+        "WebScience.timeBuckets": {
+            "type": "object",
+            "required": [ "hoursPerBucket", "localTime", "dayOfWeek", "date" ],
+            "additionalProperties": false,
+            "properties": {
+                "hoursPerBucket": { "enum": [ 1, 2, 3, 4, 6, 8, 12, 24 ] },
+                "localTime": { "type": "boolean" },
+                "dayOfWeek": { "type": "boolean" },
+                "date": { "type": "boolean" }
+            }
+        },
+        "WebScience.diagnostics": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+                "schemaValidationFailures": { "$ref": "#/definitions/count" }
+            }
+        }
+    },
+    "definitions": {
+        "count": { "type": "integer", "minimum": 0 },
+        "dayOfWeek": { "type": "integer", "minimum": 0, "maximum": 6 },
+        "timeOfDay": { "type": "integer", "minimum": 0, "maximum": 23 },
+        "date": { "type": "string" },
+        "classifierResults": {
+            "type": [ "object", "null" ],
+            "properties": {
+                "covid-page-classifier": { "type": "integer" },
+                "pol-page-classifier": { "type": "integer" }
+            }
+        }
+    }
+};
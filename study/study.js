@@ -1,6 +1,6 @@
 import "webextension-polyfill";
 import * as WebScience from "./WebScience.js"
-import Rally from "@mozilla/rally";
+import { StudyRally } from "./StudyRally.js";
 import * as EventHandling from "./EventHandling.js"
 
 WebScience.Utilities.Debugging.enableDebugging();
@@ -12,7 +12,15 @@ async function runStudy() {
     await EventHandling.startStudy(rally);
 }
 
-const rally = new Rally();
+/**
+ * Rally asks the study to uninstall itself when the participant leaves Rally or
+ * the study. Withdraw from the study, including deleting local data and sending a
+ * deletion request, before the study is uninstalled.
+ */
+const rally = new StudyRally(() => {
+    debugLog("Withdrawing from the study before uninstalling");
+    return WebScience.Utilities.Withdrawal.withdraw({ sendDeletionRequest: true });
+});
 rally.initialize(
   "citp-news-disinfo",
   {
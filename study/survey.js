@@ -7,6 +7,9 @@ function listenForClicks() {
         } else if (e.target.name == "never") {
             await browser.runtime.sendMessage({ type: "WebScience.Utilities.UserSurvey.cancelSurveyRequest" });
             window.close();
+        } else if (e.target.name == "viewData") {
+            await browser.tabs.create({ url: browser.runtime.getURL("study/dataViewer.html") });
+            window.close();
         }
     });
 }
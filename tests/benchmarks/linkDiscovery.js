@@ -0,0 +1,252 @@
+/**
+ * A micro-benchmark for how the LinkExposure content script finds new links. The benchmark builds a
+ * synthetic social media feed with thousands of links, then keeps appending feed items, like an
+ * infinite-scroll feed as the user scrolls. It runs two strategies for finding new links on the same
+ * feed, one at a time:
+ *   * `polling` - Every `updateInterval` milliseconds, select every anchor element on the page and check
+ *     the anchor elements that have not been checked before. This is how the content script used to
+ *     find new links.
+ *   * `mutations` - Observe the page with a `MutationObserver`, and check only the elements that were
+ *     added, in batches with `requestIdleCallback`. This is how the content script finds new links.
+ * Both strategies do the same work for each new link as the content script (parsing the URL, measuring
+ * the link, and observing the link with an `IntersectionObserver`). For each strategy, the benchmark
+ * reports the main thread time spent finding links, how many anchor elements were examined, and how
+ * long it took to find a new link after it was added to the page.
+ *
+ * Open `linkDiscovery.html` in the browser to run the benchmark.
+ */
+
+/**
+ * The options for the benchmark, which can be set with query parameters.
+ * @constant
+ * @type {Object}
+ */
+const options = {
+    // The number of feed items on the page before the benchmark starts
+    initialItems: 5000,
+    // The number of feed items to append at a time
+    itemsPerAppend: 20,
+    // How often (in milliseconds) to append feed items
+    appendInterval: 500,
+    // How often (in milliseconds) the polling strategy checks the page, as in the content script
+    updateInterval: 2000,
+    // How long (in milliseconds) to run each strategy
+    duration: 20000
+};
+for(const [ name, value ] of (new URL(window.location.href)).searchParams) {
+    if((name in options) && !Number.isNaN(Number(value)))
+        options[name] = Number(value);
+}
+
+/**
+ * Domains for the links in the synthetic feed.
+ * @constant
+ * @type {Array<string>}
+ */
+const linkDomains = [ "www.nytimes.com", "www.npr.org", "www.wsj.com", "www.example.com", "news.example.org" ];
+
+const feed = document.getElementById("feed");
+const results = document.getElementById("results");
+
+/**
+ * When each anchor element was added to the page.
+ * @type {WeakMap<HTMLAnchorElement, number>}
+ */
+let linkAddedTimes = new WeakMap();
+
+let nextItemId = 0;
+
+/**
+ * Create a feed item, which has a headline link, an image link, and a text link, like a post in a social media feed.
+ * @returns {HTMLElement} The feed item.
+ */
+function createFeedItem() {
+    const itemId = nextItemId++;
+    const domain = linkDomains[itemId % linkDomains.length];
+    const item = document.createElement("article");
+
+    const heading = document.createElement("h3");
+    const headlineLink = document.createElement("a");
+    headlineLink.href = `https://${domain}/articles/${itemId}`;
+    headlineLink.textContent = `Headline for story ${itemId}`;
+    heading.appendChild(headlineLink);
+    item.appendChild(heading);
+
+    const imageLink = document.createElement("a");
+    imageLink.href = `https://${domain}/articles/${itemId}?ref=image`;
+    const image = document.createElement("span");
+    image.style.display = "inline-block";
+    image.style.width = "120px";
+    image.style.height = "60px";
+    image.style.background = "#ccc";
+    imageLink.appendChild(image);
+    item.appendChild(imageLink);
+
+    const text = document.createElement("p");
+    text.textContent = "A comment about the story, with a link to ";
+    const textLink = document.createElement("a");
+    textLink.href = `https://${linkDomains[(itemId + 1) % linkDomains.length]}/related/${itemId}`;
+    textLink.textContent = "a related story";
+    text.appendChild(textLink);
+    item.appendChild(text);
+
+    return item;
+}
+
+/**
+ * Append feed items to the page, and record when their links were added.
+ * @param {number} count - The number of feed items to append.
+ */
+function appendFeedItems(count) {
+    const fragment = document.createDocumentFragment();
+    for(let i = 0; i < count; i++)
+        fragment.appendChild(createFeedItem());
+    const timeStamp = performance.now();
+    for(const anchorElement of fragment.querySelectorAll("a[href]"))
+        linkAddedTimes.set(anchorElement, timeStamp);
+    feed.appendChild(fragment);
+}
+
+/**
+ * Create the statistics for a strategy, and a function that checks a new link like the content script does.
+ * @returns {Object} The statistics and the `checkLink` function.
+ */
+function createLinkChecker() {
+    const stats = {
+        mainThreadTime: 0,
+        callbacks: 0,
+        linksExamined: 0,
+        linksFound: 0,
+        totalLatency: 0,
+        maxLatency: 0
+    };
+    const checkedLinks = new WeakSet();
+    const intersectionObserver = new IntersectionObserver(() => {}, { threshold: 0.7 });
+    const checkLink = anchorElement => {
+        stats.linksExamined++;
+        if(checkedLinks.has(anchorElement))
+            return;
+        checkedLinks.add(anchorElement);
+        const hostname = (new URL(anchorElement.href)).hostname;
+        const elementRect = anchorElement.getBoundingClientRect();
+        if((hostname.length > 0) && (elementRect.width >= 0))
+            intersectionObserver.observe(anchorElement);
+        stats.linksFound++;
+        const addedTime = linkAddedTimes.get(anchorElement);
+        if(addedTime !== undefined) {
+            const latency = performance.now() - addedTime;
+            stats.totalLatency += latency;
+            stats.maxLatency = Math.max(stats.maxLatency, latency);
+        }
+    };
+    const timeCallback = callback => {
+        return (...args) => {
+            const startTime = performance.now();
+            callback(...args);
+            stats.mainThreadTime += performance.now() - startTime;
+            stats.callbacks++;
+        };
+    };
+    const disconnect = () => { intersectionObserver.disconnect(); };
+    return { stats, checkLink, timeCallback, disconnect };
+}
+
+/**
+ * The strategies for finding new links. Each strategy starts finding links on the page, and returns a
+ * function that stops finding links.
+ * @constant
+ * @type {Object}
+ */
+const strategies = {
+    polling: ({ checkLink, timeCallback }) => {
+        const timerId = setInterval(timeCallback(() => {
+            document.body.querySelectorAll("a[href]").forEach(checkLink);
+        }), options.updateInterval);
+        return () => { clearInterval(timerId); };
+    },
+    mutations: ({ checkLink, timeCallback }) => {
+        let pendingRoots = new Set([ document ]);
+        let idleCallbackId = 0;
+        const checkPendingRoots = timeCallback(deadline => {
+            idleCallbackId = 0;
+            for(const root of pendingRoots) {
+                if(!deadline.didTimeout && (deadline.timeRemaining() <= 0))
+                    break;
+                pendingRoots.delete(root);
+                if((root.nodeType === Node.ELEMENT_NODE) && root.matches("a[href]"))
+                    checkLink(root);
+                root.querySelectorAll("a[href]").forEach(checkLink);
+            }
+            if(pendingRoots.size > 0)
+                idleCallbackId = requestIdleCallback(checkPendingRoots, { timeout: options.updateInterval });
+        });
+        const mutationObserver = new MutationObserver(timeCallback(mutations => {
+            for(const mutation of mutations) {
+                for(const addedNode of mutation.addedNodes) {
+                    if(addedNode.nodeType === Node.ELEMENT_NODE)
+                        pendingRoots.add(addedNode);
+                }
+            }
+            if((idleCallbackId === 0) && (pendingRoots.size > 0))
+                idleCallbackId = requestIdleCallback(checkPendingRoots, { timeout: options.updateInterval });
+        }));
+        mutationObserver.observe(document, { childList: true, subtree: true, attributes: true, attributeFilter: [ "href" ] });
+        idleCallbackId = requestIdleCallback(checkPendingRoots, { timeout: options.updateInterval });
+        return () => {
+            mutationObserver.disconnect();
+            if(idleCallbackId !== 0)
+                cancelIdleCallback(idleCallbackId);
+            pendingRoots = new Set();
+        };
+    }
+};
+
+/**
+ * Run a strategy on a new synthetic feed.
+ * @param {string} strategyName - The name of the strategy.
+ * @returns {Promise<Object>} The statistics for the strategy.
+ */
+async function runStrategy(strategyName) {
+    feed.textContent = "";
+    linkAddedTimes = new WeakMap();
+    appendFeedItems(options.initialItems);
+
+    const linkChecker = createLinkChecker();
+    const stop = strategies[strategyName](linkChecker);
+    const appendTimerId = setInterval(() => { appendFeedItems(options.itemsPerAppend); }, options.appendInterval);
+    await new Promise(resolve => { setTimeout(resolve, options.duration); });
+    clearInterval(appendTimerId);
+    stop();
+    linkChecker.disconnect();
+    return linkChecker.stats;
+}
+
+/**
+ * Format the statistics for a strategy as a line of the results table.
+ * @param {string} strategyName - The name of the strategy.
+ * @param {Object} stats - The statistics for the strategy.
+ * @returns {string} The line of the results table.
+ */
+function formatStats(strategyName, stats) {
+    const meanLatency = (stats.linksFound > 0) ? stats.totalLatency / stats.linksFound : 0;
+    return [
+        strategyName.padEnd(10),
+        stats.mainThreadTime.toFixed(1).padStart(18),
+        String(stats.callbacks).padStart(10),
+        String(stats.linksExamined).padStart(15),
+        String(stats.linksFound).padStart(12),
+        meanLatency.toFixed(1).padStart(18),
+        stats.maxLatency.toFixed(1).padStart(17)
+    ].join("");
+}
+
+document.getElementById("run").addEventListener("click", async () => {
+    results.textContent = `Running with options ${JSON.stringify(options)}\n\n` +
+        "strategy  main thread (ms) callbacks links examined links found mean latency (ms) max latency (ms)\n";
+    for(const strategyName of Object.keys(strategies)) {
+        const stats = await runStrategy(strategyName);
+        results.textContent += formatStats(strategyName, stats) + "\n";
+        console.debug(`Link discovery benchmark, ${strategyName}: ${JSON.stringify(stats)}`);
+    }
+    feed.textContent = "";
+});
@@ -0,0 +1,123 @@
+/**
+ * This module tests the study's aggregation functions in `study/Aggregators.js` with privacy
+ * parameters. The aggregate statistics worker script and the aggregation script are not modules,
+ * so the test runs them in a `vm` context that stands in for the worker's global scope, and
+ * sends the worker a message as `WebScience.Utilities.DataAnalysis` would.
+ */
+
+import assert from "assert";
+import fs from "fs";
+import vm from "vm";
+import * as Matching from "../../WebScience/Utilities/Matching.js"
+
+/**
+ * The number of untracked events in each store, which is large enough that noise cannot be
+ * clamped away and small enough that a high suppression threshold hides it.
+ * @const {number}
+ */
+const untrackedCount = 100;
+
+/**
+ * Create a context for the aggregate statistics worker script.
+ * @returns {Object} The context, with a `messages` property for the messages the worker posts.
+ */
+function createWorkerContext() {
+    const context = vm.createContext({ crypto: globalThis.crypto, URL, console, messages: [] });
+    context.self = context;
+    context.postMessage = message => { context.messages.push(message); };
+    context.importScripts = path => { vm.runInContext(fs.readFileSync(path.replace(/^\//, ""), "utf8"), context); };
+    vm.runInContext(fs.readFileSync("WebScience/Measurements/AggregateStatistics.js", "utf8"), context);
+    return context;
+}
+
+/**
+ * Run the worker on stores with only untracked events.
+ * @param {Object} privacy - The privacy parameters for the analysis.
+ * @param {number} [countPerRecord=10] - The untracked link exposures and shares in each record.
+ * @returns {Promise<Object>} The statistics that the worker computed.
+ */
+async function aggregateUntrackedEvents(privacy, countPerRecord = 10) {
+    const context = createWorkerContext();
+    const matchPatternSet = new Matching.MatchPatternSet([ "*://*.example.com/*" ]);
+    const fromStorage = { pageNavigation: {}, linkExposure: {}, socialMediaLinkSharing: {} };
+    for(let i = 0; i < untrackedCount; i++)
+        fromStorage.pageNavigation[i] = { type: "untracked", pageVisitStartTime: 0 };
+    for(let i = 0; i < untrackedCount / countPerRecord; i++) {
+        fromStorage.linkExposure[i] = { type: "untracked", count: countPerRecord, visThreshold: 5000, firstSeen: 0 };
+        fromStorage.socialMediaLinkSharing[i] = { type: "untracked", platform: "twitter", count: countPerRecord };
+    }
+    await context.onmessage({
+        data: {
+            studyDomains: {
+                destinationMatches: matchPatternSet.export(),
+                referrerMatches: matchPatternSet.export(),
+                fbMatches: matchPatternSet.export(),
+                twMatches: matchPatternSet.export(),
+                ytMatches: matchPatternSet.export()
+            },
+            publicSuffixes: (new Matching.PublicSuffixSet([ "com" ])).export(),
+            fromStorage,
+            aggregators: {
+                pageNavigation: { path: "/study/Aggregators.js", name: "pageNavigationStats" },
+                linkExposure: { path: "/study/Aggregators.js", name: "linkExposureStats" },
+                socialMediaLinkSharing: { path: "/study/Aggregators.js", name: "socialMediaLinkSharingStats" }
+            },
+            privacy
+        }
+    });
+    assert.strictEqual(context.messages.length, 1);
+    if(context.messages[0].type === "error")
+        throw new Error(context.messages[0].error);
+    return context.messages[0].data;
+}
+
+/**
+ * Get the untracked counts from the statistics that the worker computed.
+ * @param {Object} stats - The statistics.
+ * @returns {Array<number>} The untracked visit, link exposure, and Twitter share counts.
+ */
+function getUntrackedCounts(stats) {
+    return [
+        stats.pageNavigation.numUntrackedVisits,
+        stats.linkExposure.untrackedLinkExposures["5"],
+        stats.socialMediaLinkSharing.linkSharesByPlatform.find(entry => entry.platform === "twitter").numUntrackedShares
+    ];
+}
+
+describe("Aggregators", function () {
+    it("adds noise to untracked counts", async function () {
+        // Each untracked count has a probability of at most about 0.15 of receiving no noise
+        // with this budget, so the counts are all exact in every run with negligible probability
+        const exactRuns = [ 0, 0, 0 ];
+        const runs = 20;
+        for(let i = 0; i < runs; i++) {
+            const counts = getUntrackedCounts(await aggregateUntrackedEvents({ epsilon: 0.3, suppressionThreshold: 1 }));
+            counts.forEach((count, index) => {
+                assert.ok(Number.isInteger(count) && (count >= 0));
+                if(count === untrackedCount)
+                    exactRuns[index]++;
+            });
+        }
+        exactRuns.forEach(exactRunCount => { assert.ok(exactRunCount < runs); });
+    });
+
+    it("bounds the contribution of each untracked record", async function () {
+        // A record's count is clamped before noise is added, so a record with a huge count
+        // cannot dominate the noisy total
+        const stats = await aggregateUntrackedEvents({ epsilon: 0.3, suppressionThreshold: 1 }, untrackedCount * 1000);
+        const [ , untrackedLinkExposures, numUntrackedShares ] = getUntrackedCounts(stats);
+        assert.ok(untrackedLinkExposures < untrackedCount * 1000);
+        assert.ok(numUntrackedShares < untrackedCount * 1000);
+    });
+
+    it("suppresses small untracked counts", async function () {
+        // The noise for each record's bounded contribution is small with this budget, so a
+        // noisy count exceeds the threshold with negligible probability
+        const stats = await aggregateUntrackedEvents({ epsilon: 30, suppressionThreshold: 10 * untrackedCount });
+        assert.deepStrictEqual(getUntrackedCounts(stats), [ 0, 0, 0 ]);
+    });
+
+    it("requires a positive suppression threshold with privacy noise", async function () {
+        await assert.rejects(aggregateUntrackedEvents({ epsilon: 0.3 }), /suppression threshold/);
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * This module tests how the WebScience.Measurements.LinkExposure module routes link exposures and
+ * untracked link exposures to listeners with different options, by sending link exposure messages
+ * from a fake content script (see `fakeBrowser.js`).
+ */
+
+import assert from "assert";
+import "./storageGlobals.js";
+import * as Storage from "../../WebScience/Utilities/Storage.js"
+import * as LinkExposure from "../../WebScience/Measurements/LinkExposure.js"
+import { installFakeBrowser } from "./fakeBrowser.js"
+
+/**
+ * Wait until a condition holds, checking after each turn of the event loop.
+ * @param {function} condition - A function that returns whether the condition holds.
+ */
+async function waitFor(condition) {
+    while(!condition())
+        await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Create a link exposure, as the content script would report it.
+ * @param {string} originalUrl - The URL of the link.
+ * @param {number} visThreshold - The visibility duration that the link crossed.
+ * @param {number} width - The width of the link.
+ * @returns {Object} The link exposure.
+ */
+function createLinkExposure(originalUrl, visThreshold, width) {
+    return {
+        originalUrl,
+        visThreshold,
+        width,
+        height: 20,
+        isShortenedUrl: false,
+        firstSeen: 1000,
+        context: { type: "text" }
+    };
+}
+
+/**
+ * Create a link exposure message, as the content script would send it.
+ * @param {string} pageUrl - The URL of the page where the links appeared.
+ * @param {Array<Object>} linkExposures - The link exposures.
+ * @param {Object} nonmatchingLinkExposures - The number of links that no listener tracks,
+ * keyed by visibility duration.
+ * @returns {Object} The message.
+ */
+function createExposureMessage(pageUrl, linkExposures, nonmatchingLinkExposures) {
+    return {
+        type: "WebScience.Measurements.LinkExposure.exposureData",
+        pageId: "page-" + pageUrl,
+        pageUrl,
+        pageReferrer: "",
+        pageVisitStartTime: 1000,
+        privateWindow: false,
+        nonmatchingLinkExposures,
+        linkExposures
+    };
+}
+
+/**
+ * The options for a listener for links to one site, on one social media site.
+ * @const {Object}
+ */
+const exampleOptions = {
+    linkMatchPatterns: [ "*://*.example.com/*" ],
+    pageMatchPatterns: [ "*://*.social.com/*" ]
+};
+
+/**
+ * The options for a listener for links to another site, on two sites, with its own thresholds.
+ * @const {Object}
+ */
+const newsOptions = {
+    linkMatchPatterns: [ "*://*.news.org/*" ],
+    pageMatchPatterns: [ "*://*.social.com/*", "*://*.forum.com/*" ],
+    linkVisibilityDurations: [ 1000, 5000 ],
+    linkMinimumWidth: 100,
+    updateInterval: 500
+};
+
+const thresholdsKey = "WebScience.Measurements.LinkExposure.thresholds";
+
+describe("LinkExposure", function () {
+    let fakes;
+    let exposures;
+    let untracked;
+    let listeners;
+
+    beforeEach(async function () {
+        fakes = installFakeBrowser();
+        exposures = { example: [], news: [] };
+        untracked = { example: [], news: [] };
+        listeners = {
+            example: exposure => { exposures.example.push(exposure.originalUrl); },
+            news: exposure => { exposures.news.push(exposure.originalUrl); },
+            untrackedExample: ({ count, visThreshold }) => { untracked.example.push({ count, visThreshold }); },
+            untrackedNews: ({ count, visThreshold }) => { untracked.news.push({ count, visThreshold }); }
+        };
+        LinkExposure.onLinkExposure.addListener(listeners.example, exampleOptions);
+        LinkExposure.onLinkExposure.addListener(listeners.news, newsOptions);
+        LinkExposure.onUntracked.addListener(listeners.untrackedExample, exampleOptions);
+        LinkExposure.onUntracked.addListener(listeners.untrackedNews, newsOptions);
+        await waitFor(() => (thresholdsKey in fakes.localStorage) &&
+            (fakes.localStorage[thresholdsKey].updateInterval === 500));
+    });
+
+    afterEach(async function () {
+        LinkExposure.onUntracked.removeListener(listeners.untrackedExample);
+        LinkExposure.onUntracked.removeListener(listeners.untrackedNews);
+        LinkExposure.onLinkExposure.removeListener(listeners.example);
+        LinkExposure.onLinkExposure.removeListener(listeners.news);
+        await waitFor(() => !(thresholdsKey in fakes.localStorage));
+        fakes.restore();
+        await Storage.deleteAllStorage();
+    });
+
+    it("configures the content script with the combined options of the listeners", function () {
+        // The content script uses every listener's visibility durations and the most permissive thresholds
+        assert.deepStrictEqual(fakes.localStorage[thresholdsKey], {
+            linkVisibilityDurations: [ 1000, 5000 ],
+            linkMinimumWidth: 25,
+            linkMinimumHeight: 15,
+            linkMinimumVisibility: 0.7,
+            updateInterval: 500,
+            ignoreSelfLinks: true
+        });
+        const linkExposureScript = [ ...fakes.contentScripts ].find(contentScript =>
+            contentScript.js[0].file.endsWith("linkExposure.js"));
+        assert.deepStrictEqual(new Set(linkExposureScript.matches),
+            new Set([ "*://*.social.com/*", "*://*.forum.com/*" ]));
+    });
+
+    it("notifies each listener only about the exposures and untracked exposures that match its options", async function () {
+        fakes.sendRuntimeMessage(createExposureMessage("https://www.social.com/feed", [
+            // Tracked by the example listener, and untracked for the news listener
+            createLinkExposure("https://www.example.com/a", 5000, 200),
+            // Tracked by the news listener, at a duration that the example listener does not use
+            createLinkExposure("https://www.news.org/b", 1000, 200),
+            // Too narrow for the news listener, and untracked for the example listener
+            createLinkExposure("https://www.news.org/c", 5000, 50),
+            createLinkExposure("https://www.other.net/d", 5000, 50)
+        ], { 1000: 1, 5000: 2 }));
+        // A page that only the news listener measures
+        fakes.sendRuntimeMessage(createExposureMessage("https://www.forum.com/thread", [
+            createLinkExposure("https://www.example.com/e", 5000, 200)
+        ], { }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(exposures.example, [ "https://www.example.com/a" ]);
+        assert.deepStrictEqual(exposures.news, [ "https://www.news.org/b" ]);
+        assert.deepStrictEqual(untracked.example, [ { count: 4, visThreshold: 5000 } ]);
+        assert.deepStrictEqual(untracked.news, [
+            { count: 1, visThreshold: 1000 },
+            { count: 3, visThreshold: 5000 },
+            { count: 1, visThreshold: 5000 }
+        ]);
+    });
+});
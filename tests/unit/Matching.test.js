@@ -0,0 +1,160 @@
+/**
+ * This module tests the match pattern and Public Suffix List implementations in the
+ * WebScience.Utilities.Matching module. The match pattern cases are adapted from the Firefox
+ * match pattern tests, and the Public Suffix List cases are adapted from the Public Suffix List
+ * test data.
+ * @see {@link https://searchfox.org/mozilla-central/source/toolkit/components/extensions/test/xpcshell/test_MatchPattern.js}
+ * @see {@link https://github.com/publicsuffix/list/blob/master/tests/test_psl.txt}
+ */
+
+import assert from "assert";
+import * as Matching from "../../WebScience/Utilities/Matching.js"
+
+describe("Matching", function () {
+    describe("match patterns", function () {
+        // Each case is a URL, the match patterns, and whether the patterns should match the URL
+        const cases = [
+            [ "http://mozilla.org", [ "http://mozilla.org/" ], true ],
+            [ "http://mozilla.org/", [ "http://mozilla.org/" ], true ],
+
+            [ "http://mozilla.org/", [ "*://mozilla.org/" ], true ],
+            [ "https://mozilla.org/", [ "*://mozilla.org/" ], true ],
+            [ "file://mozilla.org/", [ "*://mozilla.org/" ], false ],
+            [ "ftp://mozilla.org/", [ "*://mozilla.org/" ], false ],
+
+            [ "http://google.com", [ "http://*.google.com/" ], true ],
+            [ "http://docs.google.com", [ "http://*.google.com/" ], true ],
+
+            // Unlike the Firefox implementation, a match pattern with a port is invalid,
+            // so there is no case for "http://mozilla.org:8080/"
+            [ "http://mozilla.org:8080", [ "http://mozilla.org/" ], true ],
+            [ "http://mozilla.org:8080", [ "*://mozilla.org/" ], true ],
+
+            // Wildcards in the path
+            [ "http://mozilla.org", [ "http://mozilla.org/*" ], true ],
+            [ "http://mozilla.org/", [ "http://mozilla.org/*" ], true ],
+            [ "http://mozilla.org/", [ "*://mozilla.org/*" ], true ],
+            [ "https://mozilla.org/", [ "*://mozilla.org/*" ], true ],
+            [ "file://mozilla.org/", [ "*://mozilla.org/*" ], false ],
+            [ "http://google.com", [ "http://*.google.com/*" ], true ],
+            [ "http://docs.google.com", [ "http://*.google.com/*" ], true ],
+
+            // Paths
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/" ], false ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/*" ], true ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/a*f" ], true ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/a*" ], true ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/*f" ], true ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/*e" ], false ],
+            [ "http://mozilla.com/abc/def", [ "http://mozilla.com/*c" ], false ],
+            [ "file:///foo", [ "file:///foo*" ], true ],
+            [ "file:///foo/bar.html", [ "file:///foo*" ], true ],
+
+            // All URLs
+            [ "http://mozilla.org/a", [ "<all_urls>" ], true ],
+            [ "https://mozilla.org/a", [ "<all_urls>" ], true ],
+            [ "ftp://mozilla.org/a", [ "<all_urls>" ], true ],
+            [ "file:///a", [ "<all_urls>" ], true ],
+            [ "gopher://wuarchive.wustl.edu/a", [ "<all_urls>" ], false ],
+
+            // Multiple patterns
+            [ "http://mozilla.org", [ "http://mozilla.org/", "http://mozilla.com/" ], true ],
+            [ "http://mozilla.com", [ "http://mozilla.org/", "http://mozilla.com/" ], true ],
+            [ "http://mozilla.biz", [ "http://mozilla.org/", "http://mozilla.com/" ], false ],
+
+            // URLs with fragments
+            [ "http://mozilla.org/base#some-fragment", [ "http://mozilla.org/base" ], true ],
+
+            // data: URLs
+            [ "data:text/plain,foo", [ "data:text/plain,foo" ], true ],
+            [ "data:text/plain,foo", [ "data:text/plain,*" ], true ],
+            [ "data:text/plain;charset=utf-8,foo", [ "data:text/plain;charset=utf-8,foo" ], true ],
+            [ "data:text/plain,foo", [ "data:text/plain;charset=utf-8,foo" ], false ],
+            [ "data:text/plain;charset=utf-8,foo", [ "data:text/plain,foo" ], false ],
+            [ "data:,", [ "data:,*" ], true ],
+            [ "data:,explicit", [ "data:,explicit" ], true ],
+            [ "data:text/plain;charset=utf-8,foo", [ "data:*" ], true ],
+
+            // IPv6 addresses
+            [ "http://[::1]/", [ "http://[::1]/" ], true ],
+            [ "http://[2a03:4000:6:310e:216:3eff:fe53:99b]/", [ "http://[2a03:4000:6:310e:216:3eff:fe53:99b]/" ], true ],
+            [ "http://[2:4:6:3:2:3:f:b]/", [ "http://[2a03:4000:6:310e:216:3eff:fe53:99b]/" ], false ]
+        ];
+
+        const invalidPatterns = [
+            "",
+            // The pattern must include a path
+            "http://mozilla.org",
+            // Unsupported schemes
+            "gopher://wuarchive.wustl.edu/",
+            "unknown-scheme:*",
+            // Malformed patterns
+            "http:/mozilla.com/",
+            "http:///a.html",
+            "http:*"
+        ];
+
+        for(const [ url, patterns, expected ] of cases) {
+            it(`${expected ? "matches" : "does not match"} ${url} with ${JSON.stringify(patterns)}`, function () {
+                assert.strictEqual((new Matching.MatchPatternSet(patterns)).matches(url), expected);
+                assert.strictEqual(Matching.matchPatternsToRegExp(patterns).test(url), expected);
+            });
+        }
+
+        for(const pattern of invalidPatterns) {
+            it(`throws for the invalid pattern "${pattern}"`, function () {
+                assert.throws(() => { new Matching.MatchPatternSet([ pattern ]); });
+                assert.throws(() => { Matching.matchPatternsToRegExp([ pattern ]); });
+            });
+        }
+    });
+
+    describe("getETldPlusOne", function () {
+        const cases = [
+            // Hostnames that are public suffixes
+            [ "com", "com" ],
+            [ "co.uk", "co.uk" ],
+            // Listed and unlisted TLDs
+            [ "example.com", "example.com" ],
+            [ "www.example.com", "example.com" ],
+            [ "a.b.example.example", "example.example" ],
+            // Subdomains of a site
+            [ "cooking.nytimes.com", "nytimes.com" ],
+            [ "www.nytimes.com", "nytimes.com" ],
+            // Multi-label public suffixes
+            [ "www.example.co.uk", "example.co.uk" ],
+            [ "a.b.example.com.au", "example.com.au" ],
+            // Private public suffixes
+            [ "someone.github.io", "someone.github.io" ],
+            [ "www.someone.blogspot.com", "someone.blogspot.com" ],
+            // Wildcard and exception rules
+            [ "c.kobe.jp", "c.kobe.jp" ],
+            [ "b.c.kobe.jp", "b.c.kobe.jp" ],
+            [ "a.b.c.kobe.jp", "b.c.kobe.jp" ],
+            [ "city.kobe.jp", "city.kobe.jp" ],
+            [ "www.city.kobe.jp", "city.kobe.jp" ],
+            [ "www.ck", "www.ck" ],
+            [ "test.www.ck", "www.ck" ],
+            // Internationalized domains, in Punycode
+            [ "www.xn--85x722f.xn--55qx5d.cn", "xn--85x722f.xn--55qx5d.cn" ],
+            // Case and trailing dots
+            [ "WWW.Example.COM", "example.com" ],
+            [ "www.example.com.", "example.com" ],
+            // IP addresses
+            [ "192.168.0.1", "192.168.0.1" ],
+            [ "[::1]", "[::1]" ]
+        ];
+
+        for(const [ hostname, expected ] of cases) {
+            it(`identifies ${expected} for ${hostname}`, function () {
+                assert.strictEqual(Matching.getETldPlusOne(hostname), expected);
+            });
+        }
+
+        it("identifies the same domain after the public suffix set is exported and imported", function () {
+            const publicSuffixSet = new Matching.PublicSuffixSet([]);
+            publicSuffixSet.import(JSON.parse(JSON.stringify(Matching.getPublicSuffixSet().export())));
+            assert.strictEqual(publicSuffixSet.getETldPlusOne("a.b.c.kobe.jp"), "b.c.kobe.jp");
+        });
+    });
+});
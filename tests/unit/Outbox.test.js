@@ -0,0 +1,82 @@
+/**
+ * This module tests the WebScience.Utilities.Outbox module, with a fake `browser.idle` API and
+ * a send function that either fails, as when the Rally Core Add-on is unavailable, or succeeds.
+ */
+
+import assert from "assert";
+import "./storageGlobals.js";
+import * as Storage from "../../WebScience/Utilities/Storage.js"
+import * as Outbox from "../../WebScience/Utilities/Outbox.js"
+
+describe("Outbox", function () {
+    let originalBrowser;
+
+    beforeEach(function () {
+        originalBrowser = globalThis.browser;
+        globalThis.browser = {
+            idle: {
+                setDetectionInterval: () => {},
+                queryState: async () => "active",
+                onStateChanged: { addListener: () => {} }
+            }
+        };
+    });
+
+    afterEach(async function () {
+        Outbox.stop();
+        globalThis.browser = originalBrowser;
+        await Storage.deleteAllStorage();
+    });
+
+    it("refuses new payloads once the outbox is full of undelivered payloads", async function () {
+        let sendAttempts = 0;
+        await Outbox.initialize({
+            send: async () => {
+                sendAttempts++;
+                throw new Error("Error: Rally Core Add-on unavailable");
+            },
+            maxEntries: 3
+        });
+        for(let i = 0; i < 3; i++)
+            await Outbox.enqueue("measurements", { index: i });
+        await assert.rejects(Outbox.enqueue("measurements", { index: 3 }), /full/);
+        const status = await Outbox.getStatus();
+        assert.strictEqual(status.pending, 3);
+        assert.strictEqual(status.delivered + status.failed, 0);
+        assert.ok(sendAttempts > 0);
+
+        // After stopping, the outbox must be set up again before adding payloads
+        Outbox.stop();
+        await assert.rejects(Outbox.enqueue("measurements", { index: 4 }), /initialized/);
+    });
+
+    it("delivers payloads in the background and removes delivered entries to make room", async function () {
+        let releaseDelivery;
+        const deliveryReleased = new Promise(resolve => { releaseDelivery = resolve; });
+        const deliveredIndices = [];
+        await Outbox.initialize({
+            send: async (payloadType, payload) => {
+                await deliveryReleased;
+                deliveredIndices.push(payload.index);
+            },
+            maxEntries: 2
+        });
+
+        // Adding a payload does not wait for delivery
+        await Outbox.enqueue("measurements", { index: 0 });
+        assert.strictEqual((await Outbox.getStatus()).pending, 1);
+
+        releaseDelivery();
+        while((await Outbox.getStatus()).delivered < 1)
+            await new Promise(resolve => setTimeout(resolve, 0));
+        for(let i = 1; i < 4; i++) {
+            await Outbox.enqueue("measurements", { index: i });
+            while((await Outbox.getStatus()).pending > 0)
+                await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        const status = await Outbox.getStatus();
+        assert.deepStrictEqual(deliveredIndices, [ 0, 1, 2, 3 ]);
+        assert.strictEqual(status.delivered, 2);
+        assert.strictEqual(status.failed, 0);
+    });
+});
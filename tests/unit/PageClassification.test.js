@@ -0,0 +1,111 @@
+/**
+ * This module tests waiting for classification results in the WebScience.Utilities.PageClassification
+ * module, with a fake `browser` (see `fakeBrowser.js`) and a fake `Worker` that tests post
+ * classification results from.
+ */
+
+import assert from "assert";
+import * as PageClassification from "../../WebScience/Utilities/PageClassification.js"
+import * as Matching from "../../WebScience/Utilities/Matching.js"
+import { installFakeBrowser } from "./fakeBrowser.js"
+
+/**
+ * A fake classifier worker, which records the messages posted to it.
+ */
+class FakeWorker {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.messages = [];
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Post a classification result, as the classifier script would.
+     * @param {Object} result - The classification result.
+     */
+    postResult(result) {
+        this.onmessage({ data: result });
+    }
+}
+FakeWorker.instances = [];
+
+describe("PageClassification", function () {
+    const workerId = "test-page-classifier";
+    const url = "https://example.com/news/article";
+    let fakes;
+    let originalWorker;
+    let classificationListener;
+
+    beforeEach(async function () {
+        fakes = installFakeBrowser();
+        originalWorker = globalThis.Worker;
+        globalThis.Worker = FakeWorker;
+        FakeWorker.instances = [];
+        classificationListener = () => {};
+        await PageClassification.onClassificationResult.addListener(classificationListener, {
+            workerId,
+            filePath: "/tests/test-classifier.js",
+            matchPatterns: [ "*://example.com/*" ],
+            exportedMatcher: (new Matching.MatchPatternSet([ "*://example.com/*" ])).export(),
+            initArgs: {}
+        });
+    });
+
+    afterEach(function () {
+        PageClassification.onClassificationResult.removeListener(classificationListener);
+        globalThis.Worker = originalWorker;
+        fakes.restore();
+    });
+
+    it("resolves with a result that arrives before the deadline", async function () {
+        const awaitedResults = PageClassification.awaitClassificationResults(
+            { pageId: "page-1" }, [ workerId ], 10000);
+        FakeWorker.instances[0].postResult({ type: workerId, pageId: "page-1", url, predicted_class: 1 });
+        const { results, timedOut } = await awaitedResults;
+        assert.deepStrictEqual(timedOut, []);
+        assert.strictEqual(results[workerId].predicted_class, 1);
+
+        // A result that arrived before the call is used without waiting
+        const { results: recentResults } = await PageClassification.awaitClassificationResults(
+            { url }, [ workerId ], 10000);
+        assert.strictEqual(recentResults[workerId].pageId, "page-1");
+    });
+
+    it("resolves with the classifiers that timed out once the deadline passes", async function () {
+        const { results, timedOut } = await PageClassification.awaitClassificationResults(
+            { pageId: "page-2" }, [ workerId ], 10);
+        assert.deepStrictEqual(results, {});
+        assert.deepStrictEqual(timedOut, [ workerId ]);
+
+        // A result for another page does not resolve the wait
+        const awaitedResults = PageClassification.awaitClassificationResults(
+            { pageId: "page-3" }, [ workerId ], 10);
+        FakeWorker.instances[0].postResult({ type: workerId, pageId: "page-4", url, predicted_class: 0 });
+        assert.deepStrictEqual((await awaitedResults).timedOut, [ workerId ]);
+    });
+
+    it("resolves pending waiters when the last listener is removed", async function () {
+        const awaitedResults = PageClassification.awaitClassificationResults(
+            { pageId: "page-5" }, [ workerId ], 60 * 60 * 1000);
+        assert.strictEqual(PageClassification.onClassificationResult.pendingWaiters.size, 1);
+
+        PageClassification.onClassificationResult.removeListener(classificationListener);
+        const { results, timedOut } = await awaitedResults;
+        assert.deepStrictEqual(results, {});
+        assert.deepStrictEqual(timedOut, [ workerId ]);
+        assert.strictEqual(PageClassification.onClassificationResult.pendingWaiters.size, 0);
+        assert.ok(FakeWorker.instances[0].terminated);
+        assert.strictEqual(fakes.contentScripts.size, 0);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * This module tests how the WebScience.Measurements.PageNavigation module routes page data to
+ * listeners with different options, by sending page data messages from a fake content script
+ * (see `fakeBrowser.js`).
+ */
+
+import assert from "assert";
+import * as PageNavigation from "../../WebScience/Measurements/PageNavigation.js"
+import { installFakeBrowser } from "./fakeBrowser.js"
+
+/**
+ * Wait until a condition holds, checking after each turn of the event loop.
+ * @param {function} condition - A function that returns whether the condition holds.
+ */
+async function waitFor(condition) {
+    while(!condition())
+        await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Find the registered page navigation content script, if any.
+ * @param {Set<Object>} contentScripts - The registered content scripts.
+ * @returns {Object|undefined} The content script options.
+ */
+function findPageNavigationScript(contentScripts) {
+    return [ ...contentScripts ].find(contentScript => contentScript.js[0].file.endsWith("pageNavigation.js"));
+}
+
+/**
+ * Create a page data message, as the content script would send it.
+ * @param {string} url - The URL of the page.
+ * @param {boolean} privateWindow - Whether the page is in a private window.
+ * @returns {Object} The message.
+ */
+function createPageDataMessage(url, privateWindow) {
+    return {
+        type: "WebScience.Measurements.PageNavigation.PageData",
+        pageId: "page-" + url,
+        url,
+        referrer: "",
+        pageVisitStartTime: 1000,
+        pageVisitStopTime: 2000,
+        attentionDuration: 500,
+        audioDuration: 0,
+        attentionAndAudioDuration: 0,
+        maxRelativeScrollDepth: 0.5,
+        privateWindow
+    };
+}
+
+describe("PageNavigation", function () {
+    it("notifies each listener only about the pages that match its options", async function () {
+        const fakes = installFakeBrowser();
+        const pages = { example: [], news: [] };
+        const exampleListener = pageData => { pages.example.push(pageData.url); };
+        const newsListener = pageData => { pages.news.push(pageData.url); };
+        try {
+            PageNavigation.onPageData.addListener(exampleListener, {
+                matchPatterns: [ "*://*.example.com/*" ]
+            });
+            PageNavigation.onPageData.addListener(newsListener, {
+                matchPatterns: [ "*://*.example.com/*", "*://*.news.org/*" ],
+                privateWindows: true
+            });
+
+            // The content script runs on the pages that any listener measures
+            await waitFor(() => {
+                const contentScript = findPageNavigationScript(fakes.contentScripts);
+                return (contentScript !== undefined) && (contentScript.matches.length === 2);
+            });
+            assert.deepStrictEqual(new Set(findPageNavigationScript(fakes.contentScripts).matches),
+                new Set([ "*://*.example.com/*", "*://*.news.org/*" ]));
+
+            fakes.sendRuntimeMessage(createPageDataMessage("https://www.example.com/a", false));
+            fakes.sendRuntimeMessage(createPageDataMessage("https://www.news.org/b", false));
+            fakes.sendRuntimeMessage(createPageDataMessage("https://www.example.com/c", true));
+            fakes.sendRuntimeMessage(createPageDataMessage("https://www.other.net/d", false));
+            assert.deepStrictEqual(pages.example, [ "https://www.example.com/a" ]);
+            assert.deepStrictEqual(pages.news, [
+                "https://www.example.com/a",
+                "https://www.news.org/b",
+                "https://www.example.com/c"
+            ]);
+
+            // Once a listener is removed, the content script only runs on the other listener's pages
+            PageNavigation.onPageData.removeListener(newsListener);
+            await waitFor(() => {
+                const contentScript = findPageNavigationScript(fakes.contentScripts);
+                return (contentScript !== undefined) && (contentScript.matches.length === 1);
+            });
+            fakes.sendRuntimeMessage(createPageDataMessage("https://www.example.com/e", false));
+            assert.deepStrictEqual(pages.example, [ "https://www.example.com/a", "https://www.example.com/e" ]);
+            assert.strictEqual(pages.news.length, 3);
+
+            PageNavigation.onPageData.removeListener(exampleListener);
+            await waitFor(() => findPageNavigationScript(fakes.contentScripts) === undefined);
+        }
+        finally {
+            fakes.restore();
+        }
+    });
+});
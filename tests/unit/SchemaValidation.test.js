@@ -0,0 +1,177 @@
+/**
+ * This module tests the JSON Schema validation in the WebScience.Utilities.SchemaValidation
+ * module, and checks a sample payload against the study's measurements schema.
+ */
+
+import assert from "assert";
+import * as SchemaValidation from "../../WebScience/Utilities/SchemaValidation.js"
+import { measurementsSchema } from "../../study/schemas/measurementsSchema.js"
+
+const objectSchema = {
+    type: "object",
+    required: [ "a" ],
+    additionalProperties: false,
+    properties: { a: { type: "integer" } },
+    patternProperties: { "^[0-9]+$": { type: "integer" } }
+};
+
+const referenceSchema = {
+    type: "array",
+    items: { "$ref": "#/definitions/count" },
+    definitions: { count: { type: "integer", minimum: 0 } }
+};
+
+describe("SchemaValidation", function () {
+    describe("validate", function () {
+        // Each case is a schema, a value, and whether the value is valid
+        const cases = [
+            // Types
+            [ { type: "integer" }, 3, true ],
+            [ { type: "integer" }, 3.5, false ],
+            [ { type: "number" }, 3, true ],
+            [ { type: "number" }, NaN, false ],
+            [ { type: "number" }, Infinity, false ],
+            [ { type: [ "string", "null" ] }, null, true ],
+            [ { type: "string" }, null, false ],
+            [ { type: "object" }, [ ], false ],
+            [ { type: "array" }, [ ], true ],
+            [ { }, undefined, false ],
+            // Values
+            [ { enum: [ 0, 4, 8 ] }, 4, true ],
+            [ { enum: [ 0, 4, 8 ] }, 5, false ],
+            [ { const: "a" }, "a", true ],
+            [ { const: "a" }, "b", false ],
+            [ { minimum: 0, maximum: 6 }, 6, true ],
+            [ { minimum: 0 }, -1, false ],
+            [ { maximum: 6 }, 7, false ],
+            // Objects
+            [ objectSchema, { a: 1 }, true ],
+            [ objectSchema, { a: 1, "5": 2 }, true ],
+            [ objectSchema, { a: 1, b: undefined }, true ],
+            [ objectSchema, { }, false ],
+            [ objectSchema, { a: undefined }, false ],
+            [ objectSchema, { a: "1" }, false ],
+            [ objectSchema, { a: 1, b: 2 }, false ],
+            [ objectSchema, { a: 1, "5": "2" }, false ],
+            [ { additionalProperties: { type: "string" } }, { a: "1" }, true ],
+            [ { additionalProperties: { type: "string" } }, { a: 1 }, false ],
+            // Arrays
+            [ { type: "array", items: { type: "integer" } }, [ 1, 2 ], true ],
+            [ { type: "array", items: { type: "integer" } }, [ 1, "2" ], false ],
+            // References
+            [ referenceSchema, [ 0, 1 ], true ],
+            [ referenceSchema, [ -1 ], false ]
+        ];
+        for(const [ schema, value, valid ] of cases) {
+            it(`${valid ? "accepts" : "rejects"} ${JSON.stringify(value)} for ${JSON.stringify(schema)}`, function () {
+                assert.strictEqual(SchemaValidation.validate(schema, value).length === 0, valid);
+            });
+        }
+
+        it("throws for a missing reference", function () {
+            assert.throws(() => SchemaValidation.validate({ "$ref": "#/definitions/missing" }, 1));
+        });
+
+        it("throws for unsupported keywords", function () {
+            assert.throws(() => SchemaValidation.validate({ type: "string", maxLength: 5 }, "a"));
+        });
+
+        it("reports where an error is", function () {
+            const errors = SchemaValidation.validate(objectSchema, { a: "1" });
+            assert.strictEqual(errors.length, 1);
+            assert.ok(errors[0].startsWith("/a:"));
+        });
+    });
+
+    describe("measurementsSchema", function () {
+        const samplePayload = {
+            "WebScience.Measurements.PageNavigation": {
+                numUntrackedVisits: 5,
+                trackedVisitsByDomain: [ {
+                    domain: "somedomain.org",
+                    visitsByReferrer: [ {
+                        referrerDomain: "other",
+                        dayOfWeek: 1,
+                        timeOfDay: 8,
+                        classifierResults: { "covid-page-classifier": 1, "pol-page-classifier": 0 },
+                        numVisits: 2,
+                        totalAttention: 5000,
+                        totalScroll: 150,
+                        prevExposedCount: 0,
+                        laterSharedCount: 0
+                    } ]
+                } ]
+            },
+            "WebScience.Measurements.LinkExposure": {
+                untrackedLinkExposures: { "5": 4 },
+                linkExposures: [ {
+                    sourceDomain: "google.com",
+                    destinationDomain: "somedomain.org",
+                    dayOfWeek: 1,
+                    timeOfDay: 4,
+                    visThreshold: 5,
+                    contextType: "headline",
+                    numExposures: 10,
+                    laterVisitedCount: 1,
+                    laterSharedCount: 0
+                } ]
+            },
+            "WebScience.Measurements.SocialMediaLinkSharing": {
+                linkSharesByPlatform: [ {
+                    platform: "twitter",
+                    numUntrackedShares: 1,
+                    trackedShares: [ {
+                        domain: "somedomain.org",
+                        audience: "public",
+                        visitReferrer: "",
+                        prevExposed: 0,
+                        dayOfWeek: 2,
+                        timeOfDay: 20,
+                        numShares: 1
+                    } ]
+                } ]
+            },
+            "WebScience.SurveyId": null,
+            "WebScience.version": "1.0.0",
+            "WebScience.analysisRange": { startTime: 1609459200000, endTime: 1609545600000 },
+            "WebScience.timeBuckets": { hoursPerBucket: 4, localTime: false, dayOfWeek: true, date: false },
+            "WebScience.diagnostics": { schemaValidationFailures: 0 }
+        };
+
+        /**
+         * Copy the sample payload, with a change.
+         * @param {function(Object)} change - A function that changes the copy.
+         * @returns {Object} The changed copy.
+         */
+        function changePayload(change) {
+            const payload = JSON.parse(JSON.stringify(samplePayload));
+            change(payload);
+            return payload;
+        }
+
+        it("accepts a sample payload", function () {
+            assert.deepStrictEqual(SchemaValidation.validate(measurementsSchema, samplePayload), [ ]);
+        });
+
+        it("rejects a payload with a misnamed field", function () {
+            const payload = changePayload(payload => {
+                payload["WebScience.Measurements.LinkExposure"].linkExposures[0].numExposure = 10;
+            });
+            assert.ok(SchemaValidation.validate(measurementsSchema, payload).length > 0);
+        });
+
+        it("rejects a payload with an unknown exposure context type", function () {
+            const payload = changePayload(payload => {
+                payload["WebScience.Measurements.LinkExposure"].linkExposures[0].contextType = "sidebar";
+            });
+            assert.ok(SchemaValidation.validate(measurementsSchema, payload).length > 0);
+        });
+
+        it("rejects a payload with a missing section", function () {
+            const payload = changePayload(payload => {
+                delete payload["WebScience.Measurements.PageNavigation"];
+            });
+            assert.ok(SchemaValidation.validate(measurementsSchema, payload).length > 0);
+        });
+    });
+});
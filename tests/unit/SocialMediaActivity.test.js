@@ -0,0 +1,215 @@
+/**
+ * This module tests registering, unregistering, and re-registering activity trackers in the
+ * WebScience.Utilities.SocialMediaActivity module. It also replays captured social media requests
+ * through the module, and checks the events that the module extracts from each request. The requests are
+ * fixtures in `tests/fixtures/SocialMediaActivity`, one JSON file per request, with these properties:
+ *   * `description` - What the request is.
+ *   * `platform` - The platform to register trackers for (every event on the platform is tracked).
+ *   * `requestDetails` - The `details` for the request from `browser.webRequest.onBeforeRequest`.
+ *     Since a raw request body is an `ArrayBuffer`, each `requestBody.raw[].bytes` is stored as
+ *     the text of the body.
+ *   * `expected` - The events that the module should extract from the request. Each event only
+ *     needs to include the properties that the test should check.
+ *   * `fetchResponses` (optional) - The responses to `fetch` requests that the module makes while
+ *     handling the request (e.g., to retrieve a Reddit post), keyed by URL. Each response is JSON,
+ *     or the text of a page.
+ *   * `tabMessageResponse` (optional) - The response to `browser.tabs.sendMessage` (i.e., from a
+ *     content script) while handling the request.
+ * When a platform changes the format of its requests, capture a new request with the browser's
+ * network monitor and add it as a fixture.
+ */
+
+import assert from "assert";
+import fs from "fs";
+import * as SocialMediaActivity from "../../WebScience/Utilities/SocialMediaActivity.js"
+import { fixturesDirectory, loadFixture, installFakeBrowser, toWebRequestDetails } from "./fakeBrowser.js"
+
+const fixtures = fs.readdirSync(fixturesDirectory).filter(file => file.endsWith(".json")).sort().map(loadFixture);
+
+const registerActivityTracker = {
+    twitter: SocialMediaActivity.registerTwitterActivityTracker,
+    facebook: SocialMediaActivity.registerFacebookActivityTracker,
+    reddit: SocialMediaActivity.registerRedditActivityTracker,
+    youtube: SocialMediaActivity.registerYouTubeActivityTracker,
+    mastodon: SocialMediaActivity.registerMastodonActivityTracker
+};
+
+/**
+ * Check that an extracted event includes the expected properties.
+ * @param {Object} event - The extracted event.
+ * @param {Object} expectedEvent - The expected properties.
+ */
+function assertEventMatches(event, expectedEvent) {
+    for(const property in expectedEvent)
+        assert.deepStrictEqual(event[property], expectedEvent[property], `Unexpected value for ${property}`);
+}
+
+describe("SocialMediaActivity", function () {
+    let fakeBrowser = null;
+
+    beforeEach(function () {
+        fakeBrowser = installFakeBrowser();
+    });
+
+    afterEach(function () {
+        fakeBrowser.restore();
+    });
+
+    describe("registering trackers", function () {
+        let redditPost = null;
+
+        before(function () {
+            redditPost = loadFixture("reddit-post.json");
+        });
+
+        /**
+         * Get the extra info specs of the registered `onBeforeRequest` listeners.
+         * @returns {Array<Array<string>>} The extra info specs.
+         */
+        function getExtraInfoSpecs() {
+            return [ ...fakeBrowser.onBeforeRequest.listeners.values() ].map(({ extraInfoSpec }) => extraInfoSpec);
+        }
+
+        it("does not duplicate events for a callback that is registered twice", async function () {
+            const events = [];
+            const callback = (details) => { events.push(details); };
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            try {
+                assert.strictEqual(fakeBrowser.onBeforeRequest.listeners.size, 1);
+                await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+                assert.strictEqual(events.length, 1);
+            }
+            finally {
+                SocialMediaActivity.unregisterActivityTracker(callback);
+            }
+        });
+
+        it("ignores a request that was already handled, until every tracker is unregistered", async function () {
+            const events = [];
+            const callback = (details) => { events.push(details); };
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            try {
+                await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+                await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+                assert.strictEqual(events.length, 1);
+            }
+            finally {
+                SocialMediaActivity.unregisterActivityTracker(callback);
+            }
+
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            try {
+                await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+                assert.strictEqual(events.length, 2);
+            }
+            finally {
+                SocialMediaActivity.unregisterActivityTracker(callback);
+            }
+        });
+
+        it("removes the webRequest listener when the last callback is unregistered", async function () {
+            const events = [];
+            const callback = (details) => { events.push(details); };
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            SocialMediaActivity.unregisterActivityTracker(callback);
+            assert.strictEqual(fakeBrowser.onBeforeRequest.listeners.size, 0);
+            await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+            assert.strictEqual(events.length, 0);
+        });
+
+        it("makes the webRequest listener nonblocking when the blocking callback is unregistered", async function () {
+            const events = [];
+            const callback = (details) => { events.push(details); };
+            const blockingCallback = () => { return {}; };
+            SocialMediaActivity.registerRedditActivityTracker(callback, [ "post" ]);
+            SocialMediaActivity.registerRedditActivityTracker(blockingCallback, [ "post" ], true);
+            try {
+                assert.deepStrictEqual(getExtraInfoSpecs(), [ [ "requestBody", "blocking" ] ]);
+                SocialMediaActivity.unregisterActivityTracker(blockingCallback);
+                assert.deepStrictEqual(getExtraInfoSpecs(), [ [ "requestBody" ] ]);
+                await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(redditPost.requestDetails));
+                assert.strictEqual(events.length, 1);
+            }
+            finally {
+                SocialMediaActivity.unregisterActivityTracker(callback);
+            }
+        });
+
+        it("removes the Twitter content script and header listener when the last Twitter tracker is unregistered", async function () {
+            const callback = () => {};
+            SocialMediaActivity.registerTwitterActivityTracker(callback, [ "<all_events>" ]);
+            // Let the content script finish registering
+            await new Promise(resolve => setTimeout(resolve, 0));
+            assert.strictEqual(fakeBrowser.contentScripts.size, 1);
+            assert.strictEqual(fakeBrowser.onBeforeSendHeaders.listeners.size, 1);
+            SocialMediaActivity.unregisterActivityTracker(callback);
+            assert.strictEqual(fakeBrowser.contentScripts.size, 0);
+            assert.strictEqual(fakeBrowser.onBeforeSendHeaders.listeners.size, 0);
+            assert.strictEqual(fakeBrowser.onBeforeRequest.listeners.size, 0);
+        });
+    });
+
+    describe("getYouTubeVideoChannel", function () {
+        const videoUrl = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+        it("finds the channel ID, owner profile, and canonical channel path on the video page", async function () {
+            fakeBrowser.fetchResponses = {
+                [videoUrl]: "<script>var ytInitialPlayerResponse = {\"videoDetails\":{\"videoId\":\"dQw4w9WgXcQ\"," +
+                    "\"channelId\":\"UCuAXFkgsw1L7xaCfnd5JJOw\"},\"microformat\":{\"playerMicroformatRenderer\":{" +
+                    "\"ownerProfileUrl\":\"http://www.youtube.com/user/RickAstleyVEVO\"}}};</script>" +
+                    "<script>var ytInitialData = {\"videoOwnerRenderer\":{\"navigationEndpoint\":{\"browseEndpoint\":{" +
+                    "\"canonicalBaseUrl\":\"/c/RickAstley\"}}}};</script>"
+            };
+            assert.deepStrictEqual(await SocialMediaActivity.getYouTubeVideoChannel("dQw4w9WgXcQ"), {
+                channelId: "UCuAXFkgsw1L7xaCfnd5JJOw",
+                channelUrls: [
+                    "https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw/",
+                    "https://www.youtube.com/user/RickAstleyVEVO/",
+                    "https://www.youtube.com/c/RickAstley/"
+                ]
+            });
+        });
+
+        it("finds no channel if the video page cannot be retrieved", async function () {
+            assert.deepStrictEqual(await SocialMediaActivity.getYouTubeVideoChannel("dQw4w9WgXcQ"),
+                { channelId: null, channelUrls: [] });
+        });
+    });
+
+    describe("getMastodonStatusUrls", function () {
+        it("finds the links in a status, without mentions, hashtags, or a duplicate of the card", function () {
+            const urls = SocialMediaActivity.getMastodonStatusUrls({
+                content: "<p><a href=\"https://mastodon.example/@news\" class=\"u-url mention\">@news</a> " +
+                    "<a href=\"https://mastodon.example/tags/news\" class=\"mention hashtag\">#news</a> " +
+                    "<a href=\"https://example.com/a?b=1&amp;c=2\">link</a></p>",
+                card: { url: "https://example.com/a?b=1&c=2" }
+            });
+            assert.deepStrictEqual(urls, [ "https://example.com/a?b=1&c=2" ]);
+        });
+    });
+
+    describe("request fixtures", function () {
+        for(const fixture of fixtures) {
+            it(`extracts the expected events from ${fixture.file}: ${fixture.description}`, async function () {
+                fakeBrowser.fetchResponses = fixture.fetchResponses ? fixture.fetchResponses : {};
+                fakeBrowser.tabMessageResponse = fixture.tabMessageResponse;
+                const events = [];
+                const callback = (details) => { events.push(details); };
+                registerActivityTracker[fixture.platform](callback, [ "<all_events>" ]);
+                try {
+                    await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(fixture.requestDetails));
+                }
+                finally {
+                    SocialMediaActivity.unregisterActivityTracker(callback);
+                }
+                assert.strictEqual(events.length, fixture.expected.length, "Unexpected number of events");
+                for(const expectedEvent of fixture.expected) {
+                    const event = events.find(event => event.eventType === expectedEvent.eventType);
+                    assert.ok(event !== undefined, `Expected a ${expectedEvent.eventType} event`);
+                    assertEventMatches(event, expectedEvent);
+                }
+            });
+        }
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * This module tests the WebScience.Measurements.SocialMediaLinkSharing module, by replaying captured
+ * social media requests (see `SocialMediaActivity.test.js`) and checking the shares that each
+ * share listener is notified about.
+ */
+
+import assert from "assert";
+import * as SocialMediaLinkSharing from "../../WebScience/Measurements/SocialMediaLinkSharing.js"
+import { loadFixture, installFakeBrowser, toWebRequestDetails } from "./fakeBrowser.js"
+
+/**
+ * The Reddit API responses for a link post in a public subreddit, which the Reddit fixtures comment on
+ * and vote on.
+ * @const {Object}
+ */
+const redditResponses = {
+    "https://www.reddit.com/api/info.json?id=t3_lq1abc": {
+        kind: "Listing",
+        data: { children: [ { kind: "t3", data: {
+            id: "lq1abc", name: "t3_lq1abc", subreddit: "news", is_self: false, url: "https://example.com/news/article"
+        } } ] }
+    },
+    "https://www.reddit.com/r/news/about.json": { kind: "t5", data: { subreddit_type: "public" } }
+};
+
+/**
+ * The Mastodon API response for the status that the Mastodon fixtures reblog and favourite, which has
+ * a mention, a link, and a hashtag.
+ * @const {Object}
+ */
+const mastodonResponses = {
+    "https://mastodon.example/api/v1/statuses/109876543210": {
+        id: "109876543210",
+        visibility: "public",
+        content: "<p><span class=\"h-card\"><a href=\"https://mastodon.example/@news\" class=\"u-url mention\">@<span>news</span></a></span> " +
+            "<a href=\"https://example.com/news/article?a=1&amp;b=2\" rel=\"nofollow noopener noreferrer\" target=\"_blank\">example.com/news/article</a> " +
+            "<a href=\"https://mastodon.example/tags/news\" class=\"mention hashtag\" rel=\"tag\">#<span>news</span></a></p>",
+        card: { url: "https://example.com/news/article?a=1&b=2" },
+        reblog: null
+    }
+};
+
+describe("SocialMediaLinkSharing", function () {
+    // Checking each shared URL against the URL shortener regular expression
+    // (`LinkResolution.urlShortenerRegExp`) takes about a second in Node
+    this.timeout(20000);
+
+    let fakeBrowser = null;
+
+    /**
+     * Add a share listener, which records the share events that it is notified about.
+     * @param {Object} options - The options for the listener.
+     * @returns {Object} The listener (`listener`), the shares (`shares`), and the numbers of
+     * untracked shares (`untrackedShares`) that the listener was notified about.
+     */
+    function addShareListener(options) {
+        const shareListener = { shares: [], untrackedShares: [] };
+        shareListener.listener = (shareData) => {
+            if(shareData.type === "share")
+                shareListener.shares.push(shareData.value);
+            else
+                shareListener.untrackedShares.push(shareData.value);
+        };
+        SocialMediaLinkSharing.onShare.addListener(shareListener.listener, options);
+        return shareListener;
+    }
+
+    /**
+     * Replay a captured request, and wait for the measurement to notify listeners.
+     * @param {Object} fixture - The captured request.
+     */
+    async function replayFixture(fixture) {
+        fakeBrowser.fetchResponses = fixture.fetchResponses ? fixture.fetchResponses : {};
+        fakeBrowser.tabMessageResponse = fixture.tabMessageResponse;
+        await fakeBrowser.onBeforeRequest.dispatch(toWebRequestDetails(fixture.requestDetails));
+        // Share listeners are notified asynchronously, after the request is handled
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    beforeEach(function () {
+        fakeBrowser = installFakeBrowser();
+    });
+
+    afterEach(function () {
+        fakeBrowser.restore();
+    });
+
+    it("stops and restarts the measurement without duplicating shares", async function () {
+        const redditPost = loadFixture("reddit-post.json");
+        const options = { destinationMatchPatterns: [ "*://example.com/*" ], reddit: true };
+
+        const firstListener = addShareListener(options);
+        await replayFixture(redditPost);
+        SocialMediaLinkSharing.onShare.removeListener(firstListener.listener);
+        assert.strictEqual(fakeBrowser.onBeforeRequest.listeners.size, 0);
+
+        const secondListener = addShareListener(options);
+        try {
+            await replayFixture(redditPost);
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(secondListener.listener);
+        }
+        for(const { shares } of [ firstListener, secondListener ]) {
+            assert.strictEqual(shares.length, 1);
+            assert.strictEqual(shares[0].url, "https://example.com/news/article");
+        }
+    });
+
+    it("counts opening the YouTube share dialog as a share of the video's channel", async function () {
+        const youtubeShare = loadFixture("youtube-share.json");
+        youtubeShare.fetchResponses = {
+            "https://www.youtube.com/watch?v=dQw4w9WgXcQ": "{\"channelId\":\"UCuAXFkgsw1L7xaCfnd5JJOw\"}"
+        };
+        const trackingListener = addShareListener({
+            destinationMatchPatterns: [ "*://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw/*" ],
+            youtube: true
+        });
+        const otherListener = addShareListener({
+            destinationMatchPatterns: [ "*://www.youtube.com/channel/UC0000000000000000000000/*" ],
+            youtube: true
+        });
+        try {
+            await replayFixture(youtubeShare);
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(trackingListener.listener);
+            SocialMediaLinkSharing.onShare.removeListener(otherListener.listener);
+        }
+        assert.strictEqual(trackingListener.shares.length, 1);
+        assert.strictEqual(trackingListener.shares[0].url, "https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw/");
+        assert.strictEqual(trackingListener.shares[0].eventType, "share");
+        assert.deepStrictEqual(trackingListener.untrackedShares, [ 0 ]);
+        assert.strictEqual(otherListener.shares.length, 0);
+        assert.deepStrictEqual(otherListener.untrackedShares, [ 1 ]);
+    });
+
+    it("reports Reddit comments with tracked links, with the audience of the post's subreddit", async function () {
+        const redditComment = loadFixture("reddit-comment.json");
+        redditComment.fetchResponses = redditResponses;
+        const shareListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], reddit: true });
+        try {
+            await replayFixture(redditComment);
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(shareListener.listener);
+        }
+        assert.strictEqual(shareListener.shares.length, 1);
+        assert.strictEqual(shareListener.shares[0].eventType, "comment");
+        assert.strictEqual(shareListener.shares[0].url, "https://example.com/news/article");
+        assert.strictEqual(shareListener.shares[0].audience, "public");
+    });
+
+    it("reports upvotes, but not downvotes, of Reddit link posts to tracked domains", async function () {
+        const shareListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], reddit: true });
+        try {
+            for(const file of [ "reddit-postVote.json", "reddit-postDownvote.json" ]) {
+                const redditVote = loadFixture(file);
+                redditVote.fetchResponses = redditResponses;
+                await replayFixture(redditVote);
+            }
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(shareListener.listener);
+        }
+        assert.strictEqual(shareListener.shares.length, 1);
+        assert.strictEqual(shareListener.shares[0].eventType, "postVote");
+        assert.strictEqual(shareListener.shares[0].url, "https://example.com/news/article");
+        assert.strictEqual(shareListener.shares[0].audience, "public");
+        assert.deepStrictEqual(shareListener.untrackedShares, [ 0 ]);
+    });
+
+    it("reports Facebook comments with tracked links, with the post commented on", async function () {
+        const shareListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], facebook: true });
+        try {
+            await replayFixture(loadFixture("facebook-comment.json"));
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(shareListener.listener);
+        }
+        assert.strictEqual(shareListener.shares.length, 1);
+        assert.strictEqual(shareListener.shares[0].eventType, "comment");
+        assert.strictEqual(shareListener.shares[0].url, "https://example.com/news/article");
+        assert.strictEqual(shareListener.shares[0].targetPostId, "2222222222222222");
+    });
+
+    it("reports Facebook reactions to posts with tracked links, but not removing a reaction", async function () {
+        const shareListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], facebook: true });
+        try {
+            for(const file of [ "facebook-react.json", "facebook-unreact.json" ]) {
+                const facebookReact = loadFixture(file);
+                // The content script's response with the post that was reacted to
+                facebookReact.tabMessageResponse = { content: [ "Read this https://example.com/news/article" ], attachedUrls: [] };
+                await replayFixture(facebookReact);
+            }
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(shareListener.listener);
+        }
+        assert.strictEqual(shareListener.shares.length, 1);
+        assert.strictEqual(shareListener.shares[0].eventType, "react");
+        assert.strictEqual(shareListener.shares[0].reactionType, "like");
+        assert.strictEqual(shareListener.shares[0].url, "https://example.com/news/article");
+        assert.strictEqual(shareListener.shares[0].targetPostId, "2222222222222222");
+    });
+
+    it("reports Mastodon posts, reblogs, and favourites, with the visibility as the audience", async function () {
+        const shareListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], mastodon: true });
+        try {
+            for(const file of [ "mastodon-post.json", "mastodon-reblog.json", "mastodon-favourite.json" ]) {
+                const mastodonRequest = loadFixture(file);
+                mastodonRequest.fetchResponses = mastodonResponses;
+                await replayFixture(mastodonRequest);
+            }
+        }
+        finally {
+            SocialMediaLinkSharing.onShare.removeListener(shareListener.listener);
+        }
+        assert.deepStrictEqual(shareListener.shares.map(({ eventType, url, audience }) => { return { eventType, url, audience }; }), [
+            { eventType: "post", url: "https://example.com/news/article", audience: "private" },
+            { eventType: "reblog", url: "https://example.com/news/article", audience: "unlisted" },
+            // A favourite has the visibility of the status that was favourited
+            { eventType: "favourite", url: "https://example.com/news/article", audience: "public" }
+        ]);
+        assert.deepStrictEqual(shareListener.untrackedShares, [ 0, 0, 0 ]);
+        assert.strictEqual(fakeBrowser.onBeforeRequest.listeners.size, 0);
+    });
+
+    it("notifies each listener about its own shares, and counts the other shares as untracked", async function () {
+        const exampleComListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], mastodon: true });
+        const exampleOrgListener = addShareListener({ destinationMatchPatterns: [ "*://example.org/*" ], mastodon: true });
+        const redditListener = addShareListener({ destinationMatchPatterns: [ "*://example.com/*" ], reddit: true });
+        try {
+            await replayFixture(loadFixture("mastodon-postMultipleLinks.json"));
+        }
+        finally {
+            for(const { listener } of [ exampleComListener, exampleOrgListener, redditListener ])
+                SocialMediaLinkSharing.onShare.removeListener(listener);
+        }
+        assert.deepStrictEqual(exampleComListener.shares.map(share => share.url), [ "https://example.com/news/article" ]);
+        assert.deepStrictEqual(exampleComListener.untrackedShares, [ 2 ]);
+        assert.deepStrictEqual(exampleOrgListener.shares.map(share => share.url), [ "https://example.org/story" ]);
+        assert.deepStrictEqual(exampleOrgListener.untrackedShares, [ 2 ]);
+        assert.strictEqual(redditListener.shares.length, 0);
+        assert.strictEqual(redditListener.untrackedShares.length, 0);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * This module tests schema versioning, upgrades, queries and updates, retention policies, and deleting storage in the
+ * WebScience.Utilities.Storage module. The schema version tests create a storage area at
+ * version 1, then reopen it with later schema versions and check the upgraded contents.
+ * IndexedDB is provided by `fake-indexeddb`.
+ */
+
+import assert from "assert";
+import "./storageGlobals.js";
+import * as Storage from "../../WebScience/Utilities/Storage.js"
+
+const storageAreaName = "WebScience.Tests.StorageTest";
+
+const version1 = {
+    version: 1,
+    stores: {
+        linkExposures: "exposureId++, url, firstSeen"
+    }
+};
+
+const version2 = {
+    version: 2,
+    stores: {
+        linkExposures: "exposureId++, url, firstSeen, pageId"
+    },
+    upgrade: {
+        linkExposures: (record) => {
+            record.pageId = `legacy-${record.exposureId}`;
+        }
+    }
+};
+
+const version3 = {
+    version: 3,
+    stores: {
+        linkExposures: "exposureId++, url, firstSeen, pageId",
+        untrackedLinkExposures: "++, firstSeen"
+    },
+    upgrade: {
+        linkExposures: (record) => {
+            return {
+                exposureId: record.exposureId,
+                url: record.url.toLowerCase(),
+                firstSeen: record.firstSeen,
+                pageId: record.pageId
+            };
+        }
+    }
+};
+
+describe("Storage", function () {
+    afterEach(async function () {
+        await Storage.deleteAllStorage();
+    });
+
+    describe("IndexedStorage schema versions", function () {
+        it("upgrades a storage area through each version", async function () {
+            // Create a version 1 storage area, using the original single version syntax
+            const storageV1 = new Storage.IndexedStorage(storageAreaName, version1.stores);
+            await storageV1.set({ url: "https://EXAMPLE.com/a", firstSeen: 1, extraField: true });
+            await storageV1.set({ url: "https://example.com/b", firstSeen: 2, extraField: true });
+            assert.strictEqual(storageV1.version, 1);
+            storageV1.storageInstance.close();
+
+            // Reopen the storage area at version 2, which adds an index and a field
+            const storageV2 = new Storage.IndexedStorage(storageAreaName, [ version1, version2 ]);
+            const records = await storageV2.getEventsByRange(0, 10, "firstSeen");
+            assert.strictEqual(records.length, 2);
+            for(const record of records)
+                assert.strictEqual(record.pageId, `legacy-${record.exposureId}`);
+            const indexedRecords = await storageV2.storageInstance.linkExposures.where("pageId").equals("legacy-1").toArray();
+            assert.strictEqual(indexedRecords.length, 1);
+            assert.strictEqual(indexedRecords[0].url, "https://EXAMPLE.com/a");
+            storageV2.storageInstance.close();
+
+            // Reopen the storage area at version 3, which replaces records and adds a table
+            const storageV3 = new Storage.IndexedStorage(storageAreaName, [ version1, version2, version3 ]);
+            assert.deepStrictEqual(await storageV3.get(1),
+                { exposureId: 1, url: "https://example.com/a", firstSeen: 1, pageId: "legacy-1" });
+            await storageV3.set({ firstSeen: 3 }, "untrackedLinkExposures");
+            assert.strictEqual((await storageV3.getEventsByRange(0, 10, "firstSeen", "untrackedLinkExposures")).length, 1);
+            assert.strictEqual(storageV3.version, 3);
+            assert.strictEqual(storageV3.defaultStore, "linkExposures");
+            storageV3.storageInstance.close();
+        });
+
+        it("applies every intermediate upgrade when skipping versions", async function () {
+            const storageV1 = new Storage.IndexedStorage(storageAreaName, version1.stores);
+            await storageV1.set({ url: "https://example.com/c", firstSeen: 4 });
+            storageV1.storageInstance.close();
+            const storageV3 = new Storage.IndexedStorage(storageAreaName, [ version1, version2, version3 ]);
+            assert.strictEqual((await storageV3.get(1)).pageId, "legacy-1");
+            storageV3.storageInstance.close();
+        });
+
+        it("throws for schema versions that are not ascending", function () {
+            assert.throws(() => new Storage.IndexedStorage(storageAreaName, [ version2, version1 ]));
+        });
+    });
+
+    describe("IndexedStorage queries and updates", function () {
+        it("updates fields of a record by key and of records by an indexed field", async function () {
+            const updateStorage = new Storage.IndexedStorage(storageAreaName + ".Update", {
+                pageVisits: "++, pageId"
+            });
+            const key = await updateStorage.set({ pageId: "page-1", laterShared: false, attention: 5 });
+            await updateStorage.set({ pageId: "page-2", laterShared: false });
+            await updateStorage.set({ pageId: "page-2", laterShared: false });
+
+            assert.strictEqual(await updateStorage.update(key, { laterShared: true }), true);
+            assert.deepStrictEqual(await updateStorage.get(key), { pageId: "page-1", laterShared: true, attention: 5 });
+            assert.strictEqual(await updateStorage.update(key + 100, { laterShared: true }), false);
+
+            assert.strictEqual(await updateStorage.updateWhere("pageId", "page-2", { laterShared: true }), 2);
+            assert.strictEqual(await updateStorage.updateWhere("pageId", "page-3", { laterShared: true }), 0);
+        });
+
+        it("gets, counts, and deletes records by an indexed field", async function () {
+            const queryStorage = new Storage.IndexedStorage(storageAreaName + ".Query", {
+                entries: "++id, status"
+            });
+            const firstId = await queryStorage.set({ status: "pending" });
+            await queryStorage.set({ status: "delivered" });
+            const thirdId = await queryStorage.set({ status: "pending" });
+
+            const pendingEntries = await queryStorage.getWhere("status", "pending");
+            assert.deepStrictEqual(pendingEntries.map(entry => entry.id), [ firstId, thirdId ]);
+            assert.strictEqual(await queryStorage.count("", "status", "pending"), 2);
+            assert.strictEqual(await queryStorage.count(), 3);
+
+            await queryStorage.delete([ firstId ]);
+            assert.strictEqual(await queryStorage.count("", "status", "pending"), 1);
+            assert.strictEqual(await queryStorage.count(), 2);
+        });
+    });
+
+    describe("applyRetentionPolicies", function () {
+        it("deletes reported and expired records, and logs what it deleted", async function () {
+            const retentionStorage = new Storage.IndexedStorage(storageAreaName + ".Retention", {
+                reported: "++, eventTime",
+                expiring: "++"
+            });
+            const currentTime = Date.now();
+            await retentionStorage.set({ eventTime: 100 }, "reported");
+            await retentionStorage.set({ eventTime: 200 }, "reported");
+            await retentionStorage.set({ eventTime: currentTime - 2000 }, "expiring");
+            await retentionStorage.set({ eventTime: currentTime }, "expiring");
+            await retentionStorage.set({ }, "expiring");
+            retentionStorage.setRetentionPolicy({ timeKey: "eventTime", deleteOnceReported: true }, "reported");
+            retentionStorage.setRetentionPolicy({ timeKey: "eventTime", maxAge: 1000 }, "expiring");
+            const prunedSummary = await Storage.applyRetentionPolicies(150);
+
+            // A delete once reported policy deletes records before the reported time
+            const remaining = await retentionStorage.getEventsByRange(0, Infinity, "eventTime", "reported");
+            assert.deepStrictEqual(remaining.map(record => record.eventTime), [ 200 ]);
+
+            // A maximum age policy deletes only records older than the maximum age, and keeps records without a time
+            assert.strictEqual(await retentionStorage.storageInstance.expiring.count(), 2);
+
+            assert.strictEqual(prunedSummary.length, 2);
+            const logEntry = (await Storage.getRetentionLog())[storageAreaName + ".Retention.reported"];
+            assert.strictEqual(logEntry.lastPrunedCount, 1);
+            assert.strictEqual(logEntry.totalPrunedCount, 1);
+        });
+    });
+
+    describe("deleteAllStorage", function () {
+        it("deletes every storage area, including counters", async function () {
+            const deletionStorage = new Storage.IndexedStorage(storageAreaName + ".Deletion", {
+                events: "++, eventTime"
+            });
+            await deletionStorage.set({ eventTime: 1 });
+            const deletionCounter = await (new Storage.Counter(storageAreaName + ".Counter")).initialize();
+            await deletionCounter.increment();
+            const deletedStorageAreas = await Storage.deleteAllStorage();
+            assert.ok(deletedStorageAreas.includes(storageAreaName + ".Deletion"));
+            assert.ok(deletedStorageAreas.includes("WebScience.Utilities.Storage.Counter"));
+            assert.strictEqual(Storage.storageInstances.length, 0);
+
+            // Counters restart after deleting all storage
+            const counter = await (new Storage.Counter(storageAreaName + ".Counter")).initialize();
+            assert.strictEqual(counter.get(), 0);
+        });
+    });
+});
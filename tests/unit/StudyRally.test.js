@@ -0,0 +1,96 @@
+/**
+ * This module tests the study's extension of the Rally SDK, with a fake `browser` API. The tests
+ * guard against changes in the SDK that the study depends on: the SDK must dispatch messages from
+ * the Rally Core Add-on through `_handleExternalMessage`, and `sendPingOrThrow` must send the same
+ * message as `Rally.sendPing`.
+ */
+
+import assert from "assert";
+import Rally from "@mozilla/rally";
+import { StudyRally } from "../../study/StudyRally.js"
+
+const coreAddonId = "rally-core@mozilla.org";
+
+const keyId = "test-key";
+
+const key = { crv: "P-256", kid: "test-key", kty: "EC", x: "x", y: "y" };
+
+describe("StudyRally", function () {
+    let originalBrowser;
+    let originalConsole;
+    let events;
+    let sentMessages;
+    let externalMessageListeners;
+    let failPings;
+
+    beforeEach(function () {
+        originalBrowser = globalThis.browser;
+        originalConsole = { debug: console.debug, log: console.log, error: console.error };
+        console.debug = console.log = console.error = () => {};
+        events = [];
+        sentMessages = [];
+        externalMessageListeners = [];
+        failPings = false;
+        globalThis.browser = {
+            runtime: {
+                id: "study@example.com",
+                sendMessage: async (extensionId, message) => {
+                    if(message.type === "core-check")
+                        return { type: "core-check-response", data: { enrolled: true } };
+                    if(failPings)
+                        throw new Error("Error: could not establish connection");
+                    sentMessages.push({ extensionId, message });
+                },
+                onMessageExternal: {
+                    addListener: (listener) => { externalMessageListeners.push(listener); }
+                }
+            },
+            management: {
+                uninstallSelf: async () => { events.push("uninstall"); }
+            },
+            tabs: {
+                create: async () => {}
+            }
+        };
+    });
+
+    afterEach(function () {
+        globalThis.browser = originalBrowser;
+        Object.assign(console, originalConsole);
+    });
+
+    it("calls the uninstall function before Rally uninstalls the study", async function () {
+        const rally = new StudyRally(async () => { events.push("withdraw"); });
+        await rally.initialize(keyId, key, false);
+        assert.strictEqual(externalMessageListeners.length, 1);
+        await externalMessageListeners[0]({ type: "uninstall" }, { id: coreAddonId });
+        assert.deepStrictEqual(events, [ "withdraw", "uninstall" ]);
+    });
+
+    it("uninstalls even if the uninstall function fails", async function () {
+        const rally = new StudyRally(async () => { throw new Error("Error: withdrawal failed"); });
+        await rally.initialize(keyId, key, false);
+        await externalMessageListeners[0]({ type: "uninstall" }, { id: coreAddonId });
+        assert.deepStrictEqual(events, [ "uninstall" ]);
+    });
+
+    it("sends the same ping message as Rally.sendPing", async function () {
+        const payload = { "WebScience.version": "1.0" };
+        const sdkRally = new Rally();
+        await sdkRally.initialize(keyId, key, false);
+        await sdkRally.sendPing("measurements", payload);
+        const studyRally = new StudyRally(() => {});
+        await studyRally.initialize(keyId, key, false);
+        await studyRally.sendPingOrThrow("measurements", payload);
+        assert.strictEqual(sentMessages.length, 2);
+        assert.deepStrictEqual(sentMessages[1], sentMessages[0]);
+    });
+
+    it("rejects if the ping could not be submitted", async function () {
+        const rally = new StudyRally(() => {});
+        await assert.rejects(rally.sendPingOrThrow("measurements", {}));
+        await rally.initialize(keyId, key, false);
+        failPings = true;
+        await assert.rejects(rally.sendPingOrThrow("measurements", {}));
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * This module tests the per-URL event history and its storage in the
+ * WebScience.Utilities.UrlEventHistory module. IndexedDB is provided by `fake-indexeddb`.
+ */
+
+import assert from "assert";
+import "./storageGlobals.js";
+import * as Storage from "../../WebScience/Utilities/Storage.js"
+import { UrlEventHistory, UrlEventHistoryStorage } from "../../WebScience/Utilities/UrlEventHistory.js"
+
+const hour = 60 * 60 * 1000;
+
+describe("UrlEventHistory", function () {
+    describe("events", function () {
+        // The events for each test, added in the order that the test needs
+        let history;
+        let earlierExposure;
+        let laterExposure;
+        let visit;
+        let unattributedVisit;
+        let share;
+
+        beforeEach(function () {
+            history = new UrlEventHistory("https://example.com/article");
+            laterExposure = history.addExposure({ time: 3 * hour, pageUrl: "https://social.example/feed" });
+            earlierExposure = history.addExposure({ time: 1 * hour, pageUrl: "https://search.example/" });
+            visit = history.addVisit({ time: 4 * hour, pageId: "page-1", referrer: "https://social.example/feed" }, 2 * hour);
+            unattributedVisit = history.addVisit({ time: 10 * hour, pageId: "page-2", referrer: "" }, 2 * hour);
+            share = history.addShare({ time: 5 * hour, platform: "twitter" });
+        });
+
+        it("keeps events in time order, even if they are added out of order", function () {
+            assert.strictEqual(history.exposuresBefore(Infinity)[0], earlierExposure);
+            assert.strictEqual(history.exposuresBefore(2 * hour).length, 1);
+        });
+
+        it("attributes a visit to the most recent preceding exposure within the window", function () {
+            assert.strictEqual(visit.exposureEventId, laterExposure.eventId);
+            assert.strictEqual(history.visitsAttributedTo(laterExposure.eventId).length, 1);
+            assert.strictEqual(unattributedVisit.exposureEventId, null);
+            assert.strictEqual(history.getVisitForPage("page-1"), visit);
+        });
+
+        it("attributes a share to the most recent preceding exposure and visit", function () {
+            assert.strictEqual(share.exposureEventId, laterExposure.eventId);
+            assert.strictEqual(share.visitEventId, visit.eventId);
+            assert.strictEqual(history.sharesAttributedTo({ visitEventId: visit.eventId }).length, 1);
+            assert.strictEqual(history.sharesBefore(4 * hour).length, 0);
+        });
+
+        it("finds the first and last referrers", function () {
+            assert.strictEqual(history.firstReferrer(), "https://social.example/feed");
+            assert.strictEqual(history.lastReferrer(), "");
+            assert.strictEqual(history.lastReferrer(5 * hour), "https://social.example/feed");
+        });
+
+        it("restores from its record and prunes old events", function () {
+            const restored = new UrlEventHistory("https://example.com/article", JSON.parse(JSON.stringify(history.record)));
+            const restoredShare = restored.addShare({ time: 11 * hour, platform: "reddit" });
+            assert.ok(restoredShare.eventId > share.eventId);
+            assert.strictEqual(restoredShare.visitEventId, unattributedVisit.eventId);
+
+            restored.prune(4 * hour);
+            assert.strictEqual(restored.exposuresBefore(Infinity).length, 0);
+            assert.strictEqual(restored.visitsBefore(Infinity).length, 2);
+        });
+    });
+
+    describe("UrlEventHistoryStorage", function () {
+        const url = "https://example.com/article";
+        let histories;
+
+        beforeEach(function () {
+            histories = new UrlEventHistoryStorage(new Storage.IndexedStorage("WebScience.Tests.UrlEventHistoryTest", {
+                integration: "url, lastEventTime"
+            }));
+        });
+
+        afterEach(async function () {
+            await Storage.deleteAllStorage();
+        });
+
+        it("keeps both events when a visit and a share of the same URL are written concurrently", async function () {
+            const [ { result: visit }, { result: share } ] = await Promise.all([
+                histories.update(url, history => history.addVisit({ time: 4 * hour, pageId: "page-1" })),
+                histories.update(url, history => history.addShare({ time: 5 * hour, platform: "twitter" }))
+            ]);
+            assert.strictEqual(share.visitEventId, visit.eventId);
+
+            const storedHistory = await histories.get(url);
+            assert.strictEqual(storedHistory.getVisitForPage("page-1").eventId, visit.eventId);
+            assert.strictEqual(storedHistory.sharesAttributedTo({ visitEventId: visit.eventId }).length, 1);
+        });
+
+        it("runs later updates after an update fails", async function () {
+            const failedUpdate = histories.update(url, () => { throw new Error("Error: update failed"); });
+            const laterUpdate = histories.update(url, history => history.addExposure({ time: 1 * hour }));
+            await assert.rejects(failedUpdate);
+            await laterUpdate;
+            assert.strictEqual((await histories.get(url)).exposuresBefore(Infinity).length, 1);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * This module tests withdrawal in the WebScience.Utilities.Withdrawal module, with a fake
+ * `browser.storage.local`. Since a successful withdrawal is shared by every later request,
+ * the test withdraws only once.
+ */
+
+import assert from "assert";
+import "./storageGlobals.js";
+import * as Storage from "../../WebScience/Utilities/Storage.js"
+import * as Withdrawal from "../../WebScience/Utilities/Withdrawal.js"
+
+describe("Withdrawal.withdraw", function () {
+    it("can be retried after a failure, then deletes stored data and records withdrawal", async function () {
+        const originalBrowser = globalThis.browser;
+        let localStorage = { studyState: "enrolled" };
+        let failClear = true;
+        globalThis.browser = {
+            storage: {
+                local: {
+                    get: async (key) => (key in localStorage) ? { [key]: localStorage[key] } : { },
+                    set: async (items) => { Object.assign(localStorage, items); },
+                    clear: async () => {
+                        if(failClear)
+                            throw new Error("Error: storage.local.clear failed");
+                        localStorage = { };
+                    }
+                }
+            }
+        };
+        try {
+            const storage = new Storage.IndexedStorage("WebScience.Tests.WithdrawalTest", { events: "++, eventTime" });
+            await storage.set({ eventTime: 1 });
+            await assert.rejects(Withdrawal.withdraw({ sendDeletionRequest: false }));
+            assert.strictEqual(await Withdrawal.hasWithdrawn(), false);
+
+            failClear = false;
+            const summary = await Withdrawal.withdraw({ sendDeletionRequest: false });
+            assert.strictEqual(summary.deletionRequestSent, false);
+            assert.ok(!("studyState" in localStorage));
+            assert.strictEqual(await Withdrawal.hasWithdrawn(), true);
+            assert.strictEqual(Storage.storageInstances.length, 0);
+        }
+        finally {
+            globalThis.browser = originalBrowser;
+            await Storage.deleteAllStorage();
+        }
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * This module provides a fake `browser` object and a fake `fetch` for testing the social media
+ * and measurement modules in Node. The fake `webRequest` events record their listeners, so that tests
+ * can dispatch requests to the listeners and check which listeners are registered, and tests can send
+ * messages to the `browser.runtime.onMessage` listeners as a content script would. Tests set the
+ * responses to `fetch` requests (keyed by URL, as JSON or as the text of a page) and to
+ * `browser.tabs.sendMessage` on the object that `installFakeBrowser` returns. The other browser
+ * events that the modules listen to are never fired.
+ */
+
+import fs from "fs";
+import path from "path";
+import * as Matching from "../../WebScience/Utilities/Matching.js"
+
+/**
+ * The directory of captured social media requests.
+ * @const {string}
+ */
+export const fixturesDirectory = path.resolve("tests/fixtures/SocialMediaActivity");
+
+/**
+ * Load a captured social media request.
+ * @param {string} file - The name of the fixture file.
+ * @returns {Object} The fixture, with a `file` property for the name of the file.
+ */
+export function loadFixture(file) {
+    return { file, ...JSON.parse(fs.readFileSync(path.join(fixturesDirectory, file), "utf8")) };
+}
+
+/**
+ * A fake `browser.webRequest` event, which records the listeners with their URL filters and
+ * extra info specs.
+ */
+export class FakeWebRequestEvent {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addListener(listener, filter, extraInfoSpec = []) {
+        this.listeners.set(listener, { urlMatcher: new Matching.MatchPatternSet(filter.urls), extraInfoSpec });
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    hasListener(listener) {
+        return this.listeners.has(listener);
+    }
+
+    /**
+     * Call each listener whose URL filter matches a request, as the browser would.
+     * @param {Object} requestDetails - The request details.
+     */
+    async dispatch(requestDetails) {
+        for(const [ listener, { urlMatcher } ] of [ ...this.listeners ]) {
+            if(urlMatcher.matches(requestDetails.url))
+                await listener(requestDetails);
+        }
+    }
+}
+
+/**
+ * Convert fixture request details into `webRequest` request details.
+ * @param {Object} requestDetails - The fixture request details. Since a raw request body is an
+ * `ArrayBuffer`, each `requestBody.raw[].bytes` is stored as the text of the body.
+ * @returns {Object} The request details, with raw request bodies as `ArrayBuffer`s.
+ */
+export function toWebRequestDetails(requestDetails) {
+    const webRequestDetails = JSON.parse(JSON.stringify(requestDetails));
+    if(webRequestDetails.requestBody && webRequestDetails.requestBody.raw) {
+        for(const part of webRequestDetails.requestBody.raw)
+            part.bytes = (new TextEncoder()).encode(part.bytes).buffer;
+    }
+    return webRequestDetails;
+}
+
+/**
+ * The `browser.runtime.onMessage` listeners. The Messaging module only registers its listener
+ * once, and the unit tests share modules, so the listeners are kept across fake browsers.
+ * @const {Set<function>}
+ */
+const runtimeMessageListeners = new Set();
+
+/**
+ * Create a fake browser event that is never fired.
+ * @returns {Object} The fake event.
+ */
+function createUnfiredEvent() {
+    return { addListener() {}, removeListener() {}, hasListener() { return false; } };
+}
+
+/**
+ * Replace `browser` and `fetch` with fakes.
+ * @returns {Object} The fake `webRequest` events (`onBeforeRequest` and `onBeforeSendHeaders`),
+ * the content scripts that are registered (`contentScripts`), the contents of `browser.storage.local`
+ * (`localStorage`), the responses to `fetch` requests (`fetchResponses`) and to `browser.tabs.sendMessage`
+ * (`tabMessageResponse`), a function that sends a message to the `browser.runtime.onMessage` listeners
+ * (`sendRuntimeMessage`), and a function that restores `browser` and `fetch` (`restore`).
+ */
+export function installFakeBrowser() {
+    const originalBrowser = globalThis.browser;
+    const originalFetch = globalThis.fetch;
+    const fakes = {
+        onBeforeRequest: new FakeWebRequestEvent(),
+        onBeforeSendHeaders: new FakeWebRequestEvent(),
+        contentScripts: new Set(),
+        localStorage: {},
+        fetchResponses: {},
+        tabMessageResponse: undefined,
+        sendRuntimeMessage(message, sender = {}) {
+            for(const listener of [ ...runtimeMessageListeners ])
+                listener(message, sender, () => {});
+        },
+        restore() {
+            globalThis.browser = originalBrowser;
+            globalThis.fetch = originalFetch;
+        }
+    };
+    globalThis.browser = {
+        webRequest: {
+            onBeforeRequest: fakes.onBeforeRequest,
+            onBeforeSendHeaders: fakes.onBeforeSendHeaders,
+            onHeadersReceived: new FakeWebRequestEvent(),
+            onErrorOccurred: new FakeWebRequestEvent()
+        },
+        webNavigation: {
+            onHistoryStateUpdated: createUnfiredEvent()
+        },
+        contentScripts: {
+            register: async (contentScriptOptions) => {
+                fakes.contentScripts.add(contentScriptOptions);
+                return { unregister() { fakes.contentScripts.delete(contentScriptOptions); } };
+            }
+        },
+        runtime: {
+            onMessage: {
+                addListener(listener) { runtimeMessageListeners.add(listener); },
+                removeListener(listener) { runtimeMessageListeners.delete(listener); }
+            }
+        },
+        storage: {
+            local: {
+                get: async (keys) => {
+                    const items = {};
+                    for(const key of [ keys ].flat())
+                        if(key in fakes.localStorage)
+                            items[key] = fakes.localStorage[key];
+                    return items;
+                },
+                set: async (items) => { Object.assign(fakes.localStorage, items); },
+                remove: async (keys) => {
+                    for(const key of [ keys ].flat())
+                        delete fakes.localStorage[key];
+                }
+            }
+        },
+        idle: {
+            setDetectionInterval() {},
+            queryState: async () => "active",
+            onStateChanged: createUnfiredEvent()
+        },
+        tabs: {
+            TAB_ID_NONE: -1,
+            onUpdated: createUnfiredEvent(),
+            onRemoved: createUnfiredEvent(),
+            onActivated: createUnfiredEvent(),
+            sendMessage: async () => { return fakes.tabMessageResponse; }
+        },
+        windows: {
+            WINDOW_ID_NONE: -1,
+            onRemoved: createUnfiredEvent(),
+            onFocusChanged: createUnfiredEvent(),
+            getAll: async () => []
+        }
+    };
+    globalThis.fetch = async (url) => {
+        if(!(url in fakes.fetchResponses))
+            return { ok: false, status: 404, text: async () => "", json: async () => null };
+        return {
+            ok: true,
+            status: 200,
+            text: async () => (typeof fakes.fetchResponses[url] === "string") ?
+                fakes.fetchResponses[url] : JSON.stringify(fakes.fetchResponses[url]),
+            json: async () => fakes.fetchResponses[url]
+        };
+    };
+    return fakes;
+}
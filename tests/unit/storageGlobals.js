@@ -0,0 +1,14 @@
+/**
+ * This module sets up the globals that the WebScience.Utilities.Storage module needs in Node:
+ * IndexedDB, from `fake-indexeddb`, and `navigator.storage`. Tests import this module before
+ * any module that imports the Storage module.
+ */
+
+import "fake-indexeddb/auto.js";
+
+if(!globalThis.navigator || !globalThis.navigator.storage)
+    Object.defineProperty(globalThis, "navigator", {
+        value: { storage: { persist: async () => true } },
+        configurable: true,
+        writable: true
+    });